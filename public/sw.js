@@ -0,0 +1,123 @@
+// Service worker for offline use.
+//
+// - App shell (index.html, hashed Vite assets, Leaflet CSS and marker icons) is
+//   precached on install and served cache-first.
+// - Map tiles are cached as they are viewed (trimmed to MAX_RUNTIME_TILES) and
+//   served cache-first. Tiles saved for an offline area live in their own cache,
+//   written by the page, and are never trimmed here.
+// - API responses are not handled here: the app keeps them in IndexedDB.
+
+const SHELL_VERSION = 'v1';
+const SHELL_CACHE = `places-finder-shell-${SHELL_VERSION}`;
+const TILE_CACHE = 'places-finder-tiles';
+const SAVED_TILE_CACHE = 'places-finder-tiles-saved'; // Keep in sync with offlineService.js
+const MAX_RUNTIME_TILES = 1500;
+const TRIM_EVERY = 50;
+
+const SHELL_URLS = [
+  '/',
+  '/index.html',
+  '/manifest.json',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png'
+];
+
+const TILE_HOST_PATTERN = /(^|\.)tile\.openstreetmap\.org$/;
+let tilesSinceTrim = 0;
+
+// Hashed bundle names change every build, so read them from the served index.html
+const getBuildAssets = async () => {
+  const response = await fetch('/index.html', { cache: 'no-cache' });
+  const html = await response.text();
+  return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const assets = await getBuildAssets().catch(() => []);
+    // One unreachable CDN file shouldn't block installing the rest
+    await Promise.all([...SHELL_URLS, ...assets].map(url =>
+      cache.add(url).catch(error => console.warn('⚠️ Could not precache', url, error.message))
+    ));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('places-finder-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// a/b/c subdomains serve the same tiles; store them under one key
+const canonicalTileUrl = (url) => `https://tile.openstreetmap.org${url.pathname}`;
+
+const trimTileCache = async () => {
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  const excess = keys.length - MAX_RUNTIME_TILES;
+  // Keys come back in insertion order, so the oldest tiles go first
+  await Promise.all(keys.slice(0, Math.max(0, excess)).map(key => cache.delete(key)));
+};
+
+const handleTile = async (request, url) => {
+  const key = canonicalTileUrl(url);
+  const cached = await caches.match(key);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(TILE_CACHE);
+    await cache.put(key, response.clone());
+    if (++tilesSinceTrim >= TRIM_EVERY) {
+      tilesSinceTrim = 0;
+      trimTileCache();
+    }
+  }
+  return response;
+};
+
+// Network first so deploys show up, the cached shell when offline
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match('/index.html');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const handleShellAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (TILE_HOST_PATTERN.test(url.hostname)) {
+    event.respondWith(handleTile(request, url));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if ((url.origin === self.location.origin && url.pathname.startsWith('/assets/')) || SHELL_URLS.includes(request.url)) {
+    event.respondWith(handleShellAsset(request));
+  }
+});
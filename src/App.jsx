@@ -2,6 +2,7 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import PlacesFinder from './components/PlacesFinder.jsx';
 import DirectionsPage from './components/DirectionsPage.jsx';
+import PlaceDetailsPage from './components/PlaceDetailsPage.jsx';
 
 function App() {
   return (
@@ -9,6 +10,7 @@ function App() {
       <Routes>
         <Route path="/" element={<PlacesFinder />} />
         <Route path="/directions" element={<DirectionsPage />} />
+        <Route path="/place/:type/:id" element={<PlaceDetailsPage />} />
       </Routes>
     </Router>
   );
@@ -13,8 +13,8 @@ const CategorySection = ({ category, places, categoryData, index, sortBy }) => {
     switch (sortBy) {
       case 'distance':
         return 'by distance';
-      case 'rating':
-        return 'by rating';
+      case 'relevance':
+        return 'by relevance';
       case 'name':
         return 'by name';
       default:
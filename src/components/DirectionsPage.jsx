@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
   MapPin, 
@@ -13,14 +14,74 @@ import {
   Compass,
   Target,
   Zap,
-  Search
+  Search,
+  Play,
+  FlaskConical
 } from 'lucide-react';
 import { getCurrentLocation, geocodeAddress } from '../services/placesService';
+import { withCache } from '../services/cacheService';
+import { scheduledFetch, PRIORITY } from '../services/requestScheduler';
+import { decodePolyline } from '../services/geo';
+import RouteMap from './RouteMap.jsx';
+import RouteAlternatives, { getRouteLabel } from './RouteAlternatives.jsx';
+import TripStops from './TripStops.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import NavigationPanel from './NavigationPanel.jsx';
+import VoiceControls from './VoiceControls.jsx';
+import { exportRoute } from '../services/exportService';
+import {
+  OFF_ROUTE_FIXES,
+  createGeolocationSource,
+  createSimulatedSource,
+  prepareRoute,
+  getNavigationProgress
+} from '../services/navigationService';
+import { VOICE_TEMPLATES, createVoiceGuide, getManeuverKey, speakStep, stopSpeaking } from '../services/voiceService';
+import { OSRM_PROFILES, buildTripUrl, parseTripStops, parseTripSource, optimizeStopOrder, toTripStop } from '../services/tripService';
+import {
+  getSavedLocations,
+  subscribeSavedLocations,
+  toSearchLocation,
+  getSavedLocationIcon
+} from '../services/savedLocationsService';
 
-const DirectionsPage = () => {
-  const [userLocation, setUserLocation] = useState(null);
+const MAX_ROUTE_OPTIONS = 3;
+const SIMULATION_SPEED_KMH = { driving: 60, cycling: 20, walking: 6 };
+
+// Names of the roads a route spends most of its distance on, e.g. "MG Road, NH48"
+const summarizeMainRoads = (steps) => {
+  const byRoad = {};
+  steps.forEach(step => {
+    if (step.name) byRoad[step.name] = (byRoad[step.name] || 0) + step.distance;
+  });
+  return Object.entries(byRoad)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 2)
+    .map(([name]) => name)
+    .join(', ');
+};
+
+// "23 min" below an hour, "1h 5m" above
+const formatDuration = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+// Point halfway along a route, used to make external map apps follow the chosen alternative
+const routeMidpoint = (route) => {
+  if (!route.geometry || route.geometry.length < 3) return null;
+  return route.geometry[Math.floor(route.geometry.length / 2)];
+};
+
+// `positionSource` replaces the device location during live navigation, e.g. a
+// simulated position stream (see navigationService)
+const DirectionsPage = ({ positionSource = null }) => {
   const [sourceLocation, setSourceLocation] = useState(null);
-  const [destination, setDestination] = useState(null);
+  const [, setSearchParams] = useSearchParams();
+  const [stops, setStops] = useState([]); // Intermediate stops, then the final destination
+  const [sharedSource, setSharedSource] = useState(null);
+  const [routeLoading, setRouteLoading] = useState(false);
+  const [optimizing, setOptimizing] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [travelMode, setTravelMode] = useState('driving');
@@ -28,16 +89,42 @@ const DirectionsPage = () => {
   const [sourceInput, setSourceInput] = useState('');
   const [useCurrentLocation, setUseCurrentLocation] = useState(false); // Default to address input
   const [locationLoading, setLocationLoading] = useState(false);
+  const [savedLocations, setSavedLocations] = useState(getSavedLocations);
+  const [activeStepIndex, setActiveStepIndex] = useState(null);
+  const [selectedRouteIndex, setSelectedRouteIndex] = useState(0);
+  const [navigation, setNavigation] = useState(null); // Live navigation state, null when not navigating
+  const navigationSourceRef = useRef(null);
+  const positionHandlerRef = useRef(null);
+  const offRouteFixesRef = useRef(0);
+  const reroutingRef = useRef(false);
+  const voiceGuideRef = useRef(null);
+
+  const destination = stops.length > 0 ? stops[stops.length - 1] : null;
+  const hasStops = stops.length > 0;
+  const savedSourceName = !useCurrentLocation && sourceLocation ? sourceLocation.savedName : null;
+  const sourceLabel = useCurrentLocation ? 'Current Location' : savedSourceName || 'Selected Location';
 
-  // Parse destination from URL params
+  useEffect(() => subscribeSavedLocations(setSavedLocations), []);
+
+  // Parse the trip from URL params: a shared itinerary (?stops=[...]&from=lat,lng) or a single ?place=
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
+    const stopsParam = urlParams.get('stops');
     const placeParam = urlParams.get('place');
     
-    if (placeParam) {
+    if (stopsParam) {
+      try {
+        const tripStops = parseTripStops(stopsParam);
+        if (tripStops.length === 0) throw new Error('Empty trip');
+        setSharedSource(parseTripSource(urlParams.get('from'), urlParams.get('near')));
+        setStops(tripStops);
+      } catch (err) {
+        setError('Invalid trip data');
+      }
+    } else if (placeParam) {
       try {
         const placeData = JSON.parse(decodeURIComponent(placeParam));
-        setDestination(placeData);
+        setStops([{ ...placeData, id: toTripStop(placeData).id }]);
       } catch (err) {
         setError('Invalid place data');
       }
@@ -59,7 +146,7 @@ const DirectionsPage = () => {
     return R * c;
   }, []);
 
-  // Calculate estimated duration based on travel mode
+  // Calculate estimated duration in minutes based on travel mode, like the routers' durations
   const calculateDuration = React.useCallback((distance, mode) => {
     const speeds = {
       driving: 50, // km/h
@@ -68,41 +155,15 @@ const DirectionsPage = () => {
     };
     
     const hours = distance / speeds[mode];
-    const minutes = Math.round(hours * 60);
-    
-    if (minutes < 60) {
-      return `${minutes} min`;
-    } else {
-      const hrs = Math.floor(minutes / 60);
-      const mins = minutes % 60;
-      return `${hrs}h ${mins}m`;
-    }
+    return Math.round(hours * 60);
   }, []);
 
   // Enhance instruction with better left/right directions
   const enhanceInstruction = (instruction, maneuverType) => {
     if (!instruction) return 'Continue straight';
     
-    // Map maneuver types to clear directions
-    const maneuverMap = {
-      'turn-left': 'Turn left',
-      'turn-right': 'Turn right',
-      'turn-sharp-left': 'Turn sharp left',
-      'turn-sharp-right': 'Turn sharp right',
-      'turn-slight-left': 'Turn slight left',
-      'turn-slight-right': 'Turn slight right',
-      'continue': 'Continue straight',
-      'merge': 'Merge',
-      'ramp-left': 'Take the ramp on the left',
-      'ramp-right': 'Take the ramp on the right',
-      'fork-left': 'Keep left at the fork',
-      'fork-right': 'Keep right at the fork',
-      'roundabout-enter': 'Enter the roundabout',
-      'roundabout-exit': 'Exit the roundabout',
-      'uturn': 'Make a U-turn',
-      'depart': 'Start your journey',
-      'arrive': 'You have arrived at your destination'
-    };
+    // Map maneuver types to clear directions (the English voice phrases)
+    const maneuverMap = VOICE_TEMPLATES.en.maneuvers;
     
     // If we have a specific maneuver type, use it
     if (maneuverType && maneuverMap[maneuverType]) {
@@ -131,79 +192,6 @@ const DirectionsPage = () => {
     return enhanced.charAt(0).toUpperCase() + enhanced.slice(1);
   };
 
-  // Get real route directions using OpenRouteService API
-  const fetchRealRoute = React.useCallback(async (start, end, mode) => {
-    try {
-      // Try OpenRouteService first (free tier available)
-      const profile = mode === 'driving' ? 'driving-car' : mode === 'cycling' ? 'cycling-regular' : 'foot-walking';
-      
-      const response = await fetch(`https://api.openrouteservice.org/v2/directions/${profile}?api_key=5b3ce3597851110001cf6248YOUR_API_KEY&start=${start.lng},${start.lat}&end=${end.lng},${end.lat}&format=json&instructions=true`);
-      
-      if (!response.ok) {
-        throw new Error('OpenRouteService failed');
-      }
-      
-      const data = await response.json();
-      
-      if (data.features && data.features[0]) {
-        const route = data.features[0];
-        const instructions = route.properties.segments[0].steps;
-        
-        const steps = instructions.map((step, index) => ({
-          instruction: enhanceInstruction(step.instruction, step.maneuver?.type),
-          distance: `${(step.distance / 1000).toFixed(1)} km`,
-          duration: `${Math.round(step.duration / 60)} min`,
-          maneuver: step.maneuver?.type || 'continue'
-        }));
-        
-        return {
-          distance: (route.properties.segments[0].distance / 1000).toFixed(1),
-          duration: Math.round(route.properties.segments[0].duration / 60),
-          steps: steps,
-          source: 'openrouteservice'
-        };
-      }
-    } catch (error) {
-      console.warn('OpenRouteService failed:', error.message);
-    }
-    
-    // Fallback to OSRM (Open Source Routing Machine)
-    try {
-      const profile = mode === 'driving' ? 'car' : mode === 'cycling' ? 'bike' : 'foot';
-      const response = await fetch(`https://router.project-osrm.org/route/v1/${profile}/${start.lng},${start.lat};${end.lng},${end.lat}?steps=true&annotations=true&overview=false`);
-      
-      if (!response.ok) {
-        throw new Error('OSRM failed');
-      }
-      
-      const data = await response.json();
-      
-      if (data.routes && data.routes[0]) {
-        const route = data.routes[0];
-        const legs = route.legs[0];
-        
-        const steps = legs.steps.map((step, index) => ({
-          instruction: enhanceInstruction(step.maneuver.instruction || `${step.maneuver.type} for ${(step.distance / 1000).toFixed(1)} km`, step.maneuver.type),
-          distance: `${(step.distance / 1000).toFixed(1)} km`,
-          duration: `${Math.round(step.duration / 60)} min`,
-          maneuver: step.maneuver.type
-        }));
-        
-        return {
-          distance: (route.distance / 1000).toFixed(1),
-          duration: Math.round(route.duration / 60),
-          steps: steps,
-          source: 'osrm'
-        };
-      }
-    } catch (error) {
-      console.warn('OSRM failed:', error.message);
-    }
-    
-    // Final fallback to enhanced mock data
-    return generateEnhancedMockRoute(start, end, mode);
-  }, []);
-  
   // Generate enhanced mock route steps with more realistic directions
   const generateEnhancedMockRoute = React.useCallback((start, end, mode) => {
     const totalDistance = calculateDistance(start.lat, start.lng, end.lat, end.lng);
@@ -269,13 +257,42 @@ const DirectionsPage = () => {
       maneuver: 'arrive'
     });
     
+    // Place each step along the straight line by the distance covered before it
+    let covered = 0;
+    steps.forEach(step => {
+      const fraction = totalDistance > 0 ? Math.min(1, covered / totalDistance) : 0;
+      step.location = [start.lat + (end.lat - start.lat) * fraction, start.lng + (end.lng - start.lng) * fraction];
+      covered += parseFloat(step.distance);
+    });
+    
     return {
       distance: totalDistance.toFixed(1),
       duration: Math.round(totalDistance / (mode === 'driving' ? 50 : mode === 'cycling' ? 15 : 5) * 60),
       steps: steps,
+      geometry: [[start.lat, start.lng], [end.lat, end.lng]],
       source: 'enhanced_mock'
     };
   }, [calculateDistance]);
+
+  // Mock route through every point of the trip, one enhanced mock route per leg
+  const generateMockTrip = React.useCallback((points, mode) => {
+    const legs = points.slice(1).map((point, index) => ({
+      ...generateEnhancedMockRoute(points[index], point, mode),
+      legIndex: index
+    }));
+    if (legs.length === 1) {
+      return { ...legs[0], legs: [{ distance: legs[0].distance, duration: legs[0].duration }] };
+    }
+    
+    return {
+      distance: legs.reduce((sum, leg) => sum + Number(leg.distance), 0).toFixed(1),
+      duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+      steps: legs.flatMap(leg => leg.steps.map(step => ({ ...step, leg: leg.legIndex }))),
+      geometry: points.map(point => [point.lat, point.lng]),
+      legs: legs.map(leg => ({ distance: leg.distance, duration: leg.duration })),
+      source: 'enhanced_mock'
+    };
+  }, [generateEnhancedMockRoute]);
   
   // Calculate bearing between two points
   const calculateBearing = React.useCallback((lat1, lng1, lat2, lng2) => {
@@ -297,31 +314,145 @@ const DirectionsPage = () => {
     return directions[index];
   };
 
-  // Calculate route information with real routing data
-  const calculateRoute = React.useCallback(async (start, end) => {
+  // Get real route directions using OpenRouteService API. `waypoints` are visited
+  // in order between start and end; each leg of the trip gets its own stats.
+  const fetchRealRoute = React.useCallback(async (start, end, mode, waypoints = []) => {
     try {
-      setLoading(true);
-      console.log(`🗺️ Calculating ${travelMode} route from [${start.lat}, ${start.lng}] to [${end.lat}, ${end.lng}]`);
+      if (waypoints.length > 0) {
+        throw new Error('OpenRouteService GET requests take no waypoints');
+      }
+
+      // Try OpenRouteService first (free tier available)
+      const profile = mode === 'driving' ? 'driving-car' : mode === 'cycling' ? 'cycling-regular' : 'foot-walking';
+      
+      const response = await fetch(`https://api.openrouteservice.org/v2/directions/${profile}?api_key=5b3ce3597851110001cf6248YOUR_API_KEY&start=${start.lng},${start.lat}&end=${end.lng},${end.lat}&format=json&instructions=true`);
+      
+      if (!response.ok) {
+        throw new Error('OpenRouteService failed');
+      }
+      
+      const data = await response.json();
       
-      const routeData = await fetchRealRoute(start, end, travelMode);
+      if (data.features && data.features[0]) {
+        const route = data.features[0];
+        const instructions = route.properties.segments[0].steps;
+        const geometry = (route.geometry?.coordinates || []).map(([lng, lat]) => [lat, lng]);
+        
+        const steps = instructions.map((step, index) => ({
+          instruction: enhanceInstruction(step.instruction, step.maneuver?.type),
+          distance: `${(step.distance / 1000).toFixed(1)} km`,
+          duration: `${Math.round(step.duration / 60)} min`,
+          maneuver: step.maneuver?.type || 'continue',
+          // way_points are the first and last index of the step in the route geometry
+          path: step.way_points ? geometry.slice(step.way_points[0], step.way_points[1] + 1) : null,
+          location: step.way_points ? geometry[step.way_points[0]] : null
+        }));
+        
+        return {
+          distance: (route.properties.segments[0].distance / 1000).toFixed(1),
+          duration: Math.round(route.properties.segments[0].duration / 60),
+          steps: steps,
+          geometry,
+          legs: [{ distance: (route.properties.segments[0].distance / 1000).toFixed(1), duration: Math.round(route.properties.segments[0].duration / 60) }],
+          source: 'openrouteservice'
+        };
+      }
+    } catch (error) {
+      console.warn('OpenRouteService failed:', error.message);
+    }
+    
+    // Fallback to OSRM (Open Source Routing Machine)
+    try {
+      const profile = OSRM_PROFILES[mode] || 'car';
+      const points = [start, ...waypoints, end];
+      const routeKey = `alt:${profile}:${points.map(point => `${point.lng.toFixed(5)},${point.lat.toFixed(5)}`).join(';')}`;
+      // OSRM only returns alternatives for routes without waypoints
+      const alternatives = waypoints.length === 0 ? `&alternatives=${MAX_ROUTE_OPTIONS}` : '';
+      const data = await withCache('route', routeKey, async () => {
+        const response = await scheduledFetch(`https://router.project-osrm.org/route/v1/${profile}/${points.map(point => `${point.lng},${point.lat}`).join(';')}?steps=true&annotations=true&overview=full&geometries=polyline${alternatives}`, {}, { priority: PRIORITY.USER });
+        
+        if (!response.ok) {
+          throw new Error('OSRM failed');
+        }
+        
+        return response.json();
+      }, { shouldCache: (result) => result.code === 'Ok' });
+      
+      if (data.routes && data.routes[0]) {
+        const routes = data.routes.slice(0, MAX_ROUTE_OPTIONS).map(route => {
+          const steps = route.legs.flatMap((leg, legIndex) => leg.steps.map(step => {
+            const maneuver = getManeuverKey(step.maneuver.type, step.maneuver.modifier);
+            return {
+              instruction: enhanceInstruction(step.maneuver.instruction || `${step.maneuver.type} for ${(step.distance / 1000).toFixed(1)} km`, maneuver),
+              distance: `${(step.distance / 1000).toFixed(1)} km`,
+              duration: `${Math.round(step.duration / 60)} min`,
+              maneuver,
+              road: step.name || null, // Voice prompts name the road the step leads onto
+              path: step.geometry ? decodePolyline(step.geometry) : null,
+              location: [step.maneuver.location[1], step.maneuver.location[0]],
+              leg: legIndex
+            };
+          }));
+          
+          return {
+            distance: (route.distance / 1000).toFixed(1),
+            duration: Math.round(route.duration / 60),
+            steps: steps,
+            geometry: route.geometry ? decodePolyline(route.geometry) : [],
+            legs: route.legs.map(leg => ({ distance: (leg.distance / 1000).toFixed(1), duration: Math.round(leg.duration / 60) })),
+            summary: route.legs.length === 1 ? (route.legs[0].summary || summarizeMainRoads(route.legs[0].steps)) : '',
+            source: 'osrm'
+          };
+        });
+        
+        // The first route is OSRM's recommendation; the others are alternatives to it
+        return { ...routes[0], alternatives: routes };
+      }
+    } catch (error) {
+      console.warn('OSRM failed:', error.message);
+    }
+    
+    // Final fallback to enhanced mock data
+    return generateMockTrip([start, ...waypoints, end], mode);
+  }, [generateMockTrip]);
+
+  // Calculate route information with real routing data for a trip: the stops in
+  // visiting order, the last one being the destination
+  const calculateRoute = React.useCallback(async (start, tripStops, mode = travelMode) => {
+    const end = tripStops[tripStops.length - 1];
+    const waypoints = tripStops.slice(0, -1);
+    try {
+      setRouteLoading(true);
+      console.log(`🗺️ Calculating ${mode} route from [${start.lat}, ${start.lng}] to [${end.lat}, ${end.lng}] via ${waypoints.length} stops`);
+      
+      const routeData = await fetchRealRoute(start, end, mode, waypoints);
       
       console.log(`✅ Route calculated using ${routeData.source}: ${routeData.distance}km, ${routeData.duration}min, ${routeData.steps.length} steps`);
       setRouteInfo(routeData);
+      setSelectedRouteIndex(0);
+      setActiveStepIndex(null);
     } catch (error) {
       console.error('Route calculation failed:', error);
       // Fallback to basic calculation
-      const distance = calculateDistance(start.lat, start.lng, end.lat, end.lng);
+      const points = [start, ...tripStops];
+      const distance = points.slice(1).reduce((sum, point, index) =>
+        sum + calculateDistance(points[index].lat, points[index].lng, point.lat, point.lng), 0);
+      const mockTrip = generateMockTrip(points, mode);
       const routeData = {
         distance: distance.toFixed(1),
-        duration: calculateDuration(distance, travelMode),
-        steps: generateEnhancedMockRoute(start, end, travelMode).steps,
+        duration: calculateDuration(distance, mode),
+        steps: mockTrip.steps,
+        geometry: mockTrip.geometry,
+        legs: mockTrip.legs,
         source: 'fallback'
       };
       setRouteInfo(routeData);
+      setSelectedRouteIndex(0);
+      setActiveStepIndex(null);
     } finally {
-      setLoading(false);
+      setRouteLoading(false);
     }
-  }, [travelMode, calculateDistance, calculateDuration, fetchRealRoute, generateEnhancedMockRoute]);
+  }, [travelMode, calculateDistance, calculateDuration, fetchRealRoute, generateMockTrip]);
 
   // Handle source location selection
   const handleUseCurrentLocation = async () => {
@@ -329,13 +460,13 @@ const DirectionsPage = () => {
       setLocationLoading(true);
       setError(null);
       const location = await getCurrentLocation();
-      setUserLocation(location);
       setSourceLocation(location);
       setUseCurrentLocation(true);
       setSourceInput('');
       
-      if (destination) {
-        await calculateRoute(location, destination);
+      if (hasStops) {
+        syncTripUrl(stops, null);
+        await calculateRoute(location, stops);
       }
     } catch (err) {
       // Show error only when user explicitly tries to use current location
@@ -352,12 +483,13 @@ const DirectionsPage = () => {
     try {
       setLocationLoading(true);
       setError(null);
-      const location = await geocodeAddress(sourceInput);
+      const location = await geocodeAddress(sourceInput, { reference: sourceLocation });
       setSourceLocation(location);
       setUseCurrentLocation(false);
       
-      if (destination) {
-        await calculateRoute(location, destination);
+      if (hasStops) {
+        syncTripUrl(stops, location);
+        await calculateRoute(location, stops);
       }
       // Clear any previous errors on successful search
       setError(null);
@@ -368,19 +500,32 @@ const DirectionsPage = () => {
     }
   };
 
-  // Get user's current location on component mount
+  // Start from Home, Office or another saved location
+  const handleUseSavedLocation = async (saved) => {
+    const location = toSearchLocation(saved);
+    setError(null);
+    setSourceLocation(location);
+    setUseCurrentLocation(false);
+    setSourceInput('');
+
+    if (hasStops) {
+      syncTripUrl(stops, location);
+      await calculateRoute(location, stops);
+    }
+  };
+
+  // Get user's current location once the trip is known, unless the shared link names the start.
+  // Later stop and mode changes re-route from their own handlers, so the ref keeps this to one run.
+  const initialRouteRequestedRef = useRef(false);
   useEffect(() => {
     const getUserLocation = async () => {
       try {
         setLoading(true);
-        const location = await getCurrentLocation();
-        setUserLocation(location);
+        const location = sharedSource || await getCurrentLocation();
         setSourceLocation(location); // Set as default source
-        setUseCurrentLocation(true);
+        setUseCurrentLocation(!sharedSource);
         
-        if (destination) {
-          await calculateRoute(location, destination);
-        }
+        await calculateRoute(location, stops);
       } catch (err) {
         // Silently fail and default to address input mode on initial load
         console.log('Location access denied or unavailable, defaulting to address input');
@@ -391,23 +536,159 @@ const DirectionsPage = () => {
       }
     };
 
-    if (destination) {
+    if (hasStops && !initialRouteRequestedRef.current) {
+      initialRouteRequestedRef.current = true;
       getUserLocation();
     }
-  }, [destination, calculateRoute]);
+  }, [hasStops, stops, sharedSource, calculateRoute]);
+
+  // Keep the shareable URL in step with the stops and where the trip starts
+  const syncTripUrl = (tripStops, from) => {
+    const tripUrl = new URL(buildTripUrl(tripStops, from), window.location.origin);
+    setSearchParams(tripUrl.searchParams, { replace: true });
+  };
+
+  // Stops were reordered, removed or optimised: update the URL and re-route
+  const updateStops = async (newStops) => {
+    setStops(newStops);
+    syncTripUrl(newStops, useCurrentLocation ? null : sourceLocation);
+    if (sourceLocation) {
+      await calculateRoute(sourceLocation, newStops);
+    }
+  };
+
+  const handleOptimizeStops = async () => {
+    if (!sourceLocation) return;
+    try {
+      setOptimizing(true);
+      const optimized = await optimizeStopOrder(sourceLocation, stops, travelMode);
+      await updateStops(optimized);
+    } catch (err) {
+      console.warn('Trip optimisation failed:', err.message);
+      setError('Unable to optimise the stop order: ' + err.message);
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
+  const handleExportRoute = (format) => {
+    exportRoute(activeRoute, { start: sourceLocation, stops }, format, `route-${destination.name}`);
+  };
+
+  const getShareUrl = () => window.location.origin + buildTripUrl(stops, useCurrentLocation ? null : sourceLocation);
+
+  const routeOptions = useMemo(() => (routeInfo ? (routeInfo.alternatives || [routeInfo]) : []), [routeInfo]);
+  const activeRoute = routeOptions[selectedRouteIndex] || routeInfo;
+
+  const selectRoute = (index) => {
+    setSelectedRouteIndex(index);
+    setActiveStepIndex(null);
+  };
+
+  const preparedRoute = useMemo(() => (activeRoute ? prepareRoute(activeRoute) : null), [activeRoute]);
+  const isApproximateRoute = (route) => !route.source || route.source === 'enhanced_mock' || route.source === 'fallback';
+
+  // Off the route: plan again from the current position to the stops not reached yet
+  const rerouteFrom = async (position, progress) => {
+    const passedLegs = activeRoute.steps[progress.stepIndex]?.leg || 0;
+    const remainingStops = stops.slice(passedLegs);
+    reroutingRef.current = true;
+    setNavigation(prev => prev && { ...prev, rerouting: true });
+    voiceGuideRef.current?.announceRerouting();
+    try {
+      const route = await fetchRealRoute(
+        { lat: position.lat, lng: position.lng },
+        remainingStops[remainingStops.length - 1],
+        travelMode,
+        remainingStops.slice(0, -1)
+      );
+      console.log(`🔁 Re-routed from [${position.lat}, ${position.lng}] using ${route.source}`);
+      // Keep leg numbers and leg stats relative to the whole trip
+      setRouteInfo({
+        ...route,
+        alternatives: null,
+        steps: route.steps.map(step => ({ ...step, leg: (step.leg || 0) + passedLegs })),
+        legs: [...(activeRoute.legs || []).slice(0, passedLegs), ...(route.legs || [])]
+      });
+      setSelectedRouteIndex(0);
+      offRouteFixesRef.current = 0;
+      voiceGuideRef.current?.reset();
+    } finally {
+      reroutingRef.current = false;
+      setNavigation(prev => prev && { ...prev, rerouting: false });
+    }
+  };
+
+  const handleNavigationPosition = (position) => {
+    if (!preparedRoute) return;
+    const progress = getNavigationProgress(preparedRoute, position);
+    setNavigation(prev => prev && { ...prev, position, progress, error: null });
+    setActiveStepIndex(progress.stepIndex);
+    voiceGuideRef.current?.update(progress, activeRoute, destination);
+
+    offRouteFixesRef.current = progress.offRoute ? offRouteFixesRef.current + 1 : 0;
+    // Approximate routes are straight lines, so being away from them is expected
+    if (offRouteFixesRef.current >= OFF_ROUTE_FIXES && !reroutingRef.current && !isApproximateRoute(activeRoute)) {
+      rerouteFrom(position, progress);
+    }
+  };
+  positionHandlerRef.current = handleNavigationPosition;
+
+  // Follow the position source while navigating; tracking stops on arrival
+  const navigating = navigation !== null;
+  const arrived = !!navigation?.progress?.arrived;
+  useEffect(() => {
+    if (!navigating || arrived) return undefined;
+    return navigationSourceRef.current.start(
+      (position) => positionHandlerRef.current(position),
+      (err) => setNavigation(prev => prev && { ...prev, error: `Location unavailable: ${err.message}` })
+    );
+  }, [navigating, arrived]);
+
+  const startNavigation = (simulated = false) => {
+    navigationSourceRef.current = simulated ?
+      createSimulatedSource(preparedRoute.line, { speedKmh: SIMULATION_SPEED_KMH[travelMode] }) :
+      positionSource || createGeolocationSource();
+    offRouteFixesRef.current = 0;
+    voiceGuideRef.current = createVoiceGuide(travelMode);
+    setNavigation({ simulated, position: null, progress: null, rerouting: false, error: null });
+  };
+
+  const stopNavigation = () => {
+    setNavigation(null);
+    setActiveStepIndex(null);
+    voiceGuideRef.current = null;
+    stopSpeaking();
+  };
+
+  // Picking a step in the list shows it on the map and, with voice guidance on, reads it out
+  const toggleActiveStep = (index) => {
+    if (activeStepIndex === index) {
+      setActiveStepIndex(null);
+    } else {
+      setActiveStepIndex(index);
+      speakStep(activeRoute.steps[index]);
+    }
+  };
 
   // Open in external maps app
   const openInMaps = (service) => {
     if (!sourceLocation || !destination) return;
     
     let url = '';
+    // Intermediate stops, or the middle of a non-default alternative so the app picks the same roads
+    const midpoint = selectedRouteIndex > 0 && activeRoute ? routeMidpoint(activeRoute) : null;
+    const via = stops.length > 1 ?
+      stops.slice(0, -1).map(stop => [stop.lat, stop.lng]) :
+      midpoint ? [midpoint] : [];
+    const destinations = [...via, [destination.lat, destination.lng]];
     
     switch (service) {
       case 'google':
-        url = `https://www.google.com/maps/dir/${sourceLocation.lat},${sourceLocation.lng}/${destination.lat},${destination.lng}`;
+        url = `https://www.google.com/maps/dir/${sourceLocation.lat},${sourceLocation.lng}/${destinations.map(point => point.join(',')).join('/')}`;
         break;
       case 'apple':
-        url = `http://maps.apple.com/?saddr=${sourceLocation.lat},${sourceLocation.lng}&daddr=${destination.lat},${destination.lng}`;
+        url = `http://maps.apple.com/?saddr=${sourceLocation.lat},${sourceLocation.lng}&daddr=${destinations.map(point => point.join(',')).join('+to:')}`;
         break;
       case 'waze':
         url = `https://waze.com/ul?ll=${destination.lat},${destination.lng}&navigate=yes`;
@@ -486,7 +767,10 @@ const DirectionsPage = () => {
           {destination && (
             <div className="flex items-center gap-3 text-gray-300">
               <Target className="w-5 h-5 text-green-400" />
-              <span>Navigating to: <strong className="text-white">{destination.name}</strong></span>
+              <span>
+                Navigating to: <strong className="text-white">{destination.name}</strong>
+                {stops.length > 1 && ` via ${stops.length - 1} stop${stops.length > 2 ? 's' : ''}`}
+              </span>
             </div>
           )}
         </div>
@@ -532,7 +816,7 @@ const DirectionsPage = () => {
                 whileHover={{ scale: 1.02 }}
                 whileTap={{ scale: 0.98 }}
                 className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-all duration-300 ${
-                  !useCurrentLocation
+                  !useCurrentLocation && !savedSourceName
                     ? 'bg-purple-500/30 border border-purple-500/50 text-purple-300'
                     : 'bg-gray-700/50 border border-gray-600/50 text-gray-400 hover:text-white hover:bg-gray-600/50'
                 }`}
@@ -542,6 +826,29 @@ const DirectionsPage = () => {
               </motion.button>
             </div>
 
+            {/* Saved locations as one-click starts */}
+            {savedLocations.length > 0 && (
+              <div className="flex flex-wrap gap-2" aria-label="Start from a saved location">
+                {savedLocations.map(saved => (
+                  <button
+                    key={saved.id}
+                    onClick={() => handleUseSavedLocation(saved)}
+                    disabled={routeLoading}
+                    aria-pressed={savedSourceName === saved.name}
+                    title={saved.display_name}
+                    className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm border transition-colors disabled:opacity-50 ${
+                      savedSourceName === saved.name
+                        ? 'bg-green-500/20 border-green-500/40 text-green-200'
+                        : 'bg-gray-700/50 border-gray-600/50 text-gray-400 hover:text-white'
+                    }`}
+                  >
+                    <span>{getSavedLocationIcon(saved.name)}</span>
+                    {saved.name}
+                  </button>
+                ))}
+              </div>
+            )}
+
             {/* Address Input (shown when not using current location) */}
             {!useCurrentLocation && (
               <motion.div
@@ -590,7 +897,7 @@ const DirectionsPage = () => {
                 <div className="flex items-center gap-2 mb-2">
                   <div className="w-2 h-2 bg-green-400 rounded-full pulse-ring"></div>
                   <span className="text-green-300 text-sm font-medium">
-                    {useCurrentLocation ? 'Current Location' : 'Selected Location'}
+                    {sourceLabel}
                   </span>
                 </div>
                 <p className="text-white/90 text-sm">
@@ -615,6 +922,37 @@ const DirectionsPage = () => {
           </div>
         </motion.div>
 
+        {/* Trip Stops */}
+        {hasStops && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="floating-card"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-white flex items-center gap-3">
+                <Route className="w-6 h-6 text-orange-400" />
+                {stops.length > 1 ? 'Trip Stops' : 'Destination'}
+              </h2>
+              {routeLoading && (
+                <span className="flex items-center gap-2 text-sm text-gray-400">
+                  <div className="w-4 h-4 border-2 border-gray-400 border-t-transparent rounded-full animate-spin"></div>
+                  Updating route...
+                </span>
+              )}
+            </div>
+            <TripStops
+              stops={stops}
+              legs={stops.length > 1 ? activeRoute?.legs || [] : []}
+              onChange={updateStops}
+              onOptimize={handleOptimizeStops}
+              optimizing={optimizing}
+              canOptimize={!!sourceLocation}
+              getShareUrl={getShareUrl}
+            />
+          </motion.div>
+        )}
+
         {/* Error Display */}
         {error && (
           <motion.div
@@ -704,7 +1042,9 @@ const DirectionsPage = () => {
               </h2>
               <div className="flex items-center gap-2 bg-green-500/20 px-3 py-1 rounded-full">
                 <Zap className="w-4 h-4 text-green-400" />
-                <span className="text-green-300 text-sm font-medium">Optimal Route</span>
+                <span className="text-green-300 text-sm font-medium">
+                  {routeOptions.length > 1 ? `${getRouteLabel(routeOptions, selectedRouteIndex)} Route` : 'Optimal Route'}
+                </span>
               </div>
             </div>
 
@@ -712,13 +1052,13 @@ const DirectionsPage = () => {
               <div className="bg-blue-500/20 border border-blue-500/30 rounded-xl p-4 text-center">
                 <MapPin className="w-8 h-8 text-blue-400 mx-auto mb-2" />
                 <p className="text-blue-300 font-medium">Distance</p>
-                <p className="text-white text-2xl font-bold">{routeInfo.distance} km</p>
+                <p className="text-white text-2xl font-bold">{activeRoute.distance} km</p>
               </div>
               
               <div className="bg-purple-500/20 border border-purple-500/30 rounded-xl p-4 text-center">
                 <Clock className="w-8 h-8 text-purple-400 mx-auto mb-2" />
                 <p className="text-purple-300 font-medium">Duration</p>
-                <p className="text-white text-2xl font-bold">{routeInfo.duration}</p>
+                <p className="text-white text-2xl font-bold">{formatDuration(activeRoute.duration)}</p>
               </div>
               
               <div className="bg-green-500/20 border border-green-500/30 rounded-xl p-4 text-center">
@@ -730,6 +1070,18 @@ const DirectionsPage = () => {
               </div>
             </div>
 
+            {/* Route Options */}
+            {routeOptions.length > 1 && (
+              <div className="mb-6">
+                <h3 className="text-white font-semibold mb-3">Route Options</h3>
+                <RouteAlternatives
+                  routes={routeOptions}
+                  selectedIndex={selectedRouteIndex}
+                  onSelect={selectRoute}
+                />
+              </div>
+            )}
+
             {/* Travel Mode Selector */}
             <div className="mb-6">
               <h3 className="text-white font-semibold mb-3">Travel Mode</h3>
@@ -739,8 +1091,8 @@ const DirectionsPage = () => {
                     key={mode.id}
                     onClick={async () => {
                       setTravelMode(mode.id);
-                      if (userLocation && destination) {
-                        await calculateRoute(userLocation, destination);
+                      if (sourceLocation && hasStops) {
+                        await calculateRoute(sourceLocation, stops, mode.id);
                       }
                     }}
                     whileHover={{ scale: 1.05 }}
@@ -797,6 +1149,77 @@ const DirectionsPage = () => {
           </motion.div>
         )}
 
+        {/* Live Navigation */}
+        {navigation && activeRoute && destination && (
+          <NavigationPanel
+            navigation={navigation}
+            route={activeRoute}
+            destination={destination}
+            onStop={stopNavigation}
+          />
+        )}
+
+        {/* Route Map */}
+        {routeInfo && sourceLocation && destination && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 }}
+            className="floating-card"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold text-white flex items-center gap-3">
+                <MapPin className="w-5 h-5 text-blue-400" />
+                Route Map
+              </h3>
+              <div className="flex items-center gap-3">
+                {(routeInfo.source === 'enhanced_mock' || routeInfo.source === 'fallback') && (
+                  <span className="text-xs text-yellow-300 bg-yellow-500/20 px-2 py-1 rounded-full">
+                    Approximate – straight line, not the actual roads
+                  </span>
+                )}
+                <ExportMenu onExport={handleExportRoute} label="Export route" />
+                {!navigation && import.meta.env.DEV && (
+                  <motion.button
+                    onClick={() => startNavigation(true)}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    className="bg-purple-500/20 hover:bg-purple-500/30 border border-purple-500/30 text-purple-300 py-2 px-3 rounded-lg text-sm font-medium flex items-center gap-2"
+                    title="Drive along the route with a simulated position (development builds only)"
+                  >
+                    <FlaskConical className="w-4 h-4" />
+                    Simulate
+                  </motion.button>
+                )}
+                {!navigation && (
+                  <motion.button
+                    onClick={() => startNavigation()}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    className="bg-gradient-to-r from-blue-500 to-purple-500 text-white py-2 px-4 rounded-lg text-sm font-medium flex items-center gap-2"
+                    title="Follow your location along the route with live turn-by-turn guidance"
+                  >
+                    <Play className="w-4 h-4" />
+                    Start
+                  </motion.button>
+                )}
+              </div>
+            </div>
+            <div className="h-80 rounded-xl overflow-hidden">
+              <RouteMap
+                start={sourceLocation}
+                end={destination}
+                waypoints={stops.slice(0, -1)}
+                routes={routeOptions}
+                selectedIndex={selectedRouteIndex}
+                onSelectRoute={selectRoute}
+                activeStepIndex={activeStepIndex}
+                position={navigation?.position}
+              />
+            </div>
+          </motion.div>
+        )}
+
         {/* Location Details */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           {/* From */}
@@ -808,7 +1231,7 @@ const DirectionsPage = () => {
           >
             <h3 className="text-xl font-bold text-white mb-4 flex items-center gap-3">
               <div className="w-3 h-3 bg-green-400 rounded-full pulse-ring"></div>
-              From ({useCurrentLocation ? 'Current Location' : 'Selected Location'})
+              From ({sourceLabel})
             </h3>
             {sourceLocation && (
               <div className="space-y-2 text-gray-300">
@@ -850,9 +1273,11 @@ const DirectionsPage = () => {
                   <MapPin className="w-4 h-4 text-red-400" />
                   <span>{destination.address}</span>
                 </p>
-                <p className="text-sm text-gray-400">
-                  Distance from search center: {destination.distance} km
-                </p>
+                {destination.distance !== undefined && (
+                  <p className="text-sm text-gray-400">
+                    Distance from search center: {destination.distance} km
+                  </p>
+                )}
               </div>
             )}
           </motion.div>
@@ -866,11 +1291,12 @@ const DirectionsPage = () => {
             transition={{ delay: 0.4 }}
             className="floating-card"
           >
-            <div className="flex items-center justify-between mb-4">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
               <h3 className="text-xl font-bold text-white flex items-center gap-3">
                 <Navigation className="w-5 h-5 text-blue-400" />
                 Route Steps
               </h3>
+              <VoiceControls />
               {routeInfo.source && (
                 <div className="flex items-center gap-2 text-xs">
                   <span className="text-gray-400">Powered by:</span>
@@ -888,32 +1314,48 @@ const DirectionsPage = () => {
               )}
             </div>
             <div className="space-y-3">
-              {routeInfo.steps.map((step, index) => (
-                <motion.div
-                  key={index}
-                  initial={{ opacity: 0, x: -20 }}
-                  animate={{ opacity: 1, x: 0 }}
-                  transition={{ delay: 0.1 * index }}
-                  className="flex items-center gap-4 p-3 bg-gray-800/50 rounded-lg border border-gray-700/50"
-                >
-                  <div className="w-8 h-8 bg-blue-500/20 border border-blue-500/30 rounded-full flex items-center justify-center text-blue-300 font-bold text-sm">
-                    {index + 1}
-                  </div>
-                  <div className="flex-1">
-                    <p className="text-white font-medium">{step.instruction}</p>
-                    <div className="flex items-center gap-4 text-sm">
-                      <span className="text-gray-400">{step.distance}</span>
-                      {step.duration && step.duration !== "0 min" && (
-                        <span className="text-blue-300">• {step.duration}</span>
-                      )}
-                      {step.maneuver && (
-                        <span className="text-purple-300 text-xs bg-purple-500/20 px-2 py-1 rounded-full">
-                          {step.maneuver}
-                        </span>
-                      )}
+              {activeRoute.steps.map((step, index) => (
+                <React.Fragment key={index}>
+                  {stops.length > 1 && step.leg !== undefined && step.leg !== activeRoute.steps[index - 1]?.leg && (
+                    <p className="text-sm font-semibold text-orange-300 pt-2">
+                      Leg {step.leg + 1}: to {stops[step.leg]?.name}
+                    </p>
+                  )}
+                  <motion.div
+                    initial={{ opacity: 0, x: -20 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    transition={{ delay: 0.1 * index }}
+                    onClick={() => toggleActiveStep(index)}
+                    onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && toggleActiveStep(index)}
+                    role="button"
+                    tabIndex={0}
+                    aria-pressed={activeStepIndex === index}
+                    title="Show this step on the map and read it out"
+                    className={`flex items-center gap-4 p-3 rounded-lg border cursor-pointer transition-colors ${
+                      activeStepIndex === index
+                        ? 'bg-yellow-500/20 border-yellow-500/50'
+                        : 'bg-gray-800/50 border-gray-700/50 hover:bg-gray-700/50'
+                    }`}
+                  >
+                    <div className="w-8 h-8 bg-blue-500/20 border border-blue-500/30 rounded-full flex items-center justify-center text-blue-300 font-bold text-sm">
+                      {index + 1}
+                    </div>
+                    <div className="flex-1">
+                      <p className="text-white font-medium">{step.instruction}</p>
+                      <div className="flex items-center gap-4 text-sm">
+                        <span className="text-gray-400">{step.distance}</span>
+                        {step.duration && step.duration !== "0 min" && (
+                          <span className="text-blue-300">• {step.duration}</span>
+                        )}
+                        {step.maneuver && (
+                          <span className="text-purple-300 text-xs bg-purple-500/20 px-2 py-1 rounded-full">
+                            {step.maneuver}
+                          </span>
+                        )}
+                      </div>
                     </div>
-                  </div>
-                </motion.div>
+                  </motion.div>
+                </React.Fragment>
               ))}
             </div>
           </motion.div>
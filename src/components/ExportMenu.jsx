@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { FileDown, ChevronDown } from 'lucide-react';
+import { EXPORT_FORMATS } from '../services/exportService';
+
+// "Export" button with a format picker. With `scopes` ([{ id, label }]) the user
+// also picks what to export; `onExport(format, scopeId)` does the download.
+// `openUpwards` keeps the menu inside its card when the button sits at the bottom.
+const ExportMenu = ({ onExport, scopes = null, disabled = false, label = 'Export', openUpwards = false }) => {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState(scopes ? scopes[0].id : null);
+
+  const handleExport = (format) => {
+    onExport(format, scope);
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        aria-expanded={open}
+        className="flex items-center gap-2 text-sm text-green-300 py-2 px-3 rounded-lg bg-green-500/10 hover:bg-green-500/20 border border-green-500/30 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <FileDown className="w-4 h-4" />
+        {label}
+        <ChevronDown className={`w-4 h-4 transition-transform ${open ? 'rotate-180' : ''}`} />
+      </button>
+
+      {open && (
+        <div className={`absolute right-0 ${openUpwards ? 'bottom-full mb-2' : 'mt-2'} w-60 z-[1100] bg-gray-900/95 backdrop-blur border border-gray-700/50 rounded-xl shadow-2xl p-3 space-y-3`}>
+          {scopes && (
+            <div className="space-y-1">
+              {scopes.map(option => (
+                <label key={option.id} className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="export-scope"
+                    checked={scope === option.id}
+                    onChange={() => setScope(option.id)}
+                    className="accent-green-500"
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(EXPORT_FORMATS).map(([format, { label: formatLabel }]) => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                className="text-sm text-white py-2 px-3 rounded-lg bg-gray-700/60 hover:bg-green-500/30 transition-colors"
+              >
+                {formatLabel}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
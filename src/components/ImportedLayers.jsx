@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FileUp, Loader2, Trash2, Upload } from 'lucide-react';
+import {
+  IMPORT_ACCEPT,
+  getImportedLayers,
+  importLayerFile,
+  deleteImportedLayer,
+  subscribeImportedLayers
+} from '../services/importService';
+
+// "Import places" (file picker or drop a file anywhere on the page) plus the list of imported layers
+const ImportedLayers = ({ onLayersChange }) => {
+  const [layers, setLayers] = useState(getImportedLayers);
+  const [importing, setImporting] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const dragDepthRef = useRef(0);
+
+  useEffect(() => subscribeImportedLayers(setLayers), []);
+
+  const importFiles = async (files) => {
+    if (files.length === 0) return;
+    setError(null);
+    setImporting(true);
+    try {
+      for (const file of files) {
+        await importLayerFile(file);
+      }
+      if (onLayersChange) await onLayersChange();
+    } catch (err) {
+      console.error('Importing places failed:', err);
+      setError(`Could not import the file: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Dropping a file anywhere on the page imports it
+  useEffect(() => {
+    const hasFiles = (event) => [...(event.dataTransfer?.types || [])].includes('Files');
+
+    const handleDragEnter = (event) => {
+      if (!hasFiles(event)) return;
+      dragDepthRef.current++;
+      setDragging(true);
+    };
+    const handleDragLeave = (event) => {
+      if (!hasFiles(event)) return;
+      dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+      if (dragDepthRef.current === 0) setDragging(false);
+    };
+    const handleDragOver = (event) => {
+      if (hasFiles(event)) event.preventDefault();
+    };
+    const handleDrop = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepthRef.current = 0;
+      setDragging(false);
+      importFiles([...event.dataTransfer.files]);
+    };
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('drop', handleDrop);
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('drop', handleDrop);
+    };
+  });
+
+  const handleFileChange = (event) => {
+    const files = [...event.target.files];
+    event.target.value = ''; // Allow importing the same file again
+    importFiles(files);
+  };
+
+  const handleDelete = async (id) => {
+    await deleteImportedLayer(id);
+    if (onLayersChange) await onLayersChange();
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-800/50 border border-gray-600/50 rounded-lg">
+      <input
+        ref={inputRef}
+        type="file"
+        accept={IMPORT_ACCEPT}
+        multiple
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      <button
+        onClick={() => inputRef.current.click()}
+        disabled={importing}
+        className="w-full flex items-center justify-center gap-2 text-sm text-purple-300 hover:text-purple-200 py-2 px-3 rounded-lg bg-purple-500/10 hover:bg-purple-500/20 border border-purple-500/30 transition-colors disabled:opacity-50"
+        title="Add your own places from a GeoJSON, CSV (lat/lng columns) or GPX file"
+      >
+        {importing ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileUp className="w-4 h-4" />}
+        {importing ? 'Importing…' : 'Import places (GeoJSON, CSV, GPX)'}
+      </button>
+
+      {error && <p className="text-red-300 text-xs mt-2">{error}</p>}
+
+      {layers.length > 0 && (
+        <div className="mt-3 space-y-2">
+          <p className="text-gray-400 text-xs font-medium">Imported layers</p>
+          {layers.map(layer => (
+            <div key={layer.id} className="flex items-center justify-between gap-2 text-xs">
+              <span className="flex items-center gap-1 text-gray-300 truncate" title={layer.name}>
+                <span className="inline-block w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: layer.color }}></span>
+                <span className="truncate">{layer.name}</span>
+                <span className="text-gray-500 flex-shrink-0">· {layer.format.toUpperCase()} · {layer.featureCount} places</span>
+              </span>
+              <button
+                onClick={() => handleDelete(layer.id)}
+                className="text-red-300 hover:text-red-200 p-1 rounded-md hover:bg-red-500/20 transition-colors"
+                title="Remove imported layer"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <AnimatePresence>
+        {dragging && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-[2000] flex items-center justify-center bg-gray-900/80 backdrop-blur-sm pointer-events-none"
+          >
+            <div className="flex flex-col items-center gap-3 p-8 rounded-2xl border-2 border-dashed border-purple-400 text-purple-200">
+              <Upload className="w-10 h-10" />
+              <p className="text-lg font-semibold">Drop a GeoJSON, CSV or GPX file to import its places</p>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default ImportedLayers;
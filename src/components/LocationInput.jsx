@@ -1,16 +1,58 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useId } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Search, Navigation, Loader2, MapPin, Clock } from 'lucide-react';
+import { Search, Navigation, Loader2, MapPin, MapPinned, Clock } from 'lucide-react';
 import { getPlaceSuggestions } from '../services/placesService';
+import { parseCoordinates, formatCoordinates, COORDINATE_FORMAT_NAMES } from '../services/coordinates';
+import {
+  getSavedLocations,
+  subscribeSavedLocations,
+  toSearchLocation,
+  getSavedLocationIcon
+} from '../services/savedLocationsService';
 
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wraps the parts of `text` matching any word of the query in <mark>
+const highlightMatch = (text, query) => {
+  const words = query.trim().split(/[\s,]+/).filter(word => word.length >= 2).map(escapeRegExp);
+  if (!text || words.length === 0) return text;
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+  return text.split(pattern).map((part, index) => (
+    index % 2 === 1 ?
+      <mark key={index} className="bg-transparent text-blue-300 font-semibold">{part}</mark> :
+      part
+  ));
+};
+
+const getSuggestionIcon = (suggestion) => (
+  suggestion.class === 'coordinates' ? '🧭' :
+  suggestion.class === 'amenity' ? '🏢' :
+  suggestion.class === 'place' ? '📍' :
+  suggestion.class === 'highway' ? '🛣️' :
+  suggestion.class === 'tourism' ? '🏛️' :
+  suggestion.class === 'shop' ? '🏪' :
+  suggestion.class === 'building' ? '🏗️' :
+  suggestion.class === 'leisure' ? '🎯' :
+  suggestion.class === 'natural' ? '🌳' :
+  suggestion.osm_type === 'node' ? '📌' :
+  suggestion.osm_type === 'way' ? '🛤️' :
+  suggestion.osm_type === 'relation' ? '🗺️' :
+  <MapPin className="w-4 h-4 text-blue-400" />
+);
+
+// Address box with an ARIA 1.2 combobox: saved locations, recent searches and live
+// suggestions are grouped options picked with the arrow keys and Enter (Escape closes)
 const LocationInput = ({ onAddressSearch, onCurrentLocation, loading, locationSupport, currentLocation }) => {
   const [address, setAddress] = useState('');
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
   const [recentSearches, setRecentSearches] = useState([]);
+  const [savedLocations, setSavedLocations] = useState(getSavedLocations);
+  const [activeIndex, setActiveIndex] = useState(-1);
   const inputRef = useRef(null);
   const suggestionsRef = useRef(null);
+  const listboxId = `${useId().replace(/:/g, '')}-locations`;
 
   // Load recent searches from localStorage
   useEffect(() => {
@@ -20,8 +62,13 @@ const LocationInput = ({ onAddressSearch, onCurrentLocation, loading, locationSu
     }
   }, []);
 
-  // Debounced search for suggestions using our enhanced service
+  useEffect(() => subscribeSavedLocations(setSavedLocations), []);
+
+  // Debounced search for suggestions using our enhanced service.
+  // A newer keystroke aborts the previous lookup so stale requests never reach Nominatim.
   useEffect(() => {
+    const controller = new AbortController();
+
     const searchSuggestions = async () => {
       if (address.length < 2) {
         setSuggestions([]);
@@ -29,10 +76,28 @@ const LocationInput = ({ onAddressSearch, onCurrentLocation, loading, locationSu
         return;
       }
 
+      // Pasted coordinates become the only suggestion, without asking Nominatim
+      const point = parseCoordinates(address, { reference: currentLocation });
+      if (point) {
+        setSuggestions([{
+          id: `coordinates-${point.lat},${point.lng}`,
+          display_name: point.label || address.trim(),
+          short_name: point.label || formatCoordinates(point.lat, point.lng),
+          context: point.label ? formatCoordinates(point.lat, point.lng) : '',
+          lat: point.lat,
+          lng: point.lng,
+          type: COORDINATE_FORMAT_NAMES[point.format],
+          class: 'coordinates'
+        }]);
+        setShowSuggestions(true);
+        return;
+      }
+
       setIsSearching(true);
       try {
         const near = currentLocation ? { lat: currentLocation.lat, lng: currentLocation.lng, radiusKm: 25 } : null;
-        const results = await getPlaceSuggestions(address, 15, near); // Increased limit and biased to current location if available
+        const results = await getPlaceSuggestions(address, 15, near, { signal: controller.signal }); // Increased limit and biased to current location if available
+        if (controller.signal.aborted) return;
         
         const formattedSuggestions = results.map(item => {
           return {
@@ -62,7 +127,10 @@ const LocationInput = ({ onAddressSearch, onCurrentLocation, loading, locationSu
     };
 
     const timeoutId = setTimeout(searchSuggestions, 300); // Debounce
-    return () => clearTimeout(timeoutId);
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
   }, [address, currentLocation]);
 
   // Handle click outside to close suggestions
@@ -126,6 +194,105 @@ const LocationInput = ({ onAddressSearch, onCurrentLocation, loading, locationSu
     });
   };
 
+  const handleSavedLocationClick = (saved) => {
+    setAddress('');
+    setShowSuggestions(false);
+    onAddressSearch(toSearchLocation(saved));
+  };
+
+  // Saved locations whose name contains the typed text, or all of them before typing
+  const matchingSavedLocations = savedLocations.filter(saved => (
+    saved.name.toLowerCase().includes(address.trim().toLowerCase())
+  ));
+
+  // Grouped options in display order; `index` is the position used for arrow-key selection
+  const optionGroups = [
+    {
+      key: 'saved',
+      label: 'Saved Locations',
+      icon: MapPinned,
+      iconClass: 'text-green-400',
+      values: matchingSavedLocations,
+      getId: saved => saved.id
+    },
+    {
+      key: 'recent',
+      label: 'Recent Searches',
+      icon: Clock,
+      iconClass: 'text-gray-400',
+      values: address.length < 3 ? recentSearches : [],
+      getId: (recent, index) => index
+    },
+    {
+      key: 'suggestion',
+      label: 'Suggestions',
+      icon: Search,
+      iconClass: 'text-blue-400',
+      values: suggestions,
+      getId: suggestion => suggestion.id
+    }
+  ].filter(group => group.values.length > 0);
+
+  let optionCount = 0;
+  optionGroups.forEach(group => {
+    group.options = group.values.map((value, index) => ({
+      kind: group.key,
+      value,
+      id: `${listboxId}-${group.key}-${String(group.getId(value, index)).replace(/\W/g, '_')}`,
+      index: optionCount++
+    }));
+  });
+  const options = optionGroups.flatMap(group => group.options);
+  const isOpen = showSuggestions && (options.length > 0 || (address.length >= 3 && !isSearching));
+  const activeOption = isOpen ? options[activeIndex] : undefined;
+
+  let announcement = '';
+  if (isOpen && !isSearching) {
+    announcement = options.length > 0 ?
+      `${options.length} suggestion${options.length === 1 ? '' : 's'} available. Use the up and down arrows to choose.` :
+      `No locations found for ${address}`;
+  }
+
+  // A new set of options starts without a selection
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [suggestions, address, showSuggestions]);
+
+  // Keep the keyboard selection visible in the scrolling list
+  useEffect(() => {
+    if (activeOption) document.getElementById(activeOption.id)?.scrollIntoView({ block: 'nearest' });
+  }, [activeOption]);
+
+  const selectOption = (option) => {
+    if (option.kind === 'saved') {
+      handleSavedLocationClick(option.value);
+    } else if (option.kind === 'recent') {
+      setAddress(option.value);
+      handleSearch(option.value);
+    } else {
+      handleSuggestionClick(option.value);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!isOpen) {
+        setShowSuggestions(true);
+        return;
+      }
+      if (options.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(current => (current === -1 && step === -1 ? options.length - 1 : (current + step + options.length) % options.length));
+    } else if (e.key === 'Enter' && activeOption) {
+      e.preventDefault(); // Pick the option instead of submitting the typed text
+      selectOption(activeOption);
+    } else if (e.key === 'Escape' && isOpen) {
+      e.preventDefault();
+      setShowSuggestions(false);
+    }
+  };
+
   const handleInputChange = (e) => {
     setAddress(e.target.value);
     if (e.target.value.length >= 3) {
@@ -134,7 +301,7 @@ const LocationInput = ({ onAddressSearch, onCurrentLocation, loading, locationSu
   };
 
   const handleInputFocus = () => {
-    if (address.length >= 3 || recentSearches.length > 0) {
+    if (address.length >= 3 || recentSearches.length > 0 || savedLocations.length > 0) {
       setShowSuggestions(true);
     }
   };
@@ -155,6 +322,13 @@ const LocationInput = ({ onAddressSearch, onCurrentLocation, loading, locationSu
             value={address}
             onChange={handleInputChange}
             onFocus={handleInputFocus}
+            onKeyDown={handleKeyDown}
+            role="combobox"
+            aria-label="Address or place name"
+            aria-autocomplete="list"
+            aria-expanded={isOpen}
+            aria-controls={listboxId}
+            aria-activedescendant={activeOption ? activeOption.id : undefined}
             className="w-full pl-10 pr-12 py-3 bg-gray-800/50 border border-gray-600/50 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-blue-400/50 transition-all"
             disabled={loading}
             autoComplete="off"
@@ -162,101 +336,104 @@ const LocationInput = ({ onAddressSearch, onCurrentLocation, loading, locationSu
 
           {/* Suggestions Dropdown */}
           <AnimatePresence>
-            {showSuggestions && (suggestions.length > 0 || recentSearches.length > 0) && (
+            {isOpen && (
               <motion.div
                 ref={suggestionsRef}
+                id={listboxId}
+                role="listbox"
+                aria-label="Locations"
                 initial={{ opacity: 0, y: -10, scale: 0.95 }}
                 animate={{ opacity: 1, y: 0, scale: 1 }}
                 exit={{ opacity: 0, y: -10, scale: 0.95 }}
                 transition={{ duration: 0.2 }}
                 className="absolute top-full left-0 right-0 mt-2 bg-gray-800/95 backdrop-blur-xl border border-gray-600/50 rounded-xl shadow-2xl z-50 max-h-80 overflow-y-auto custom-scrollbar"
               >
-                {/* Recent Searches */}
-                {recentSearches.length > 0 && address.length < 3 && (
-                  <div className="p-3 border-b border-gray-600/30">
-                    <div className="flex items-center gap-2 mb-2">
-                      <Clock className="w-4 h-4 text-gray-400" />
-                      <span className="text-sm font-medium text-gray-300">Recent Searches</span>
-                    </div>
-                    {recentSearches.map((recent, index) => (
-                      <motion.button
-                        key={index}
-                        initial={{ opacity: 0, x: -10 }}
-                        animate={{ opacity: 1, x: 0 }}
-                        transition={{ delay: index * 0.05 }}
-                        onClick={() => {
-                          setAddress(recent);
-                          handleSearch(recent);
-                        }}
-                        className="w-full text-left px-3 py-2 text-sm text-gray-300 hover:bg-gray-700/50 rounded-lg transition-colors flex items-center gap-2"
-                      >
-                        <MapPin className="w-3 h-3 text-gray-500" />
-                        <span className="truncate">{recent}</span>
-                      </motion.button>
-                    ))}
-                  </div>
-                )}
-
-                {/* Live Suggestions */}
-                {suggestions.length > 0 && (
-                  <div className="p-3">
-                    <div className="flex items-center gap-2 mb-2">
-                      <Search className="w-4 h-4 text-blue-400" />
-                      <span className="text-sm font-medium text-gray-300">Suggestions</span>
-                    </div>
-                    {suggestions.map((suggestion, index) => (
-                      <motion.button
-                        key={suggestion.id}
-                        initial={{ opacity: 0, x: -10 }}
-                        animate={{ opacity: 1, x: 0 }}
-                        transition={{ delay: index * 0.05 }}
-                        onClick={() => handleSuggestionClick(suggestion)}
-                        className="w-full text-left px-3 py-3 hover:bg-gray-700/50 rounded-lg transition-colors group"
-                      >
-                        <div className="flex items-start gap-3">
-                          <div className="flex-shrink-0 mt-0.5">
-                            {suggestion.class === 'amenity' ? '🏢' :
-                             suggestion.class === 'place' ? '📍' :
-                             suggestion.class === 'highway' ? '🛣️' :
-                             suggestion.class === 'tourism' ? '🏛️' :
-                             suggestion.class === 'shop' ? '🏪' :
-                             suggestion.class === 'building' ? '🏗️' :
-                             suggestion.class === 'leisure' ? '🎯' :
-                             suggestion.class === 'natural' ? '🌳' :
-                             suggestion.osm_type === 'node' ? '📌' :
-                             suggestion.osm_type === 'way' ? '🛤️' :
-                             suggestion.osm_type === 'relation' ? '🗺️' :
-                             <MapPin className="w-4 h-4 text-blue-400" />}
-                          </div>
-                          <div className="flex-1 min-w-0">
-                            <div className="text-white text-sm font-medium group-hover:text-blue-300 transition-colors truncate">
-                              {suggestion.short_name}
-                            </div>
-                            {suggestion.context && (
-                              <div className="text-blue-300 text-xs mt-0.5 truncate">
-                                {suggestion.context}
+                {optionGroups.map(group => {
+                  const GroupIcon = group.icon;
+                  return (
+                    <div
+                      key={group.key}
+                      role="group"
+                      aria-labelledby={`${listboxId}-${group.key}`}
+                      className="p-3 border-b border-gray-600/30 last:border-b-0"
+                    >
+                      <div className="flex items-center gap-2 mb-2" role="presentation">
+                        <GroupIcon className={`w-4 h-4 ${group.iconClass}`} />
+                        <span id={`${listboxId}-${group.key}`} className="text-sm font-medium text-gray-300">{group.label}</span>
+                      </div>
+                      {group.options.map(option => {
+                        const active = option.index === activeIndex;
+                        return (
+                          <motion.div
+                            key={option.id}
+                            id={option.id}
+                            role="option"
+                            aria-selected={active}
+                            initial={{ opacity: 0, x: -10 }}
+                            animate={{ opacity: 1, x: 0 }}
+                            transition={{ delay: option.index * 0.05 }}
+                            onMouseDown={(e) => e.preventDefault()} // Keep focus in the input
+                            onMouseEnter={() => setActiveIndex(option.index)}
+                            onClick={() => selectOption(option)}
+                            className={`w-full text-left px-3 rounded-lg transition-colors cursor-pointer group ${
+                              option.kind === 'suggestion' ? 'py-3' : 'py-2 text-sm text-gray-300 flex items-center gap-2'
+                            } ${active ? 'bg-gray-700/70 ring-1 ring-blue-400/50' : 'hover:bg-gray-700/50'}`}
+                          >
+                            {option.kind === 'saved' && (
+                              <>
+                                <span aria-hidden="true">{getSavedLocationIcon(option.value.name)}</span>
+                                <span className="font-medium text-white">{highlightMatch(option.value.name, address)}</span>
+                                <span className="truncate text-xs text-gray-500">{option.value.display_name}</span>
+                              </>
+                            )}
+                            {option.kind === 'recent' && (
+                              <>
+                                <MapPin className="w-3 h-3 text-gray-500" aria-hidden="true" />
+                                <span className="truncate">{option.value}</span>
+                              </>
+                            )}
+                            {option.kind === 'suggestion' && (
+                              <div className="flex items-start gap-3">
+                                <div className="flex-shrink-0 mt-0.5" aria-hidden="true">
+                                  {getSuggestionIcon(option.value)}
+                                </div>
+                                <div className="flex-1 min-w-0">
+                                  <div className="text-white text-sm font-medium group-hover:text-blue-300 transition-colors truncate">
+                                    {highlightMatch(option.value.short_name, address)}
+                                  </div>
+                                  {option.value.context && (
+                                    <div className="text-blue-300 text-xs mt-0.5 truncate">
+                                      {highlightMatch(option.value.context, address)}
+                                    </div>
+                                  )}
+                                  <div className="text-gray-400 text-xs mt-1 truncate">
+                                    {option.value.type} • {option.value.class}
+                                    {option.value.address?.state && ` • ${option.value.address.state}`}
+                                  </div>
+                                </div>
                               </div>
                             )}
-                            <div className="text-gray-400 text-xs mt-1 truncate">
-                              {suggestion.type} • {suggestion.class}
-                              {suggestion.address?.state && ` • ${suggestion.address.state}`}
-                            </div>
-                          </div>
-                        </div>
-                      </motion.button>
-                    ))}
-                  </div>
-                )}
+                          </motion.div>
+                        );
+                      })}
+                    </div>
+                  );
+                })}
 
                 {/* No suggestions found */}
-                {suggestions.length === 0 && recentSearches.length === 0 && address.length >= 3 && !isSearching && (
-                  <div className="p-4 text-center text-gray-400 text-sm">
+                {options.length === 0 && (
+                  <div className="p-4 text-center text-gray-400 text-sm" role="presentation">
                     No locations found for "{address}"
                   </div>
                 )}
               </motion.div>
             )}
           </AnimatePresence>
+
+          {/* Screen reader announcement of the result count */}
+          <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+            {announcement}
+          </div>
         </div>
         
         <motion.button
@@ -275,6 +452,30 @@ const LocationInput = ({ onAddressSearch, onCurrentLocation, loading, locationSu
         </motion.button>
       </form>
 
+      {/* Saved location shortcuts */}
+      {savedLocations.length > 0 && (
+        <div className="flex flex-wrap gap-2" aria-label="Search near a saved location">
+          {savedLocations.map(saved => (
+            <button
+              key={saved.id}
+              type="button"
+              onClick={() => handleSavedLocationClick(saved)}
+              disabled={loading}
+              aria-pressed={currentLocation?.savedName === saved.name}
+              title={saved.display_name}
+              className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm border transition-colors disabled:opacity-50 ${
+                currentLocation?.savedName === saved.name
+                  ? 'bg-green-500/20 border-green-500/40 text-green-200'
+                  : 'bg-gray-800/50 border-gray-600/50 text-gray-300 hover:text-white'
+              }`}
+            >
+              <span>{getSavedLocationIcon(saved.name)}</span>
+              {saved.name}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Divider */}
       <div className="flex items-center gap-4">
         <div className="flex-1 h-px bg-white/20"></div>
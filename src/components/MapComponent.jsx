@@ -1,7 +1,26 @@
-import React, { useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Circle, useMap } from 'react-leaflet';
+import React, { useEffect, useRef, useState, useMemo, useCallback } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Tooltip, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
+import { Link } from 'react-router-dom';
 import 'leaflet/dist/leaflet.css';
+import ProvenanceBadge from './ProvenanceBadge.jsx';
+import OpeningStatusBadge from './OpeningStatusBadge.jsx';
+import WeeklyHoursTable from './WeeklyHoursTable.jsx';
+import RelevanceBadge from './RelevanceBadge.jsx';
+import SaveToListButton from './SaveToListButton.jsx';
+import MapLegend from './MapLegend.jsx';
+import SearchAreaLayer from './SearchAreaLayer.jsx';
+import SearchAreaToolbar from './SearchAreaToolbar.jsx';
+import SearchThisAreaButton from './SearchThisAreaButton.jsx';
+import { TILE_URL } from '../services/offlineService';
+import { getCategory, getCategoryColor, calculateDistance } from '../services/placesService';
+import { getPlacePath } from '../services/searchUrl';
+import { getSavedLists, subscribeSavedLists, savedPlaceKey } from '../services/savedListsService';
+import { clusterPlaces, padBounds, CLUSTERING_MAX_ZOOM } from '../services/clustering';
+import { getRegionProfile, subscribeRegion } from '../services/regionService';
+
+const AUTO_SEARCH_DELAY = 800; // ms after the map stops moving
+const MAX_VIEW_SEARCH_KM = 100; // Largest diagonal "Search this area" or a drawn shape will query
 
 // Fix for default markers in React Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -38,6 +57,64 @@ const createCustomIcon = (emoji, color = '#3b82f6') => {
   });
 };
 
+// Markers of the same category share one icon instead of building thousands of them
+const placeIcons = new Map();
+const getPlaceIcon = (place) => {
+  const key = `${place.category}|${place.icon}`;
+  if (!placeIcons.has(key)) {
+    placeIcons.set(key, createCustomIcon(place.icon, getCategoryColor(place.category)));
+  }
+  return placeIcons.get(key);
+};
+
+// Saved places (favourites and lists) get a gold star so they stand out from search results
+const savedPlaceIcon = createCustomIcon('⭐', '#eab308');
+
+// Cluster bubble: a ring split by category share around the place count
+const createClusterIcon = (cluster) => {
+  const size = cluster.count < 10 ? 36 : cluster.count < 100 ? 44 : 52;
+  let offset = 0;
+  const segments = Object.entries(cluster.categories)
+    .sort((a, b) => b[1] - a[1])
+    .map(([categoryKey, count]) => {
+      const end = offset + (count / cluster.count) * 100;
+      const segment = `${getCategoryColor(categoryKey)} ${offset}% ${end}%`;
+      offset = end;
+      return segment;
+    });
+
+  return L.divIcon({
+    html: `
+      <div style="
+        width: ${size}px;
+        height: ${size}px;
+        border-radius: 50%;
+        background: conic-gradient(${segments.join(', ')});
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      ">
+        <div style="
+          width: ${size - 12}px;
+          height: ${size - 12}px;
+          border-radius: 50%;
+          background: white;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 13px;
+          font-weight: 700;
+          color: #1f2937;
+        ">${cluster.count}</div>
+      </div>
+    `,
+    className: 'place-cluster-marker',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+};
+
 // User location icon
 const userLocationIcon = L.divIcon({
   html: `
@@ -63,18 +140,53 @@ const userLocationIcon = L.divIcon({
   iconAnchor: [10, 10]
 });
 
-// Component to update map view when location changes
-const MapUpdater = ({ location, places }) => {
+const toBounds = (latLngBounds) => ({
+  south: latLngBounds.getSouth(),
+  west: latLngBounds.getWest(),
+  north: latLngBounds.getNorth(),
+  east: latLngBounds.getEast()
+});
+
+// Keeps the map on the current search until the user takes over the viewport.
+// A new location recenters the map (unless it is already in view after the user
+// moved the map) and new results are fitted into view; once the user drags or
+// zooms, the view is left alone and every move they make is reported via `onUserMove`.
+const MapUpdater = ({ location, places, onUserMove }) => {
   const map = useMap();
+  const interactedRef = useRef(false);
+  const autoMoveRef = useRef(false); // Set while the map is moved by this component or popup auto-pan
+
+  useMapEvents({
+    dragstart: () => {
+      interactedRef.current = true;
+      autoMoveRef.current = false;
+    },
+    zoomstart: () => {
+      if (!autoMoveRef.current) interactedRef.current = true;
+    },
+    autopanstart: () => {
+      autoMoveRef.current = true;
+    },
+    moveend: () => {
+      if (autoMoveRef.current) {
+        autoMoveRef.current = false;
+      } else if (interactedRef.current) {
+        onUserMove(toBounds(map.getBounds()));
+      }
+    }
+  });
 
   useEffect(() => {
     if (location) {
+      if (interactedRef.current && map.getBounds().contains([location.lat, location.lng])) return;
+      interactedRef.current = false;
+      autoMoveRef.current = true;
       map.setView([location.lat, location.lng], 13);
     }
   }, [location, map]);
 
   useEffect(() => {
-    if (location && places.length > 0) {
+    if (location && places.length > 0 && !interactedRef.current) {
       const bounds = L.latLngBounds();
       bounds.extend([location.lat, location.lng]);
       
@@ -82,6 +194,7 @@ const MapUpdater = ({ location, places }) => {
         bounds.extend([place.lat, place.lng]);
       });
       
+      autoMoveRef.current = true;
       map.fitBounds(bounds, { padding: [20, 20] });
     }
   }, [location, places, map]);
@@ -89,164 +202,393 @@ const MapUpdater = ({ location, places }) => {
   return null;
 };
 
-const MapComponent = ({ location, places, radius }) => {
+const PlacePopup = ({ place }) => (
+    <Popup maxWidth={300} className="custom-popup">
+      <div className="p-3">
+        <div className="flex items-start gap-3 mb-3">
+          <div className="text-2xl">{place.icon}</div>
+          <div className="flex-1">
+            <h3 className="font-semibold text-lg text-gray-800 leading-tight">
+              {place.name}
+            </h3>
+            <p className="text-gray-600 text-sm">{place.categoryName}</p>
+            {place.provenance && (
+              <div className="mt-1">
+                <ProvenanceBadge provenance={place.provenance} theme="light" />
+              </div>
+            )}
+          </div>
+          <div className="flex flex-col items-end gap-1">
+            <RelevanceBadge place={place} theme="light" />
+            <SaveToListButton place={place} theme="light" />
+          </div>
+        </div>
+
+        <div className="space-y-2 mb-3">
+          <div className="flex items-center gap-2 text-gray-700 text-sm">
+            <span className="text-blue-500">📍</span>
+            <span>{place.distance} km away</span>
+          </div>
+                
+          <div className="flex items-start gap-2 text-gray-600 text-sm">
+            <span className="text-gray-400 mt-0.5">📍</span>
+            <span>{place.address}</span>
+          </div>
+
+          {place.opening_hours && (
+            <div className="flex items-start gap-2 text-gray-600 text-sm">
+              <span className="text-green-500">🕒</span>
+              <div className="flex-1">
+                <OpeningStatusBadge place={place} theme="light" />
+                <details className="mt-1">
+                  <summary className="cursor-pointer text-xs text-gray-500">Opening hours</summary>
+                  <div className="mt-1">
+                    <WeeklyHoursTable place={place} theme="light" />
+                  </div>
+                </details>
+              </div>
+            </div>
+          )}
+
+          {place.phone && (
+            <div className="flex items-center gap-2 text-gray-600 text-sm">
+              <span className="text-blue-500">📞</span>
+              <span>{place.phone}</span>
+            </div>
+          )}
+
+          {getPlacePath(place) && (
+            <Link to={getPlacePath(place)} className="block text-blue-600 hover:text-blue-700 text-sm font-medium">
+              More details →
+            </Link>
+          )}
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => {
+              const url = `https://www.google.com/maps/dir/?api=1&destination=${place.lat},${place.lng}`;
+              window.open(url, '_blank');
+            }}
+            className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-3 rounded-lg text-sm font-medium transition-colors duration-200 flex items-center justify-center gap-2"
+          >
+            🧭 Directions
+          </button>
+
+          {place.phone && (
+            <button
+              onClick={() => window.open(`tel:${place.phone}`, '_self')}
+              className="bg-green-500 hover:bg-green-600 text-white py-2 px-3 rounded-lg text-sm font-medium transition-colors duration-200"
+            >
+              📞
+            </button>
+          )}
+
+          {place.website && (
+            <button
+              onClick={() => window.open(place.website, '_blank')}
+              className="bg-purple-500 hover:bg-purple-600 text-white py-2 px-3 rounded-lg text-sm font-medium transition-colors duration-200"
+            >
+              🌐
+            </button>
+          )}
+        </div>
+      </div>
+    </Popup>
+);
+
+// Re-clusters the places in view whenever the map stops moving or zooming
+const PlaceMarkers = ({ places }) => {
+  const map = useMap();
+  const [view, setView] = useState(() => ({ zoom: map.getZoom(), bounds: toBounds(map.getBounds()) }));
+
+  useMapEvents({
+    moveend: () => setView({ zoom: map.getZoom(), bounds: toBounds(map.getBounds()) })
+  });
+
+  const clusters = useMemo(
+    () => clusterPlaces(places, { zoom: view.zoom, bounds: padBounds(view.bounds) }),
+    [places, view]
+  );
+
+  const zoomToCluster = (cluster) => {
+    const { south, west, north, east } = cluster.bounds;
+    if (south === north && west === east) {
+      map.setView([cluster.lat, cluster.lng], CLUSTERING_MAX_ZOOM);
+    } else {
+      map.fitBounds([[south, west], [north, east]], { padding: [40, 40], maxZoom: CLUSTERING_MAX_ZOOM });
+    }
+  };
+
+  return clusters.map(cluster => {
+    if (cluster.count === 1) {
+      const place = cluster.places[0];
+      return (
+        <Marker key={place.id} position={[place.lat, place.lng]} icon={getPlaceIcon(place)}>
+          <PlacePopup place={place} />
+        </Marker>
+      );
+    }
+
+    return (
+      <Marker
+        key={cluster.id}
+        position={[cluster.lat, cluster.lng]}
+        icon={createClusterIcon(cluster)}
+        eventHandlers={{ click: () => zoomToCluster(cluster) }}
+      >
+        <Tooltip direction="top" offset={[0, -20]}>
+          <div className="text-xs">
+            <div className="font-semibold mb-1">{cluster.count} places · click to zoom in</div>
+            {Object.entries(cluster.categories)
+              .sort((a, b) => b[1] - a[1])
+              .map(([categoryKey, count]) => (
+                <div key={categoryKey} className="flex items-center gap-2">
+                  <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: getCategoryColor(categoryKey) }}></span>
+                  <span>{getCategory(categoryKey)?.name || categoryKey}: {count}</span>
+                </div>
+              ))}
+          </div>
+        </Tooltip>
+      </Marker>
+    );
+  });
+};
+
+// Places from the visible saved lists that aren't already among the search results
+const SavedPlaceMarkers = ({ lists, places }) => {
+  const shownKeys = new Set(places.map(savedPlaceKey));
+  const seen = new Set();
+  return lists.flatMap(list => list.places
+    .filter(place => {
+      const key = savedPlaceKey(place);
+      if (shownKeys.has(key) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(place => (
+      <Marker key={`saved-${savedPlaceKey(place)}`} position={[place.lat, place.lng]} icon={savedPlaceIcon}>
+        <PlacePopup place={place} />
+      </Marker>
+    )));
+};
+
+const MapComponent = ({ location, places, radius, searchArea = null, onSearchAreaChange, onCircleChange }) => {
   const mapRef = useRef();
 
-  // Default center (if no location provided)
-  const defaultCenter = [40.7128, -74.0060]; // New York City
-
-  // Category colors for markers
-  const categoryColors = {
-    airport: '#3b82f6',
-    bus_station: '#10b981',
-    train_station: '#f59e0b',
-    taxi_stand: '#eab308',
-    ferry_terminal: '#06b6d4',
-    truck_stop: '#8b5cf6',
-    cafe: '#f97316',
-    restaurant: '#ef4444',
-    lodging: '#ec4899'
+  // The region's default center, shown until there is a location
+  const [region, setRegion] = useState(getRegionProfile);
+  useEffect(() => subscribeRegion(setRegion), []);
+  const defaultCenter = region.center;
+
+  const [hiddenCategories, setHiddenCategories] = useState(() => new Set());
+  const [savedLists, setSavedLists] = useState(getSavedLists);
+  const [hiddenLists, setHiddenLists] = useState(() => new Set());
+  const [drawMode, setDrawMode] = useState(null); // null, 'rectangle' or 'polygon'
+  const [drawTooLarge, setDrawTooLarge] = useState(false); // The last drawn shape was refused
+  const [movedBounds, setMovedBounds] = useState(null); // Viewport the user moved to, not searched yet
+  const [autoSearch, setAutoSearch] = useState(() => localStorage.getItem('autoSearchOnMove') === 'true');
+  const canEditArea = !!onSearchAreaChange;
+
+  const viewTooLarge = movedBounds &&
+    calculateDistance(movedBounds.south, movedBounds.west, movedBounds.north, movedBounds.east) > MAX_VIEW_SEARCH_KM;
+
+  const visiblePlaces = useMemo(
+    () => places.filter(place => !hiddenCategories.has(place.category)),
+    [places, hiddenCategories]
+  );
+
+  const toggleCategory = (categoryKey) => {
+    setHiddenCategories(prev => {
+      const next = new Set(prev);
+      if (next.has(categoryKey)) {
+        next.delete(categoryKey);
+      } else {
+        next.add(categoryKey);
+      }
+      return next;
+    });
+  };
+
+  useEffect(() => subscribeSavedLists(setSavedLists), []);
+
+  const visibleLists = useMemo(
+    () => savedLists.filter(list => !hiddenLists.has(list.id)),
+    [savedLists, hiddenLists]
+  );
+
+  const toggleList = (listId) => {
+    setHiddenLists(prev => {
+      const next = new Set(prev);
+      if (next.has(listId)) {
+        next.delete(listId);
+      } else {
+        next.add(listId);
+      }
+      return next;
+    });
+  };
+
+  // Read through a ref so a new handler from the parent doesn't restart the auto-search delay
+  const onSearchAreaChangeRef = useRef(onSearchAreaChange);
+  onSearchAreaChangeRef.current = onSearchAreaChange;
+
+  const searchBounds = useCallback((bbox) => {
+    onSearchAreaChangeRef.current({ type: 'rectangle', bbox });
+    setMovedBounds(null);
+  }, []);
+
+  const searchVisibleArea = () => searchBounds(movedBounds);
+
+  const toggleAutoSearch = () => {
+    const enabled = !autoSearch;
+    setAutoSearch(enabled);
+    localStorage.setItem('autoSearchOnMove', String(enabled));
+  };
+
+  // A location picked outside the map starts over from its own view
+  useEffect(() => {
+    setMovedBounds(null);
+  }, [location?.lat, location?.lng]);
+
+  // Auto-search: query the view once the user stops moving the map
+  useEffect(() => {
+    if (!autoSearch || !movedBounds || viewTooLarge || drawMode || !canEditArea) return;
+    const timer = setTimeout(() => searchBounds(movedBounds), AUTO_SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [autoSearch, movedBounds, viewTooLarge, drawMode, canEditArea, searchBounds]);
+
+  // The hint about a refused shape only lasts while drawing it
+  useEffect(() => {
+    setDrawTooLarge(false);
+  }, [drawMode]);
+
+  const handleDrawComplete = (area) => {
+    setDrawMode(null);
+    onSearchAreaChange(area);
+  };
+
+  const handleUseCircle = () => {
+    setDrawMode(null);
+    if (searchArea) onSearchAreaChange(null);
+  };
+
+  // Dragging the location marker moves the search circle
+  const handleLocationDragEnd = (event) => {
+    const { lat, lng } = event.target.getLatLng();
+    onCircleChange({ lat, lng, radius });
   };
 
   if (!location) {
     return (
-      <div className="w-full h-full bg-gray-800 rounded-xl flex items-center justify-center">
-        <div className="text-center">
-          <div className="text-6xl mb-4">🗺️</div>
-          <p className="text-white/70 text-lg">Enter a location to view the map</p>
-          <p className="text-white/50 text-sm mt-2">
-            Use the search bar or current location button
-          </p>
+      <div className="relative w-full h-full">
+        <MapContainer
+          key={region.id}
+          center={defaultCenter}
+          zoom={region.countryCodes.length > 0 ? 5 : 2}
+          style={{ height: '100%', width: '100%' }}
+          className="rounded-xl"
+        >
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url={TILE_URL}
+          />
+        </MapContainer>
+        <div className="absolute inset-0 z-[1000] pointer-events-none flex items-center justify-center">
+          <div className="text-center bg-gray-900/80 rounded-xl px-6 py-4">
+            <div className="text-6xl mb-4">🗺️</div>
+            <p className="text-white/70 text-lg">Enter a location to view the map</p>
+            <p className="text-white/50 text-sm mt-2">
+              Use the search bar or current location button
+            </p>
+          </div>
         </div>
       </div>
     );
   }
 
   return (
-    <MapContainer
-      ref={mapRef}
-      center={[location.lat, location.lng]}
-      zoom={13}
-      style={{ height: '100%', width: '100%' }}
-      className="rounded-xl"
-    >
-      <TileLayer
-        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-      />
-      
-      <MapUpdater location={location} places={places} />
-
-      {/* User location marker */}
-      <Marker position={[location.lat, location.lng]} icon={userLocationIcon}>
-        <Popup>
-          <div className="text-center p-2">
-            <div className="text-lg font-semibold mb-1">📍 Your Location</div>
-            <div className="text-sm text-gray-600">
-              {location.display_name || `${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}`}
-            </div>
-          </div>
-        </Popup>
-      </Marker>
-
-      {/* Search radius circle */}
-      <Circle
+    <div className="relative w-full h-full">
+      <MapContainer
+        ref={mapRef}
         center={[location.lat, location.lng]}
-        radius={radius * 1000} // Convert km to meters
-        pathOptions={{
-          color: '#3b82f6',
-          fillColor: '#3b82f6',
-          fillOpacity: 0.1,
-          weight: 2,
-          dashArray: '5, 5'
-        }}
-      />
+        zoom={13}
+        style={{ height: '100%', width: '100%' }}
+        className="rounded-xl"
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url={TILE_URL}
+        />
+      
+        <MapUpdater location={location} places={places} onUserMove={setMovedBounds} />
 
-      {/* Place markers */}
-      {places.map((place) => (
+        {/* User location marker */}
         <Marker
-          key={place.id}
-          position={[place.lat, place.lng]}
-          icon={createCustomIcon(place.icon, categoryColors[place.category])}
+          position={[location.lat, location.lng]}
+          icon={userLocationIcon}
+          draggable={canEditArea && !searchArea && !drawMode}
+          eventHandlers={{ dragend: handleLocationDragEnd }}
         >
-          <Popup maxWidth={300} className="custom-popup">
-            <div className="p-3">
-              <div className="flex items-start gap-3 mb-3">
-                <div className="text-2xl">{place.icon}</div>
-                <div className="flex-1">
-                  <h3 className="font-semibold text-lg text-gray-800 leading-tight">
-                    {place.name}
-                  </h3>
-                  <p className="text-gray-600 text-sm">{place.categoryName}</p>
-                </div>
-                <div className="flex items-center gap-1 bg-yellow-100 px-2 py-1 rounded-full">
-                  <span className="text-yellow-600 text-xs">⭐</span>
-                  <span className="text-yellow-700 text-xs font-medium">
-                    {place.rating.toFixed(1)}
-                  </span>
-                </div>
+          <Popup>
+            <div className="text-center p-2">
+              <div className="text-lg font-semibold mb-1">📍 Your Location</div>
+              <div className="text-sm text-gray-600">
+                {location.display_name || `${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}`}
               </div>
+            </div>
+          </Popup>
+        </Marker>
 
-              <div className="space-y-2 mb-3">
-                <div className="flex items-center gap-2 text-gray-700 text-sm">
-                  <span className="text-blue-500">📍</span>
-                  <span>{place.distance} km away</span>
-                </div>
-                
-                <div className="flex items-start gap-2 text-gray-600 text-sm">
-                  <span className="text-gray-400 mt-0.5">📍</span>
-                  <span>{place.address}</span>
-                </div>
+        {/* Search area: radius circle or drawn shape */}
+        <SearchAreaLayer
+          location={location}
+          radius={radius}
+          searchArea={searchArea}
+          drawMode={drawMode}
+          maxDiagonalKm={MAX_VIEW_SEARCH_KM}
+          onDrawComplete={handleDrawComplete}
+          onDrawTooLarge={() => setDrawTooLarge(true)}
+          onCancelDraw={() => setDrawMode(null)}
+          onCircleChange={canEditArea ? onCircleChange : null}
+        />
 
-                {place.opening_hours && (
-                  <div className="flex items-center gap-2 text-gray-600 text-sm">
-                    <span className="text-green-500">🕒</span>
-                    <span>{place.opening_hours}</span>
-                  </div>
-                )}
+        {/* Place markers, clustered by zoom level */}
+        <PlaceMarkers places={visiblePlaces} />
 
-                {place.phone && (
-                  <div className="flex items-center gap-2 text-gray-600 text-sm">
-                    <span className="text-blue-500">📞</span>
-                    <span>{place.phone}</span>
-                  </div>
-                )}
-              </div>
+        {/* Saved places layer */}
+        <SavedPlaceMarkers lists={visibleLists} places={places} />
+      </MapContainer>
 
-              <div className="flex gap-2">
-                <button
-                  onClick={() => {
-                    const url = `https://www.google.com/maps/dir/?api=1&destination=${place.lat},${place.lng}`;
-                    window.open(url, '_blank');
-                  }}
-                  className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-3 rounded-lg text-sm font-medium transition-colors duration-200 flex items-center justify-center gap-2"
-                >
-                  🧭 Directions
-                </button>
-
-                {place.phone && (
-                  <button
-                    onClick={() => window.open(`tel:${place.phone}`, '_self')}
-                    className="bg-green-500 hover:bg-green-600 text-white py-2 px-3 rounded-lg text-sm font-medium transition-colors duration-200"
-                  >
-                    📞
-                  </button>
-                )}
-
-                {place.website && (
-                  <button
-                    onClick={() => window.open(place.website, '_blank')}
-                    className="bg-purple-500 hover:bg-purple-600 text-white py-2 px-3 rounded-lg text-sm font-medium transition-colors duration-200"
-                  >
-                    🌐
-                  </button>
-                )}
-              </div>
-            </div>
-          </Popup>
-        </Marker>
-      ))}
-    </MapContainer>
+      {canEditArea && (
+        <SearchAreaToolbar
+          searchArea={searchArea}
+          drawMode={drawMode}
+          onDrawModeChange={setDrawMode}
+          onUseCircle={handleUseCircle}
+          autoSearch={autoSearch}
+          onToggleAutoSearch={toggleAutoSearch}
+        />
+      )}
+
+      {canEditArea && movedBounds && !drawMode && (!autoSearch || viewTooLarge) && (
+        <SearchThisAreaButton tooLarge={viewTooLarge} onSearch={searchVisibleArea} />
+      )}
+
+      {drawMode && drawTooLarge && (
+        <SearchThisAreaButton tooLarge tooLargeText="Too large to search: draw a smaller area" />
+      )}
+
+      <MapLegend
+        places={places}
+        hiddenCategories={hiddenCategories}
+        onToggleCategory={toggleCategory}
+        onShowAll={() => setHiddenCategories(new Set())}
+        savedLists={savedLists}
+        hiddenLists={hiddenLists}
+        onToggleList={toggleList}
+      />
+    </div>
   );
 };
 
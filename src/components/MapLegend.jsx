@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { Layers, ChevronDown, Star } from 'lucide-react';
+import { PLACE_CATEGORIES, getCategory, getCategoryColor } from '../services/placesService';
+
+// Map overlay listing the categories on the map, then the saved lists; clicking one hides or shows its markers
+const MapLegend = ({ places, hiddenCategories, onToggleCategory, onShowAll, savedLists = [], hiddenLists = new Set(), onToggleList }) => {
+  const [open, setOpen] = useState(true);
+
+  const counts = places.reduce((acc, place) => {
+    acc[place.category] = (acc[place.category] || 0) + 1;
+    return acc;
+  }, {});
+  const categoryKeys = Object.keys(PLACE_CATEGORIES).filter(key => counts[key]);
+  // Custom categories (imported layers) come after the built-in ones
+  Object.keys(counts).forEach(key => {
+    if (!PLACE_CATEGORIES[key]) categoryKeys.push(key);
+  });
+
+  const listsWithPlaces = savedLists.filter(list => list.places.length > 0);
+
+  if (categoryKeys.length === 0 && listsWithPlaces.length === 0) return null;
+
+  return (
+    <div className="absolute top-3 right-3 z-[1000] w-56 bg-white/95 backdrop-blur rounded-xl shadow-lg text-gray-800 text-xs">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between gap-2 px-3 py-2 font-semibold"
+        aria-expanded={open}
+      >
+        <span className="flex items-center gap-2">
+          <Layers className="w-4 h-4 text-blue-500" />
+          Legend
+          {hiddenCategories.size > 0 && (
+            <span className="text-gray-500 font-normal">({hiddenCategories.size} hidden)</span>
+          )}
+        </span>
+        <ChevronDown className={`w-4 h-4 transition-transform ${open ? 'rotate-180' : ''}`} />
+      </button>
+
+      {open && (
+        <div className="px-2 pb-2 max-h-64 overflow-y-auto">
+          {categoryKeys.map(categoryKey => {
+            const category = getCategory(categoryKey);
+            const hidden = hiddenCategories.has(categoryKey);
+            return (
+              <button
+                key={categoryKey}
+                onClick={() => onToggleCategory(categoryKey)}
+                aria-pressed={!hidden}
+                title={hidden ? 'Show on map' : 'Hide from map'}
+                className={`w-full flex items-center gap-2 px-2 py-1 rounded-md hover:bg-gray-100 text-left ${hidden ? 'opacity-40' : ''}`}
+              >
+                <span
+                  className="inline-block w-3 h-3 rounded-full flex-shrink-0 border border-white shadow"
+                  style={{ backgroundColor: getCategoryColor(categoryKey) }}
+                ></span>
+                <span className="flex-1 truncate">
+                  {category ? `${category.icon} ${category.name}` : categoryKey}
+                </span>
+                <span className="text-gray-500">{counts[categoryKey]}</span>
+              </button>
+            );
+          })}
+          {listsWithPlaces.length > 0 && (
+            <>
+              <p className="px-2 pt-2 pb-1 text-gray-500 font-semibold">Saved</p>
+              {listsWithPlaces.map(list => {
+                const hidden = hiddenLists.has(list.id);
+                return (
+                  <button
+                    key={list.id}
+                    onClick={() => onToggleList(list.id)}
+                    aria-pressed={!hidden}
+                    title={hidden ? 'Show on map' : 'Hide from map'}
+                    className={`w-full flex items-center gap-2 px-2 py-1 rounded-md hover:bg-gray-100 text-left ${hidden ? 'opacity-40' : ''}`}
+                  >
+                    <Star className="w-3 h-3 text-yellow-500 fill-current flex-shrink-0" />
+                    <span className="flex-1 truncate">{list.name}</span>
+                    <span className="text-gray-500">{list.places.length}</span>
+                  </button>
+                );
+              })}
+            </>
+          )}
+          {hiddenCategories.size > 0 && (
+            <button
+              onClick={onShowAll}
+              className="w-full mt-1 px-2 py-1 rounded-md text-blue-600 hover:bg-blue-50 font-medium"
+            >
+              Show all
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MapLegend;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Navigation, Square, Clock, MapPin, Flag, AlertTriangle, Loader2 } from 'lucide-react';
+import { formatNavigationDistance } from '../services/navigationService';
+import { getVoiceSettings, subscribeVoiceSettings } from '../services/voiceService';
+import VoiceControls from './VoiceControls.jsx';
+
+const formatMinutes = (minutes) => {
+  const rounded = Math.max(0, Math.round(minutes));
+  return rounded < 60 ? `${rounded} min` : `${Math.floor(rounded / 60)}h ${rounded % 60}m`;
+};
+
+// Live navigation card: the next manoeuvre and how far away it is, what is left
+// of the trip and the ETA, plus off-route and location errors
+const NavigationPanel = ({ navigation, route, destination, onStop }) => {
+  const { progress, rerouting, error, simulated } = navigation;
+  const [units, setUnits] = useState(() => getVoiceSettings().units);
+  useEffect(() => subscribeVoiceSettings(settings => setUnits(settings.units)), []);
+  const nextStep = progress && progress.nextStepIndex !== null ? route.steps[progress.nextStepIndex] : null;
+  const currentStep = progress ? route.steps[progress.stepIndex] : null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="floating-card border border-blue-500/40"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-white flex items-center gap-3">
+          <Navigation className="w-6 h-6 text-blue-400" />
+          Navigating
+          {simulated && (
+            <span className="text-xs font-medium text-purple-300 bg-purple-500/20 px-2 py-1 rounded-full">
+              Simulated
+            </span>
+          )}
+        </h2>
+        <div className="flex items-center gap-2">
+          <VoiceControls compact />
+          <motion.button
+            onClick={onStop}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            className="bg-red-500/20 hover:bg-red-500/30 border border-red-500/30 text-red-300 py-2 px-4 rounded-lg text-sm font-medium flex items-center gap-2"
+          >
+            <Square className="w-4 h-4" />
+            {progress?.arrived ? 'Done' : 'Stop'}
+          </motion.button>
+        </div>
+      </div>
+
+      {!progress && !error && (
+        <p className="flex items-center gap-2 text-gray-300" aria-live="polite">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Waiting for your location…
+        </p>
+      )}
+
+      {progress?.arrived && (
+        <p className="flex items-center gap-3 text-xl text-green-300 font-semibold" aria-live="polite">
+          <Flag className="w-6 h-6" />
+          You have arrived at {destination.name}
+        </p>
+      )}
+
+      {progress && !progress.arrived && (
+        <>
+          <div className="bg-blue-500/20 border border-blue-500/30 rounded-xl p-4 mb-4" aria-live="polite">
+            <p className="text-blue-300 text-sm font-medium">
+              In {formatNavigationDistance(progress.distanceToNextKm, units)}
+            </p>
+            <p className="text-white text-2xl font-bold">
+              {nextStep ? nextStep.instruction : `Arrive at ${destination.name}`}
+            </p>
+            {currentStep && (
+              <p className="text-gray-400 text-sm mt-1">Now: {currentStep.instruction}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-3 gap-3 text-center">
+            <div>
+              <p className="text-gray-400 text-xs flex items-center justify-center gap-1"><MapPin className="w-3 h-3" /> Remaining</p>
+              <p className="text-white font-bold">{formatNavigationDistance(progress.remainingKm, units)}</p>
+            </div>
+            <div>
+              <p className="text-gray-400 text-xs flex items-center justify-center gap-1"><Clock className="w-3 h-3" /> Time left</p>
+              <p className="text-white font-bold">{formatMinutes(progress.remainingMinutes)}</p>
+            </div>
+            <div>
+              <p className="text-gray-400 text-xs flex items-center justify-center gap-1"><Flag className="w-3 h-3" /> Arrival</p>
+              <p className="text-white font-bold">
+                {progress.eta.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </p>
+            </div>
+          </div>
+        </>
+      )}
+
+      {(rerouting || progress?.offRoute) && !progress?.arrived && (
+        <p className="flex items-center gap-2 text-sm text-yellow-300 mt-4" aria-live="assertive">
+          {rerouting ? <Loader2 className="w-4 h-4 animate-spin" /> : <AlertTriangle className="w-4 h-4" />}
+          {rerouting ? 'Off route – finding a new route…' : `Off route by ${formatNavigationDistance(progress.offRouteKm, units)}`}
+        </p>
+      )}
+
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-300 mt-4">
+          <AlertTriangle className="w-4 h-4" />
+          {error}
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default NavigationPanel;
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { Download, Loader2, Trash2, MapPin } from 'lucide-react';
+import { saveAreaForOffline, getSavedAreas, deleteSavedArea } from '../services/offlineService';
+
+// "Save this area for offline" plus the list of saved areas
+const OfflineAreas = ({ location, radius, isOnline }) => {
+  const [areas, setAreas] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getSavedAreas().then(setAreas);
+  }, []);
+
+  const handleSave = async () => {
+    setError(null);
+    setProgress({ stage: 'places', done: 0, total: 1 });
+    try {
+      const name = location.display_name ? location.display_name.split(',')[0] : null;
+      await saveAreaForOffline({ lat: location.lat, lng: location.lng, radius, name }, { onProgress: setProgress });
+      setAreas(await getSavedAreas());
+    } catch (err) {
+      console.error('Saving area failed:', err);
+      setError('Could not save this area. Please try again.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setAreas(await deleteSavedArea(id));
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-800/50 border border-gray-600/50 rounded-lg">
+      {location && (
+        <button
+          onClick={handleSave}
+          disabled={!!progress || !isOnline}
+          className="w-full flex items-center justify-center gap-2 text-sm text-blue-300 hover:text-blue-200 py-2 px-3 rounded-lg bg-blue-500/10 hover:bg-blue-500/20 border border-blue-500/30 transition-colors disabled:opacity-50"
+          title={isOnline ? `Keep places and map tiles within ${radius} km for offline use` : 'Connect to the internet to save an area'}
+        >
+          {progress ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+          {!progress && `Save ${radius} km area for offline`}
+          {progress && progress.stage === 'places' && 'Saving places…'}
+          {progress && progress.stage === 'tiles' && `Saving map tiles ${progress.done}/${progress.total}…`}
+        </button>
+      )}
+
+      {error && <p className="text-red-300 text-xs mt-2">{error}</p>}
+
+      {areas.length > 0 && (
+        <div className="mt-3 space-y-2">
+          <p className="text-gray-400 text-xs font-medium">Saved for offline</p>
+          {areas.map(area => (
+            <div key={area.id} className="flex items-center justify-between gap-2 text-xs">
+              <span className="flex items-center gap-1 text-gray-300 truncate" title={area.name}>
+                <MapPin className="w-3 h-3 text-blue-400 flex-shrink-0" />
+                <span className="truncate">{area.name}</span>
+                <span className="text-gray-500 flex-shrink-0">· {area.radius} km · {area.placeCount} places</span>
+              </span>
+              <button
+                onClick={() => handleDelete(area.id)}
+                className="text-red-300 hover:text-red-200 p-1 rounded-md hover:bg-red-500/20 transition-colors"
+                title="Remove saved area"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineAreas;
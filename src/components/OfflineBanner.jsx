@@ -0,0 +1,62 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { WifiOff, Wifi, RefreshCw } from 'lucide-react';
+
+const formatSavedAt = (savedAt) => {
+  const minutes = Math.round((Date.now() - savedAt) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(savedAt).toLocaleDateString();
+};
+
+// Shown while offline, and while the results on screen came from an offline snapshot
+const OfflineBanner = ({ isOnline, offlineData, onRefresh }) => {
+  const visible = !isOnline || !!offlineData;
+
+  return (
+    <AnimatePresence>
+      {visible && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -10 }}
+          role="status"
+          className={`flex items-center justify-between gap-3 p-4 rounded-xl border ${
+            isOnline ? 'bg-blue-500/20 border-blue-500/40' : 'bg-amber-500/20 border-amber-500/40'
+          }`}
+        >
+          <div className="flex items-center gap-3">
+            {isOnline ? (
+              <Wifi className="w-5 h-5 text-blue-300 flex-shrink-0" />
+            ) : (
+              <WifiOff className="w-5 h-5 text-amber-300 flex-shrink-0" />
+            )}
+            <p className={`text-sm ${isOnline ? 'text-blue-200' : 'text-amber-200'}`}>
+              {!isOnline && offlineData && (
+                <>You're offline. Showing {offlineData.label}, saved {formatSavedAt(offlineData.savedAt)}. Places and details may be out of date.</>
+              )}
+              {!isOnline && !offlineData && (
+                <>You're offline. Only your last search and areas saved for offline use are available.</>
+              )}
+              {isOnline && offlineData && (
+                <>You're back online. These results were saved {formatSavedAt(offlineData.savedAt)}.</>
+              )}
+            </p>
+          </div>
+          {isOnline && offlineData && (
+            <button
+              onClick={onRefresh}
+              className="flex items-center gap-1 text-blue-200 hover:text-white text-sm px-3 py-1 rounded-lg bg-blue-500/20 hover:bg-blue-500/30 transition-colors flex-shrink-0"
+            >
+              <RefreshCw className="w-4 h-4" />
+              Refresh
+            </button>
+          )}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default OfflineBanner;
@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, AlertCircle } from 'lucide-react';
+import { getPlaceOpeningStatus } from '../services/openingHours';
+
+const REFRESH_INTERVAL = 60000; // ms; keeps "closes in N min" current
+
+// Badge colours for each opening state, in dark (cards) and light (map popups) themes
+const STATUS_STYLES = {
+  open: {
+    dark: 'bg-green-500/20 text-green-300 border-green-500/30',
+    light: 'bg-green-100 text-green-700 border-green-200'
+  },
+  closingSoon: {
+    dark: 'bg-amber-500/20 text-amber-300 border-amber-500/30',
+    light: 'bg-amber-100 text-amber-800 border-amber-200'
+  },
+  closed: {
+    dark: 'bg-red-500/20 text-red-300 border-red-500/30',
+    light: 'bg-red-100 text-red-700 border-red-200'
+  }
+};
+
+// "Open now", "Closes in 20 min" or "Closed · opens 09:00", in the place's local time.
+// Renders nothing when the place has no hours we can read.
+const OpeningStatusBadge = ({ place, theme = 'dark' }) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const status = getPlaceOpeningStatus(place, now);
+  if (status.open === null) return null;
+
+  const state = !status.open ? 'closed' : status.closingSoon ? 'closingSoon' : 'open';
+  const Icon = status.closingSoon ? AlertCircle : Clock;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs font-medium ${STATUS_STYLES[state][theme]}`}
+      title={place.opening_hours}
+    >
+      <Icon className="w-3 h-3" />
+      {status.open && !status.closingSoon && status.closesAt ? (
+        <>
+          Open now
+          <span className="font-normal opacity-80">· until {status.closesAt}</span>
+        </>
+      ) : status.label}
+    </span>
+  );
+};
+
+export default OpeningStatusBadge;
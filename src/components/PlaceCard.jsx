@@ -1,11 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { MapPin, Star, Clock, Navigation2, Route, CheckCircle, MapIcon } from 'lucide-react';
+import { MapPin, Clock, Navigation2, Route, MapIcon, Plus, Check, Info } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import ProvenanceBadge from './ProvenanceBadge.jsx';
+import OpeningStatusBadge from './OpeningStatusBadge.jsx';
+import RelevanceBadge from './RelevanceBadge.jsx';
+import SaveToListButton from './SaveToListButton.jsx';
+import { getPlacePath } from '../services/searchUrl';
+import { getTripStops, subscribeTripStops, isInTrip, toggleTripStop, MAX_TRIP_STOPS } from '../services/tripService';
 
 const PlaceCard = ({ place }) => {
   const [currentPlace, setCurrentPlace] = useState(place);
   const navigate = useNavigate();
+  const [tripStops, setTripStops] = useState(getTripStops);
+
+  useEffect(() => subscribeTripStops(setTripStops), []);
+
+  const inTrip = isInTrip(place, tripStops);
+  const tripFull = !inTrip && tripStops.length >= MAX_TRIP_STOPS;
+  const detailsPath = getPlacePath(currentPlace);
 
   // Update place data when prop changes
   useEffect(() => {
@@ -58,37 +71,41 @@ const PlaceCard = ({ place }) => {
             <p className="text-white/70 text-sm">{currentPlace.categoryName}</p>
           </div>
         </div>
-        <div className="flex items-center gap-1 bg-yellow-500/20 px-2 py-1 rounded-full">
-          <Star className="w-3 h-3 text-yellow-400 fill-current" />
-          <span className="text-yellow-400 text-xs font-medium">
-            {currentPlace.rating?.toFixed(1) || 'N/A'}
-          </span>
+        <div className="flex items-center gap-2">
+          <RelevanceBadge place={currentPlace} />
+          <SaveToListButton place={currentPlace} />
         </div>
       </div>
 
       <div className="space-y-2 mb-4">
-        <div className="flex items-center gap-2 text-white/80 text-sm">
-          <MapPin className="w-4 h-4 text-blue-400" />
-          <span>{currentPlace.distance} km away</span>
-        </div>
+        {currentPlace.distance !== undefined && (
+          <div className="flex items-center gap-2 text-white/80 text-sm">
+            <MapPin className="w-4 h-4 text-blue-400" />
+            <span>{currentPlace.distance} km away</span>
+          </div>
+        )}
         
         <div className="flex items-start gap-2 text-white/70 text-sm">
           <MapPin className="w-4 h-4 text-gray-400 mt-0.5 flex-shrink-0" />
           <div className="flex-1">
             <span className="line-clamp-2">{currentPlace.address}</span>
-            {(currentPlace.verified || currentPlace.type === 'verified_mock') && (
-              <div className="flex items-center gap-1 mt-1">
-                <CheckCircle className="w-3 h-3 text-green-400" />
-                <span className="text-green-400 text-xs">Verified Address</span>
+            {currentPlace.provenance && (
+              <div className="mt-1">
+                <ProvenanceBadge provenance={currentPlace.provenance} />
               </div>
             )}
           </div>
         </div>
 
         {currentPlace.opening_hours && (
-          <div className="flex items-center gap-2 text-white/70 text-sm">
-            <Clock className="w-4 h-4 text-green-400" />
-            <span>{currentPlace.opening_hours}</span>
+          <div className="flex items-start gap-2 text-white/70 text-sm">
+            <Clock className="w-4 h-4 text-green-400 mt-0.5 flex-shrink-0" />
+            <div className="flex-1">
+              <span className="line-clamp-2">{currentPlace.opening_hours}</span>
+              <div className="mt-1">
+                <OpeningStatusBadge place={currentPlace} />
+              </div>
+            </div>
           </div>
         )}
       </div>
@@ -104,6 +121,35 @@ const PlaceCard = ({ place }) => {
           <Route className="w-4 h-4" />
           Get Navigation
         </motion.button>
+
+        <motion.button
+          onClick={() => toggleTripStop(currentPlace)}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          disabled={tripFull}
+          className={`py-3 px-3 rounded-lg text-sm font-medium transition-all duration-200 flex items-center justify-center gap-1 border disabled:opacity-50 disabled:cursor-not-allowed ${
+            inTrip
+              ? 'bg-orange-500/30 text-orange-200 border-orange-500/50'
+              : 'bg-orange-500/10 hover:bg-orange-500/20 text-orange-300 border-orange-500/30'
+          }`}
+          title={inTrip ? 'Remove from trip' : tripFull ? `A trip holds up to ${MAX_TRIP_STOPS} stops` : 'Add to a multi-stop trip'}
+        >
+          {inTrip ? <Check className="w-4 h-4" /> : <Plus className="w-4 h-4" />}
+          {inTrip ? 'In trip' : 'Add stop'}
+        </motion.button>
+
+        {detailsPath && (
+          <motion.button
+            onClick={() => navigate(detailsPath)}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            className="py-3 px-3 rounded-lg text-sm font-medium transition-all duration-200 flex items-center justify-center border bg-gray-700/50 hover:bg-gray-600/50 text-white border-gray-600/50"
+            title="Opening hours, details and nearby places"
+            aria-label={`Details of ${currentPlace.name}`}
+          >
+            <Info className="w-4 h-4" />
+          </motion.button>
+        )}
       </div>
       </div>
     </motion.div>
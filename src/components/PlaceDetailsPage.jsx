@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeft,
+  MapPin,
+  Clock,
+  Route,
+  Phone,
+  Globe,
+  Share2,
+  Check,
+  ExternalLink,
+  Tag,
+  Compass,
+  AlertTriangle
+} from 'lucide-react';
+import PlaceMiniMap from './PlaceMiniMap.jsx';
+import ProvenanceBadge from './ProvenanceBadge.jsx';
+import OpeningStatusBadge from './OpeningStatusBadge.jsx';
+import WeeklyHoursTable from './WeeklyHoursTable.jsx';
+import SaveToListButton from './SaveToListButton.jsx';
+import { fetchOsmPlace, fetchNearbyPlaces } from '../services/placesService';
+import { describePlaceTags, getOsmElementUrl } from '../services/placeTags';
+import { getPlacePath } from '../services/searchUrl';
+
+const NEARBY_RADIUS_KM = 1;
+const MAX_NEARBY = 5;
+
+// Bookmarkable page for one OpenStreetMap place: /place/:type/:id
+const PlaceDetailsPage = () => {
+  const { type, id } = useParams();
+  const navigate = useNavigate();
+  const [place, setPlace] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [nearby, setNearby] = useState([]);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setPlace(null);
+    setNearby([]);
+
+    fetchOsmPlace(type, id)
+      .then(loaded => {
+        if (cancelled) return;
+        if (!loaded) setError('This place could not be found on OpenStreetMap.');
+        setPlace(loaded);
+      })
+      .catch(loadError => {
+        if (!cancelled) setError(loadError.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [type, id]);
+
+  // Similar places: the same category around this one, real places only
+  useEffect(() => {
+    if (!place || !place.category) return undefined;
+    let cancelled = false;
+
+    fetchNearbyPlaces(place.lat, place.lng, NEARBY_RADIUS_KM, { categories: [place.category], includeSynthetic: false })
+      .then(results => {
+        if (cancelled) return;
+        setNearby((results[place.category] || [])
+          .filter(other => !(other.osm_type === place.osm_type && String(other.osm_id) === String(place.osm_id)))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, MAX_NEARBY));
+      })
+      .catch(nearbyError => console.warn('⚠️ Could not load nearby places:', nearbyError.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [place]);
+
+  const handleDirections = () => {
+    const placeData = encodeURIComponent(JSON.stringify({
+      name: place.name,
+      lat: place.lat,
+      lng: place.lng,
+      address: place.address
+    }));
+    navigate(`/directions?place=${placeData}`);
+  };
+
+  const handleShare = async () => {
+    const url = window.location.href;
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: place.name, url });
+        return;
+      } catch (shareError) {
+        if (shareError.name === 'AbortError') return;
+      }
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (clipboardError) {
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-center">
+          <motion.div
+            animate={{ rotate: 360 }}
+            transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+            className="mb-4"
+          >
+            <Compass className="w-12 h-12 text-blue-400 mx-auto" />
+          </motion.div>
+          <p className="text-white text-lg">Loading place...</p>
+        </motion.div>
+      </div>
+    );
+  }
+
+  const details = place ? describePlaceTags(place.tags) : [];
+
+  return (
+    <div className="min-h-screen gradient-bg">
+      {/* Header */}
+      <motion.header
+        initial={{ y: -100, opacity: 0 }}
+        animate={{ y: 0, opacity: 1 }}
+        className="glass-effect p-6 m-4 rounded-3xl"
+      >
+        <div className="max-w-4xl mx-auto">
+          <div className="flex items-center gap-4">
+            <motion.button
+              onClick={() => (window.history.length > 1 ? window.history.back() : navigate('/'))}
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              className="text-white hover:text-blue-400 transition-colors"
+              aria-label="Back"
+            >
+              <ArrowLeft className="w-6 h-6" />
+            </motion.button>
+            {place ? (
+              <div className="flex items-center gap-3">
+                <span className="text-3xl">{place.icon}</span>
+                <div>
+                  <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+                    {place.name}
+                  </h1>
+                  <p className="text-gray-300 text-sm">{place.categoryName}</p>
+                </div>
+              </div>
+            ) : (
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+                Place
+              </h1>
+            )}
+          </div>
+        </div>
+      </motion.header>
+
+      <div className="max-w-4xl mx-auto p-4 space-y-6">
+        {error && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="floating-card border border-red-500/30"
+          >
+            <p className="flex items-center gap-2 text-red-300">
+              <AlertTriangle className="w-5 h-5" />
+              {error}
+            </p>
+            <Link to="/" className="inline-block mt-4 text-blue-300 hover:text-blue-200 text-sm">
+              Back to search
+            </Link>
+          </motion.div>
+        )}
+
+        {place && (
+          <>
+            {/* Summary and actions */}
+            <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="floating-card">
+              <div className="flex items-start gap-2 text-white/80 mb-3">
+                <MapPin className="w-5 h-5 text-blue-400 mt-0.5 flex-shrink-0" />
+                <span>{place.address}</span>
+              </div>
+              <div className="flex flex-wrap items-center gap-2 mb-5">
+                <ProvenanceBadge provenance={place.provenance} />
+                <OpeningStatusBadge place={place} />
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                <motion.button
+                  onClick={handleDirections}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  className="bg-gradient-to-r from-blue-500/20 to-purple-500/20 hover:from-blue-500/30 hover:to-purple-500/30 text-blue-300 border border-blue-500/30 py-2 px-4 rounded-lg text-sm font-medium flex items-center gap-2"
+                >
+                  <Route className="w-4 h-4" />
+                  Directions
+                </motion.button>
+                {place.phone && (
+                  <a
+                    href={`tel:${place.phone}`}
+                    className="bg-green-500/20 hover:bg-green-500/30 text-green-300 border border-green-500/30 py-2 px-4 rounded-lg text-sm font-medium flex items-center gap-2"
+                  >
+                    <Phone className="w-4 h-4" />
+                    {place.phone}
+                  </a>
+                )}
+                {place.website && (
+                  <a
+                    href={place.website}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="bg-gray-700/50 hover:bg-gray-600/50 text-white border border-gray-600/50 py-2 px-4 rounded-lg text-sm font-medium flex items-center gap-2"
+                  >
+                    <Globe className="w-4 h-4" />
+                    Website
+                  </a>
+                )}
+                <motion.button
+                  onClick={handleShare}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  className="bg-gray-700/50 hover:bg-gray-600/50 text-white border border-gray-600/50 py-2 px-4 rounded-lg text-sm font-medium flex items-center gap-2"
+                >
+                  {copied ? <Check className="w-4 h-4" /> : <Share2 className="w-4 h-4" />}
+                  {copied ? 'Link copied' : 'Share'}
+                </motion.button>
+                <SaveToListButton place={place} />
+              </div>
+            </motion.div>
+
+            {/* Mini-map */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="floating-card h-72 p-2"
+            >
+              <PlaceMiniMap place={place} nearby={nearby} />
+            </motion.div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+              {/* Opening hours */}
+              <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="floating-card">
+                <h2 className="text-xl font-bold text-white mb-4 flex items-center gap-3">
+                  <Clock className="w-5 h-5 text-green-400" />
+                  Opening hours
+                </h2>
+                {place.opening_hours ? (
+                  <WeeklyHoursTable place={place} />
+                ) : (
+                  <p className="text-gray-400 text-sm">No opening hours on OpenStreetMap yet.</p>
+                )}
+              </motion.div>
+
+              {/* Details from tags */}
+              <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="floating-card">
+                <h2 className="text-xl font-bold text-white mb-4 flex items-center gap-3">
+                  <Tag className="w-5 h-5 text-purple-400" />
+                  Details
+                </h2>
+                {details.length > 0 ? (
+                  <dl className="space-y-2 text-sm">
+                    {details.map(detail => (
+                      <div key={detail.key} className="flex justify-between gap-4">
+                        <dt className="text-gray-400">{detail.label}</dt>
+                        <dd className="text-white text-right">
+                          {detail.href ? (
+                            <a href={detail.href} target="_blank" rel="noopener noreferrer" className="text-blue-300 hover:text-blue-200">
+                              {detail.value}
+                            </a>
+                          ) : detail.value}
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                ) : (
+                  <p className="text-gray-400 text-sm">No further details on OpenStreetMap yet.</p>
+                )}
+
+                <details className="mt-4 text-xs">
+                  <summary className="cursor-pointer text-gray-400">All OpenStreetMap tags</summary>
+                  <table className="w-full mt-2">
+                    <tbody>
+                      {Object.entries(place.tags || {}).map(([key, value]) => (
+                        <tr key={key} className="text-white/70">
+                          <td className="py-0.5 pr-3 font-mono text-gray-400">{key}</td>
+                          <td className="py-0.5 break-all">{value}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </details>
+                <a
+                  href={getOsmElementUrl(place.osm_type, place.osm_id)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 mt-3 text-xs text-blue-300 hover:text-blue-200"
+                >
+                  <ExternalLink className="w-3 h-3" />
+                  View or edit on OpenStreetMap
+                </a>
+              </motion.div>
+            </div>
+
+            {/* Nearby similar places */}
+            {nearby.length > 0 && (
+              <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="floating-card">
+                <h2 className="text-xl font-bold text-white mb-4 flex items-center gap-3">
+                  <MapPin className="w-5 h-5 text-blue-400" />
+                  Nearby {place.categoryName.toLowerCase()}
+                </h2>
+                <ul className="space-y-2">
+                  {nearby.map(other => {
+                    const path = getPlacePath(other);
+                    const content = (
+                      <>
+                        <span className="text-xl">{other.icon}</span>
+                        <span className="flex-1 text-white">{other.name}</span>
+                        <span className="text-gray-400 text-sm">{other.distance} km</span>
+                      </>
+                    );
+                    return (
+                      <li key={other.id}>
+                        {path ? (
+                          <Link to={path} className="flex items-center gap-3 p-2 rounded-lg hover:bg-white/5">
+                            {content}
+                          </Link>
+                        ) : (
+                          <div className="flex items-center gap-3 p-2">{content}</div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </motion.div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlaceDetailsPage;
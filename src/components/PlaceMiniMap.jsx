@@ -0,0 +1,43 @@
+import React from 'react';
+import { MapContainer, TileLayer, CircleMarker, Tooltip } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { TILE_URL } from '../services/offlineService';
+import { getCategoryColor } from '../services/placesService';
+
+// Small static map of one place, with nearby places as smaller dots
+const PlaceMiniMap = ({ place, nearby = [] }) => (
+  <MapContainer
+    key={`${place.lat},${place.lng}`}
+    center={[place.lat, place.lng]}
+    zoom={16}
+    scrollWheelZoom={false}
+    style={{ height: '100%', width: '100%' }}
+    className="rounded-xl"
+  >
+    <TileLayer
+      attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+      url={TILE_URL}
+    />
+
+    {nearby.map(other => (
+      <CircleMarker
+        key={other.id}
+        center={[other.lat, other.lng]}
+        radius={5}
+        pathOptions={{ color: '#ffffff', weight: 1, fillColor: getCategoryColor(other.category), fillOpacity: 0.8 }}
+      >
+        <Tooltip>{other.name}</Tooltip>
+      </CircleMarker>
+    ))}
+
+    <CircleMarker
+      center={[place.lat, place.lng]}
+      radius={10}
+      pathOptions={{ color: '#ffffff', weight: 3, fillColor: getCategoryColor(place.category), fillOpacity: 1 }}
+    >
+      <Tooltip permanent direction="top" offset={[0, -10]}>{place.name}</Tooltip>
+    </CircleMarker>
+  </MapContainer>
+);
+
+export default PlaceMiniMap;
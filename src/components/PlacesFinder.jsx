@@ -1,5 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useSearchParams } from 'react-router-dom';
 import { 
   MapPin, 
   Search, 
@@ -12,33 +13,90 @@ import {
   Grid3X3,
   List,
   RefreshCw,
-  Crosshair
+  Crosshair,
+  ShieldCheck,
+  Trash2,
+  Clock,
+  Bookmark
 } from 'lucide-react';
 import MapComponent from './MapComponent.jsx';
 import CategorySection from './CategorySection.jsx';
 import LocationInput from './LocationInput.jsx';
 import PlaceCard from './PlaceCard.jsx';
+import TripBar from './TripBar.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import OfflineBanner from './OfflineBanner.jsx';
+import OfflineAreas from './OfflineAreas.jsx';
+import ImportedLayers from './ImportedLayers.jsx';
+import SavedLocationsPanel from './SavedLocationsPanel.jsx';
+import RegionSelector from './RegionSelector.jsx';
+import SavedListsView from './SavedListsView.jsx';
 import { 
   getCurrentLocation, 
   geocodeAddress, 
   fetchNearbyPlaces, 
+  fetchPlacesInArea,
+  refinePlaceAddresses,
+  withPlaceFields,
   checkLocationSupport,
-  PLACE_CATEGORIES 
+  reverseGeocode,
+  getAllCategories,
+  getCategory
 } from '../services/placesService';
+import { clearCache, getCacheStats } from '../services/cacheService';
+import { saveLastSearch, getLastSearch, findOfflinePlaces } from '../services/offlineService';
+import { parseSearchParams, buildSearchParams, isSameUrlLocation } from '../services/searchUrl';
+import { exportPlaces } from '../services/exportService';
+import { getPlaceOpeningStatus } from '../services/openingHours';
+import { compareByRelevance } from '../services/relevance';
+import { getRegionProfile, subscribeRegion, setDetectedCountry } from '../services/regionService';
+
+// Location from bare coordinates (shared link, dragged marker), named once reverse geocoding answers
+const createCoordinateLocation = ({ lat, lng, savedName }, method = 'shared_link') => ({
+  lat,
+  lng,
+  display_name: `${lat.toFixed(5)}, ${lng.toFixed(5)}`,
+  method,
+  ...(savedName ? { savedName } : {})
+});
 
 function PlacesFinder() {
-  const [location, setLocation] = useState(null);
-  const [radius, setRadius] = useState(10);
+  // Search state starts from the URL so refreshed and shared links restore the same search
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [initialUrlState] = useState(() => parseSearchParams(searchParams));
+  // A `?near=` link to a saved location already carries its address
+  const [location, setLocation] = useState(() => {
+    const point = initialUrlState.location;
+    if (!point) return null;
+    return point.display_name ? point : createCoordinateLocation(point);
+  });
+  const [radius, setRadius] = useState(initialUrlState.radius);
   const [places, setPlaces] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [selectedCategory, setSelectedCategory] = useState('all');
-  const [sortBy, setSortBy] = useState('distance');
-  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedCategory, setSelectedCategory] = useState(initialUrlState.category);
+  const [sortBy, setSortBy] = useState(initialUrlState.sort);
+  const [searchQuery, setSearchQuery] = useState(initialUrlState.query);
   const [showFilters, setShowFilters] = useState(false);
-  const [viewMode, setViewMode] = useState('categories'); // 'categories' or 'list'
+  const [viewMode, setViewMode] = useState(initialUrlState.view); // 'categories', 'list' or 'saved'
   const [animationKey, setAnimationKey] = useState(0);
   const [locationSupport, setLocationSupport] = useState(null);
+  const [cacheStats, setCacheStats] = useState(null);
+  const [realDataOnly, setRealDataOnly] = useState(() => localStorage.getItem('realDataOnly') === 'true');
+  const [openNowOnly, setOpenNowOnly] = useState(() => localStorage.getItem('openNowOnly') === 'true');
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [offlineData, setOfflineData] = useState(null); // { savedAt, label } while showing a stored snapshot
+  const [searchArea, setSearchArea] = useState(null); // Rectangle or polygon drawn on the map, null for the radius circle
+  const [, setRegion] = useState(getRegionProfile); // Category names come from the region profile
+  const initializedRef = useRef(false);
+  const syncedUrlRef = useRef(searchParams.toString()); // Last query string written by or applied from the URL
+  const addressLookupRef = useRef(null); // AbortController for the current results' address lookups
+  // Provider options read through a ref so the location callbacks don't need to be recreated
+  const searchOptionsRef = useRef({});
+  searchOptionsRef.current = {
+    includeSynthetic: !realDataOnly,
+    categories: selectedCategory === 'all' ? null : [selectedCategory]
+  };
 
   // Handle location detection
   const handleGetCurrentLocation = useCallback(async () => {
@@ -111,15 +169,29 @@ function PlacesFinder() {
         targetLat = input.lat;
         targetLng = input.lng;
         targetDisplayName = addressText;
-        setLocation({ lat: targetLat, lng: targetLng, display_name: targetDisplayName, method: 'manual_selection' });
+        setLocation({
+          lat: targetLat,
+          lng: targetLng,
+          display_name: targetDisplayName,
+          method: input.method || 'manual_selection',
+          ...(input.savedName ? { savedName: input.savedName } : {})
+        });
       } else {
         console.log('Searching for address:', addressText);
-        const geocodedLocation = await geocodeAddress(addressText);
+        // Coordinates, Plus Codes and geo: links are read locally, without Nominatim
+        const geocodedLocation = await geocodeAddress(addressText, { reference: location });
         console.log('Geocoded location:', geocodedLocation);
         targetLat = geocodedLocation.lat;
         targetLng = geocodedLocation.lng;
         targetDisplayName = geocodedLocation.display_name || addressText;
-        setLocation({ ...geocodedLocation, display_name: targetDisplayName, method: 'geocoded' });
+        setLocation({ ...geocodedLocation, display_name: targetDisplayName, method: geocodedLocation.format ? 'coordinates' : 'geocoded' });
+        if (geocodedLocation.format) {
+          // Swap the pasted text for a readable name once one is known
+          const point = { lat: targetLat, lng: targetLng };
+          reverseGeocode(targetLat, targetLng)
+            .then(info => setLocation(prev => (isSameUrlLocation(prev, point) ? { ...prev, display_name: info.address } : prev)))
+            .catch(() => {});
+        }
       }
 
       await searchNearbyPlaces(targetLat, targetLng, radius);
@@ -131,8 +203,31 @@ function PlacesFinder() {
     }
   };
 
+  // A new search drops the previous results' queued address lookups
+  const cancelAddressLookups = () => {
+    if (addressLookupRef.current) addressLookupRef.current.abort();
+    addressLookupRef.current = null;
+  };
+
+  // Fill in street addresses after the results are shown. Resolves to the updated
+  // places, or null when a newer search cancelled the lookups.
+  const refineAddresses = async (results) => {
+    cancelAddressLookups();
+    const controller = new AbortController();
+    addressLookupRef.current = controller;
+    const refined = await refinePlaceAddresses(results, {
+      signal: controller.signal,
+      onAddress: (categoryKey, placeId, fields) => {
+        if (!controller.signal.aborted) setPlaces(prev => withPlaceFields(prev, categoryKey, placeId, fields));
+      }
+    });
+    return controller.signal.aborted ? null : refined;
+  };
+
   // Search for nearby places
   const searchNearbyPlaces = async (lat, lng, searchRadius) => {
+    setSearchArea(null); // Any radius search replaces a drawn area
+    cancelAddressLookups();
     try {
       // Only set loading if not already loading (to avoid conflicts with parent functions)
       const wasLoading = loading;
@@ -146,9 +241,18 @@ function PlacesFinder() {
       // Clear existing places first
       setPlaces({});
       
+      // Without a connection, serve a saved area or the last search instead
+      if (!navigator.onLine) {
+        console.log('📴 Offline, looking for saved places...');
+        const offline = await findOfflinePlaces(lat, lng, searchRadius, searchOptionsRef.current);
+        setPlaces(offline ? offline.places : {});
+        setOfflineData(offline);
+        return;
+      }
+      
       // Try to fetch real data first
       console.log('🔍 Starting place search...');
-      const nearbyPlaces = await fetchNearbyPlaces(lat, lng, searchRadius);
+      const nearbyPlaces = await fetchNearbyPlaces(lat, lng, searchRadius, searchOptionsRef.current);
       
       // Check if we got meaningful results
       const totalPlaces = Object.values(nearbyPlaces).reduce((sum, categoryPlaces) => sum + categoryPlaces.length, 0);
@@ -158,10 +262,17 @@ function PlacesFinder() {
       categoriesWithPlaces.forEach(([category, places]) => {
         console.log(`  - ${category}: ${places.length} places`);
       });
-      // Always set the result from service (it already merges real + verified mock)
+      // Always set the result from service (it already merges real + synthetic fill)
       console.log('✅ Setting places state from service result');
       setPlaces(nearbyPlaces);
+      setOfflineData(null);
       console.log('✅ Places state updated successfully');
+      
+      // Keep a copy for the next time there's no connection, again once addresses are in
+      saveLastSearch({ lat, lng, radius: searchRadius, places: nearbyPlaces });
+      refineAddresses(nearbyPlaces).then(refined => {
+        if (refined) saveLastSearch({ lat, lng, radius: searchRadius, places: refined });
+      });
     } catch (err) {
       console.error('Error fetching places:', err);
       // Graceful fallback: clear places and let UI show friendly message
@@ -170,6 +281,57 @@ function PlacesFinder() {
     // Note: Don't set loading to false here as parent functions handle it
   };
 
+  // Search only inside a rectangle or polygon drawn on the map
+  const searchPlacesInArea = async (area) => {
+    setSearchArea(area);
+    cancelAddressLookups();
+    setLoading(true);
+    setAnimationKey(prev => prev + 1);
+    setPlaces({});
+    try {
+      // Distances stay relative to the chosen location, not the middle of the shape
+      const origin = location ? { lat: location.lat, lng: location.lng } : null;
+      const areaPlaces = await fetchPlacesInArea(area, { ...searchOptionsRef.current, origin });
+      setPlaces(areaPlaces);
+      setOfflineData(null);
+      refineAddresses(areaPlaces);
+    } catch (err) {
+      console.error('Error fetching places in area:', err);
+      setPlaces({});
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run whichever search is active again (radius circle or drawn area)
+  const rerunCurrentSearch = async () => {
+    if (searchArea) {
+      await searchPlacesInArea(searchArea);
+    } else if (location) {
+      setLoading(true);
+      try {
+        await searchNearbyPlaces(location.lat, location.lng, radius);
+      } finally {
+        setLoading(false);
+      }
+    }
+  };
+
+  const handleSearchAreaChange = async (area) => {
+    if (area) {
+      await searchPlacesInArea(area);
+    } else {
+      setSearchArea(null);
+      if (location) await loadCoordinates(location, radius, location.method);
+    }
+  };
+
+  // The search circle was dragged to a new center or resized on the map
+  const handleCircleChange = async ({ lat, lng, radius: newRadius }) => {
+    setRadius(newRadius);
+    await loadCoordinates({ lat, lng }, newRadius, 'map_drag');
+  };
+
   // Handle radius change
   const handleRadiusChange = async (newRadius) => {
     setRadius(newRadius);
@@ -186,6 +348,55 @@ function PlacesFinder() {
     }
   };
 
+  // Re-run the current search after the provider options changed
+  const refreshWithOptions = async (options) => {
+    searchOptionsRef.current = { ...searchOptionsRef.current, ...options };
+    await rerunCurrentSearch();
+  };
+
+  // Toggle synthetic filling and re-run the current search
+  const handleRealDataOnlyChange = async (enabled) => {
+    setRealDataOnly(enabled);
+    localStorage.setItem('realDataOnly', String(enabled));
+    await refreshWithOptions({ includeSynthetic: !enabled });
+  };
+
+  // Filters the loaded places only; no new search needed
+  const handleOpenNowOnlyChange = (enabled) => {
+    setOpenNowOnly(enabled);
+    localStorage.setItem('openNowOnly', String(enabled));
+  };
+
+  // Only the selected category is queried, so a new selection needs a new search
+  const handleCategoryChange = async (categoryKey) => {
+    setSelectedCategory(categoryKey);
+    await refreshWithOptions({ categories: categoryKey === 'all' ? null : [categoryKey] });
+  };
+
+  // Re-run the current search with live data after coming back online
+  const handleOfflineRefresh = rerunCurrentSearch;
+
+  // A layer was imported or deleted: search again so its places show up or disappear
+  const handleLayersChange = async () => {
+    if (selectedCategory !== 'all' && !getCategory(selectedCategory)) {
+      await handleCategoryChange('all');
+    } else {
+      await rerunCurrentSearch();
+    }
+  };
+
+  // Drop every cached Overpass, Nominatim and routing response
+  const handleClearCache = async () => {
+    await clearCache();
+    setCacheStats(await getCacheStats());
+  };
+
+  const handleExportPlaces = (format, scope) => {
+    const exported = scope === 'all' ? Object.values(places).flat() : getFilteredPlaces();
+    const areaName = location?.display_name ? location.display_name.split(',')[0] : 'search';
+    exportPlaces(exported, format, `places-${areaName}`);
+  };
+
   // Get filtered and sorted places for list view
   const getFilteredPlaces = () => {
     let allPlaces = [];
@@ -204,13 +415,19 @@ function PlacesFinder() {
       );
     }
 
+    // Places whose hours are missing or unreadable count as not open
+    if (openNowOnly) {
+      allPlaces = allPlaces.filter(place => getPlaceOpeningStatus(place).open === true);
+    }
+
     // Sort places
+    const byRelevance = compareByRelevance();
     allPlaces.sort((a, b) => {
       switch (sortBy) {
         case 'distance':
           return a.distance - b.distance;
-        case 'rating':
-          return b.rating - a.rating;
+        case 'relevance':
+          return byRelevance(a, b);
         case 'name':
           return a.name.localeCompare(b.name);
         default:
@@ -236,6 +453,10 @@ function PlacesFinder() {
       console.log(`  📝 Search filter "${searchQuery}": ${beforeSearch} -> ${filteredPlaces.length} places`);
     }
 
+    if (openNowOnly) {
+      filteredPlaces = filteredPlaces.filter(place => getPlaceOpeningStatus(place).open === true);
+    }
+
     // Filter by selected category (if not 'all')
     if (selectedCategory !== 'all' && selectedCategory !== categoryKey) {
       console.log(`  🚫 Category filter: ${categoryKey} filtered out (selected: ${selectedCategory})`);
@@ -243,12 +464,13 @@ function PlacesFinder() {
     }
 
     // Sort places within the category
+    const byRelevance = compareByRelevance();
     filteredPlaces.sort((a, b) => {
       switch (sortBy) {
         case 'distance':
           return a.distance - b.distance;
-        case 'rating':
-          return b.rating - a.rating;
+        case 'relevance':
+          return byRelevance(a, b);
         case 'name':
           return a.name.localeCompare(b.name);
         default:
@@ -268,7 +490,7 @@ function PlacesFinder() {
   // Get total count of filtered places
   const getFilteredPlacesCount = () => {
     if (viewMode === 'categories') {
-      return Object.entries(PLACE_CATEGORIES).reduce((total, [categoryKey, categoryData]) => {
+      return Object.entries(getAllCategories()).reduce((total, [categoryKey, categoryData]) => {
         const categoryPlaces = places[categoryKey] || [];
         const filteredCategoryPlaces = getFilteredCategoryPlaces(categoryKey, categoryPlaces);
         return total + filteredCategoryPlaces.length;
@@ -278,12 +500,59 @@ function PlacesFinder() {
     }
   };
 
-  useEffect(() => {
+  // Search around bare coordinates (shared link, dragged marker) and replace them with a readable name.
+  // Saved locations from a `near=` link already have one.
+  const loadCoordinates = async (point, searchRadius, method) => {
+    const moved = !isSameUrlLocation(location, point);
+    const named = !!point.display_name;
+    if (moved) setLocation(named ? point : createCoordinateLocation(point, method));
+    if (!named && (moved || location.display_name === createCoordinateLocation(point).display_name)) {
+      reverseGeocode(point.lat, point.lng)
+        .then(info => setLocation(prev => (isSameUrlLocation(prev, point) ? { ...prev, display_name: info.address } : prev)))
+        .catch(() => {});
+    }
+
+    setLoading(true);
+    try {
+      await searchNearbyPlaces(point.lat, point.lng, searchRadius);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restoreLastSearch = async (support) => {
+    const lastSearch = await getLastSearch();
+    if (!lastSearch) {
+      if (support.supported) handleGetCurrentLocation();
+      return;
+    }
+    
+    console.log('📴 Offline, restoring the last search');
+    setLocation({ lat: lastSearch.lat, lng: lastSearch.lng, display_name: 'Last searched location', method: 'offline_snapshot' });
+    const offline = await findOfflinePlaces(lastSearch.lat, lastSearch.lng, radius, searchOptionsRef.current);
+    setPlaces(offline ? offline.places : {});
+    setOfflineData(offline);
+  };
+
+  // Startup: a shared link's search, the last search when offline, or the device position
+  const initializeSearch = () => {
     // Check location support on component mount
     const support = checkLocationSupport();
     setLocationSupport(support);
     console.log('Location support status:', support);
     
+    // A shared link names the location, don't replace it with the device position
+    if (initialUrlState.location) {
+      loadCoordinates(initialUrlState.location, initialUrlState.radius);
+      return;
+    }
+    
+    // Offline start: show the last search instead of an empty page
+    if (!navigator.onLine) {
+      restoreLastSearch(support);
+      return;
+    }
+    
     // Auto-detect location on component mount if supported
     if (support.supported) {
       handleGetCurrentLocation();
@@ -291,7 +560,118 @@ function PlacesFinder() {
       console.warn('Location detection not available:', support.issues.join(', '));
       setError(`Location detection unavailable: ${support.issues.join(', ')}. Please enter your address manually.`);
     }
-  }, [handleGetCurrentLocation]);
+  };
+
+  // Mirror the search state into the URL. New locations, categories, sorts and views
+  // get their own history entry; radius drags and typing just update the current one.
+  const writeStateToUrl = (state) => {
+    const next = buildSearchParams(state);
+    if (next.toString() === searchParams.toString()) return;
+    
+    const current = parseSearchParams(searchParams);
+    const isNewEntry = !!current.location && (
+      !isSameUrlLocation(current.location, state.location) ||
+      current.category !== state.category ||
+      current.sort !== state.sort ||
+      current.view !== state.view
+    );
+    syncedUrlRef.current = next.toString();
+    setSearchParams(next, { replace: !isNewEntry });
+  };
+
+  // Back/forward: apply the URL's search and re-run it if the area or category changed
+  const applyUrlToState = (params) => {
+    if (params.toString() === syncedUrlRef.current) return;
+    syncedUrlRef.current = params.toString();
+    
+    const urlState = parseSearchParams(params);
+    const needsSearch = urlState.location && (
+      !isSameUrlLocation(urlState.location, location) ||
+      urlState.radius !== radius ||
+      urlState.category !== selectedCategory
+    );
+    
+    setRadius(urlState.radius);
+    setSelectedCategory(urlState.category);
+    setSortBy(urlState.sort);
+    setSearchQuery(urlState.query);
+    setViewMode(urlState.view);
+    searchOptionsRef.current = {
+      ...searchOptionsRef.current,
+      categories: urlState.category === 'all' ? null : [urlState.category]
+    };
+    
+    if (!urlState.location) {
+      setLocation(null);
+      setPlaces({});
+    } else if (needsSearch) {
+      if (isSameUrlLocation(urlState.location, location)) {
+        setLoading(true);
+        searchNearbyPlaces(location.lat, location.lng, urlState.radius).finally(() => setLoading(false));
+      } else {
+        loadCoordinates(urlState.location, urlState.radius);
+      }
+    }
+  };
+
+  // The effects below call these with this render's state but only re-run on their
+  // own triggers: the state must not write the URL back while the URL is being applied
+  const urlEventsRef = useRef(null);
+  urlEventsRef.current = { initializeSearch, writeStateToUrl, applyUrlToState };
+
+  useEffect(() => {
+    // Runs once: later radius changes must not re-detect the location
+    if (initializedRef.current) return;
+    initializedRef.current = true;
+    urlEventsRef.current.initializeSearch();
+  }, []);
+
+  useEffect(() => {
+    urlEventsRef.current.writeStateToUrl({
+      location,
+      radius,
+      category: selectedCategory,
+      sort: sortBy,
+      query: searchQuery,
+      view: viewMode
+    });
+  }, [location, radius, selectedCategory, sortBy, searchQuery, viewMode]);
+
+  useEffect(() => {
+    urlEventsRef.current.applyUrlToState(searchParams);
+  }, [searchParams]);
+
+  useEffect(() => subscribeRegion(setRegion), []);
+
+  // Leaving the page drops any queued address lookups
+  useEffect(() => () => {
+    if (addressLookupRef.current) addressLookupRef.current.abort();
+  }, []);
+
+  // Auto region: note the country of each new location (reverse geocoding is cached)
+  useEffect(() => {
+    if (!location) return;
+    reverseGeocode(location.lat, location.lng)
+      .then(info => setDetectedCountry(info.countryCode))
+      .catch(() => {});
+  }, [location]);
+
+  // Track connectivity for the offline banner
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Refresh cache usage whenever a search completes
+  useEffect(() => {
+    getCacheStats().then(setCacheStats);
+  }, [places]);
 
   // Debug: Monitor places state changes
   useEffect(() => {
@@ -367,6 +747,8 @@ function PlacesFinder() {
       </motion.header>
 
       <div className="max-w-7xl mx-auto p-4 space-y-6">
+        <OfflineBanner isOnline={isOnline} offlineData={offlineData} onRefresh={handleOfflineRefresh} />
+
         {/* Top Section - Location Input and Map */}
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
           {/* Location Input Column */}
@@ -410,7 +792,8 @@ function PlacesFinder() {
                         location.accuracy && location.accuracy <= 100 ? 'text-green-300' :
                         location.accuracy && location.accuracy <= 1000 ? 'text-yellow-300' : 'text-red-300'
                       }`}>
-                        {location.accuracy && location.accuracy <= 100 ? 'GPS Location Set' :
+                        {location.savedName ? `Near ${location.savedName}` :
+                         location.accuracy && location.accuracy <= 100 ? 'GPS Location Set' :
                          location.accuracy && location.accuracy <= 1000 ? 'GPS Location (Moderate)' : 'GPS Location (Poor Signal)'}
                       </span>
                     </div>
@@ -465,11 +848,33 @@ function PlacesFinder() {
                 </div>
               </div>
 
+              {/* Real Data Only Switch */}
+              <label className="mt-4 flex items-start gap-3 p-3 bg-gray-800/50 border border-gray-600/50 rounded-lg cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={realDataOnly}
+                  onChange={(e) => handleRealDataOnlyChange(e.target.checked)}
+                  disabled={loading}
+                  className="mt-1 w-4 h-4 accent-green-500"
+                />
+                <div>
+                  <span className="flex items-center gap-2 text-white text-sm font-medium">
+                    <ShieldCheck className="w-4 h-4 text-green-400" />
+                    Real places only
+                  </span>
+                  <span className="block text-gray-400 text-xs mt-1">
+                    {realDataOnly
+                      ? 'Only places from map data are shown'
+                      : 'Sparse areas are filled with sample places, marked as not real'}
+                  </span>
+                </div>
+              </label>
+
               {/* Force Refresh Button */}
               {location && (
                 <div className="mt-4">
                   <motion.button
-                    onClick={() => searchNearbyPlaces(location.lat, location.lng, radius)}
+                    onClick={rerunCurrentSearch}
                     disabled={loading}
                     whileHover={{ scale: 1.02 }}
                     whileTap={{ scale: 0.98 }}
@@ -485,6 +890,36 @@ function PlacesFinder() {
                 </div>
               )}
 
+              {/* Cache Control */}
+              {cacheStats && (
+                <div className="mt-3 flex items-center justify-between text-xs text-gray-400">
+                  <span>
+                    Cached responses: {cacheStats.entries} ({(cacheStats.bytes / (1024 * 1024)).toFixed(1)} MB)
+                  </span>
+                  <button
+                    onClick={handleClearCache}
+                    disabled={loading || cacheStats.entries === 0}
+                    className="flex items-center gap-1 text-red-300 hover:text-red-200 px-2 py-1 rounded-md hover:bg-red-500/20 transition-colors disabled:opacity-50"
+                    title="Clear cached search, address and route responses"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                    Clear cache
+                  </button>
+                </div>
+              )}
+
+              {/* Saved Locations */}
+              <SavedLocationsPanel location={location} />
+
+              {/* Region */}
+              <RegionSelector />
+
+              {/* Offline Areas */}
+              <OfflineAreas location={location} radius={radius} isOnline={isOnline} />
+
+              {/* Imported Layers */}
+              <ImportedLayers onLayersChange={handleLayersChange} />
+
               {/* GPS Tips */}
               {location && location.accuracy && location.accuracy > 1000 && (
                 <motion.div 
@@ -574,8 +1009,11 @@ function PlacesFinder() {
                   
                   <MapComponent 
                     location={location}
-                    places={viewMode === 'categories' ? Object.values(places).flat() : getFilteredPlaces()}
+                    places={viewMode === 'list' ? getFilteredPlaces() : Object.values(places).flat()}
                     radius={radius}
+                    searchArea={searchArea}
+                    onSearchAreaChange={handleSearchAreaChange}
+                    onCircleChange={handleCircleChange}
                   />
 
                   {/* Map Stats Overlay */}
@@ -591,7 +1029,7 @@ function PlacesFinder() {
                           <div className="flex items-center gap-4">
                             <div className="flex items-center gap-1 text-blue-300">
                               <MapPin className="w-4 h-4" />
-                              <span>{radius} km radius</span>
+                              <span>{searchArea ? 'Drawn area' : `${radius} km radius`}</span>
                             </div>
                             <div className="flex items-center gap-1 text-green-300">
                               <Star className="w-4 h-4" />
@@ -652,7 +1090,7 @@ function PlacesFinder() {
                   onClick={() => setViewMode('categories')}
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
-                  className={`flex-1 flex items-center justify-center gap-2 py-2 px-4 rounded-lg transition-all duration-300 ${
+                  className={`flex-1 flex items-center justify-center gap-1 py-2 px-2 rounded-lg text-sm transition-all duration-300 ${
                     viewMode === 'categories' 
                       ? 'bg-gradient-to-r from-blue-500 to-purple-500 text-white shadow-lg' 
                       : 'text-gray-400 hover:text-white hover:bg-gray-700/50'
@@ -665,7 +1103,7 @@ function PlacesFinder() {
                   onClick={() => setViewMode('list')}
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
-                  className={`flex-1 flex items-center justify-center gap-2 py-2 px-4 rounded-lg transition-all duration-300 ${
+                  className={`flex-1 flex items-center justify-center gap-1 py-2 px-2 rounded-lg text-sm transition-all duration-300 ${
                     viewMode === 'list' 
                       ? 'bg-gradient-to-r from-blue-500 to-purple-500 text-white shadow-lg' 
                       : 'text-gray-400 hover:text-white hover:bg-gray-700/50'
@@ -674,6 +1112,19 @@ function PlacesFinder() {
                   <List className="w-4 h-4" />
                   List
                 </motion.button>
+                <motion.button
+                  onClick={() => setViewMode('saved')}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  className={`flex-1 flex items-center justify-center gap-1 py-2 px-2 rounded-lg text-sm transition-all duration-300 ${
+                    viewMode === 'saved' 
+                      ? 'bg-gradient-to-r from-blue-500 to-purple-500 text-white shadow-lg' 
+                      : 'text-gray-400 hover:text-white hover:bg-gray-700/50'
+                  }`}
+                >
+                  <Bookmark className="w-4 h-4" />
+                  Saved
+                </motion.button>
               </div>
 
               {/* Search Bar */}
@@ -702,11 +1153,11 @@ function PlacesFinder() {
                       <label className="block text-white text-sm font-medium mb-2">Category</label>
                       <select
                         value={selectedCategory}
-                        onChange={(e) => setSelectedCategory(e.target.value)}
+                        onChange={(e) => handleCategoryChange(e.target.value)}
                         className="w-full p-3 bg-gray-800/50 border border-gray-600/50 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-400"
                       >
                         <option value="all">All Categories</option>
-                        {Object.entries(PLACE_CATEGORIES).map(([key, category]) => (
+                        {Object.entries(getAllCategories()).map(([key, category]) => (
                           <option key={key} value={key}>
                             {category.icon} {category.name}
                           </option>
@@ -723,10 +1174,29 @@ function PlacesFinder() {
                         className="w-full p-3 bg-gray-800/50 border border-gray-600/50 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-400"
                       >
                         <option value="distance">Distance</option>
-                        <option value="rating">Rating</option>
+                        <option value="relevance">Relevance</option>
                         <option value="name">Name</option>
                       </select>
                     </div>
+
+                    {/* Open Now */}
+                    <label className="flex items-start gap-3 p-3 bg-gray-800/50 border border-gray-600/50 rounded-lg cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={openNowOnly}
+                        onChange={(e) => handleOpenNowOnlyChange(e.target.checked)}
+                        className="mt-1 w-4 h-4 accent-green-500"
+                      />
+                      <div>
+                        <span className="flex items-center gap-2 text-white text-sm font-medium">
+                          <Clock className="w-4 h-4 text-green-400" />
+                          Open now
+                        </span>
+                        <span className="block text-gray-400 text-xs mt-1">
+                          Hides places that are closed or have no opening hours
+                        </span>
+                      </div>
+                    </label>
                   </motion.div>
                 )}
               </AnimatePresence>
@@ -738,9 +1208,19 @@ function PlacesFinder() {
                   animate={{ opacity: 1 }}
                   className="mt-4 p-4 bg-gradient-to-r from-blue-500/20 to-purple-500/20 border border-blue-500/30 rounded-xl"
                 >
-                  <p className="text-blue-300 text-sm font-medium">
-                    Showing {getFilteredPlacesCount()} of {getTotalPlacesCount()} places in {radius} km radius
-                  </p>
+                  <div className="flex items-center justify-between gap-3">
+                    <p className="text-blue-300 text-sm font-medium">
+                      Showing {getFilteredPlacesCount()} of {getTotalPlacesCount()} places in {searchArea ? 'the drawn area' : `${radius} km radius`}
+                    </p>
+                    <ExportMenu
+                      onExport={handleExportPlaces}
+                      openUpwards
+                      scopes={[
+                        { id: 'filtered', label: `Filtered list (${getFilteredPlaces().length})` },
+                        { id: 'all', label: `All results (${getTotalPlacesCount()})` }
+                      ]}
+                    />
+                  </div>
                 </motion.div>
               )}
             </motion.div>
@@ -762,9 +1242,9 @@ function PlacesFinder() {
                   >
                     <Star className="w-6 h-6 text-yellow-400" />
                   </motion.div>
-                  {viewMode === 'categories' ? 'Place Categories' : 'All Places'}
+                  {viewMode === 'categories' ? 'Place Categories' : viewMode === 'saved' ? 'Saved Places' : 'All Places'}
                 </h2>
-                {Object.keys(places).length > 0 && (
+                {Object.keys(places).length > 0 && viewMode !== 'saved' && (
                   <motion.div 
                     initial={{ opacity: 0, scale: 0.8 }}
                     animate={{ opacity: 1, scale: 1 }}
@@ -799,6 +1279,10 @@ function PlacesFinder() {
                   </motion.p>
                   <p className="text-gray-400 text-sm mt-2">This might take a moment</p>
                 </motion.div>
+              ) : viewMode === 'saved' ? (
+                <div className="max-h-[600px] overflow-y-auto custom-scrollbar">
+                  <SavedListsView location={location} />
+                </div>
               ) : (
                 <div className="max-h-[600px] overflow-y-auto custom-scrollbar">
                   {viewMode === 'categories' ? (
@@ -810,7 +1294,7 @@ function PlacesFinder() {
                         const totalPlacesInState = Object.values(places).reduce((sum, categoryPlaces) => sum + categoryPlaces.length, 0);
                         console.log(`📊 Total places in state: ${totalPlacesInState}`);
                         
-                        return Object.entries(PLACE_CATEGORIES).map(([categoryKey, categoryData], index) => {
+                        return Object.entries(getAllCategories()).map(([categoryKey, categoryData], index) => {
                           const categoryPlaces = places[categoryKey] || [];
                           console.log(`🏷️ Processing category ${categoryKey}: ${categoryPlaces.length} places`);
                           const filteredCategoryPlaces = getFilteredCategoryPlaces(categoryKey, categoryPlaces);
@@ -887,6 +1371,9 @@ function PlacesFinder() {
         </div>
       </div>
 
+      {/* Stops collected for a multi-stop trip */}
+      <TripBar />
+
       {/* Floating Action Button for Mobile */}
       <motion.div 
         initial={{ scale: 0 }}
@@ -0,0 +1,54 @@
+import React from 'react';
+import { CheckCircle, MapPin, AlertTriangle, FileUp } from 'lucide-react';
+import { PLACE_PROVENANCE } from '../services/placesService';
+
+// Badge text and colours for each place provenance, in dark (cards) and light (map popups) themes
+const PROVENANCE_BADGES = {
+  [PLACE_PROVENANCE.OSM]: {
+    icon: CheckCircle,
+    label: 'OpenStreetMap',
+    title: 'Mapped by OpenStreetMap contributors',
+    dark: 'bg-green-500/20 text-green-300 border-green-500/30',
+    light: 'bg-green-100 text-green-700 border-green-200'
+  },
+  [PLACE_PROVENANCE.GEOCODED]: {
+    icon: MapPin,
+    label: 'Geocoded',
+    title: 'Found through a geocoding service; details may be incomplete',
+    dark: 'bg-blue-500/20 text-blue-300 border-blue-500/30',
+    light: 'bg-blue-100 text-blue-700 border-blue-200'
+  },
+  [PLACE_PROVENANCE.SYNTHETIC]: {
+    icon: AlertTriangle,
+    label: 'Sample data – not a real place',
+    title: 'Generated to fill in sparse areas. Name, address, phone and hours are made up.',
+    dark: 'bg-amber-500/20 text-amber-300 border-amber-500/30',
+    light: 'bg-amber-100 text-amber-800 border-amber-200'
+  },
+  [PLACE_PROVENANCE.IMPORTED]: {
+    icon: FileUp,
+    label: 'Imported',
+    title: 'From a file you imported',
+    dark: 'bg-purple-500/20 text-purple-300 border-purple-500/30',
+    light: 'bg-purple-100 text-purple-700 border-purple-200'
+  }
+};
+
+const ProvenanceBadge = ({ provenance, theme = 'dark' }) => {
+  const badge = PROVENANCE_BADGES[provenance];
+  if (!badge) return null;
+
+  const Icon = badge.icon;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs font-medium ${badge[theme]}`}
+      title={badge.title}
+    >
+      <Icon className="w-3 h-3" />
+      {badge.label}
+    </span>
+  );
+};
+
+export default ProvenanceBadge;
@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react';
+import { Globe } from 'lucide-react';
+import {
+  AUTO_REGION,
+  REGION_PROFILES,
+  getRegionProfile,
+  getDetectedRegionProfile,
+  getRegionSettings,
+  selectRegion,
+  subscribeRegion
+} from '../services/regionService';
+
+// Region picker: "Auto" follows the country of the current location
+const RegionSelector = () => {
+  const [profile, setProfile] = useState(getRegionProfile);
+  const [selected, setSelected] = useState(() => getRegionSettings().selected);
+
+  useEffect(() => subscribeRegion(next => {
+    setProfile(next);
+    setSelected(getRegionSettings().selected);
+  }), []);
+
+  const detected = selected === AUTO_REGION ? profile : getDetectedRegionProfile();
+
+  return (
+    <div className="mt-4 p-3 bg-gray-800/50 border border-gray-600/50 rounded-lg">
+      <label className="flex items-center justify-between gap-2 text-sm text-gray-300">
+        <span className="flex items-center gap-1 font-medium">
+          <Globe className="w-4 h-4 text-blue-400" />
+          Region
+        </span>
+        <select
+          value={selected}
+          onChange={(e) => selectRegion(e.target.value)}
+          className="min-w-0 px-2 py-1 bg-gray-800 border border-gray-600/50 rounded-md text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-400"
+        >
+          <option value={AUTO_REGION}>Auto ({detected.flag} {detected.name})</option>
+          {Object.values(REGION_PROFILES).map(region => (
+            <option key={region.id} value={region.id}>{region.flag} {region.name}</option>
+          ))}
+        </select>
+      </label>
+      <p className="text-gray-500 text-xs mt-2">
+        {profile.countryCodes.length > 0 ? `Addresses are looked up in ${profile.name}` : 'Addresses are looked up worldwide'}
+        {' · '}{profile.units === 'imperial' ? 'miles' : 'kilometres'} by default · applies from the next search
+      </p>
+    </div>
+  );
+};
+
+export default RegionSelector;
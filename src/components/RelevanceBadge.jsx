@@ -0,0 +1,27 @@
+import React from 'react';
+import { Gauge } from 'lucide-react';
+import { getRelevance, describeRelevance } from '../services/relevance';
+
+const THEMES = {
+  dark: 'bg-yellow-500/20 text-yellow-400',
+  light: 'bg-yellow-100 text-yellow-700'
+};
+
+// Relevance score with its breakdown (distance, details, brand, open status) as the tooltip
+const RelevanceBadge = ({ place, theme = 'dark' }) => {
+  const relevance = getRelevance(place);
+  const description = describeRelevance(relevance);
+
+  return (
+    <span
+      className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium cursor-help ${THEMES[theme]}`}
+      title={description}
+      aria-label={description.replace(/\n/g, '. ')}
+    >
+      <Gauge className="w-3 h-3" />
+      {relevance.score}
+    </span>
+  );
+};
+
+export default RelevanceBadge;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Clock, MapPin } from 'lucide-react';
+import { ROUTE_COLORS } from './RouteMap.jsx';
+
+// "Fastest" / "Shortest" / "Alternative N" for each route option
+export const getRouteLabel = (routes, index) => {
+  const durations = routes.map(route => Number(route.duration));
+  const distances = routes.map(route => Number(route.distance));
+  if (durations[index] === Math.min(...durations)) return 'Fastest';
+  if (distances[index] === Math.min(...distances)) return 'Shortest';
+  return `Alternative ${index}`;
+};
+
+// Side-by-side cards for comparing the route options; the selected one drives steps and the map
+const RouteAlternatives = ({ routes, selectedIndex, onSelect }) => {
+  const fastest = Math.min(...routes.map(route => Number(route.duration)));
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
+      {routes.map((route, index) => {
+        const selected = index === selectedIndex;
+        const extraMinutes = Number(route.duration) - fastest;
+        return (
+          <motion.button
+            key={index}
+            onClick={() => onSelect(index)}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            aria-pressed={selected}
+            className={`text-left p-4 rounded-xl border transition-all duration-300 ${
+              selected
+                ? 'bg-white/10 border-white/40'
+                : 'bg-gray-800/50 border-gray-700/50 hover:bg-gray-700/50'
+            }`}
+            style={{ borderLeft: `4px solid ${ROUTE_COLORS[index % ROUTE_COLORS.length]}` }}
+          >
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-white font-semibold">{getRouteLabel(routes, index)}</span>
+              {extraMinutes > 0 && (
+                <span className="text-xs text-orange-300">+{extraMinutes} min</span>
+              )}
+            </div>
+            <div className="flex items-center gap-4 text-sm text-gray-300">
+              <span className="flex items-center gap-1">
+                <Clock className="w-4 h-4 text-purple-400" />
+                {route.duration} min
+              </span>
+              <span className="flex items-center gap-1">
+                <MapPin className="w-4 h-4 text-blue-400" />
+                {route.distance} km
+              </span>
+            </div>
+            {route.summary && (
+              <p className="text-xs text-gray-400 mt-2 truncate" title={route.summary}>via {route.summary}</p>
+            )}
+          </motion.button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RouteAlternatives;
@@ -0,0 +1,177 @@
+import React, { useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, CircleMarker, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { TILE_URL } from '../services/offlineService';
+
+const createEndpointIcon = (color, label) => L.divIcon({
+  html: `
+    <div style="
+      background: ${color};
+      border: 3px solid white;
+      border-radius: 50%;
+      width: 28px;
+      height: 28px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: white;
+      font-size: 12px;
+      font-weight: 700;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    ">${label}</div>
+  `,
+  className: 'route-endpoint-marker',
+  iconSize: [28, 28],
+  iconAnchor: [14, 14],
+  popupAnchor: [0, -14]
+});
+
+const startIcon = createEndpointIcon('#22c55e', 'A');
+const endIcon = createEndpointIcon('#ef4444', 'B');
+const stopIcons = new Map();
+const getStopIcon = (number) => {
+  if (!stopIcons.has(number)) stopIcons.set(number, createEndpointIcon('#f97316', number));
+  return stopIcons.get(number);
+};
+
+export const ROUTE_COLORS = ['#3b82f6', '#a855f7', '#f97316'];
+// Mock routes are only a straight line between the endpoints, so they must not look like a real road
+const MOCK_ROUTE_STYLE = { color: '#9ca3af', weight: 4, opacity: 0.9, dashArray: '10, 10' };
+const ACTIVE_STEP_STYLE = { color: '#facc15', weight: 8, opacity: 1 };
+
+// Fits all route options into view, then zooms to the selected step. During
+// live navigation it follows the position instead.
+const RouteViewport = ({ geometries, activeStep, position }) => {
+  const map = useMap();
+  const following = !!position;
+
+  useEffect(() => {
+    const points = geometries.flat();
+    if (points.length > 1 && !following) {
+      map.fitBounds(points, { padding: [30, 30] });
+    }
+  }, [geometries, following, map]);
+
+  useEffect(() => {
+    if (position) {
+      map.setView([position.lat, position.lng], Math.max(map.getZoom(), 16));
+    }
+  }, [position, map]);
+
+  useEffect(() => {
+    if (!activeStep || following) return;
+    if (activeStep.path && activeStep.path.length > 1) {
+      map.flyToBounds(activeStep.path, { padding: [60, 60], maxZoom: 17 });
+    } else if (activeStep.location) {
+      map.flyTo(activeStep.location, Math.max(map.getZoom(), 15));
+    }
+  }, [activeStep, following, map]);
+
+  return null;
+};
+
+const routeGeometry = (route, start, end) => (
+  route.geometry && route.geometry.length > 1 ?
+    route.geometry :
+    [[start.lat, start.lng], [end.lat, end.lng]]
+);
+
+// Route preview for DirectionsPage: every route option in its own colour (the selected
+// one on top), the endpoints, numbered intermediate stops and the selected step.
+// Clicking a route line selects it. `position` is the live navigation position.
+const RouteMap = ({ start, end, waypoints = [], routes, selectedIndex = 0, onSelectRoute, activeStepIndex = null, position = null }) => {
+  const geometries = useMemo(() => routes.map(route => routeGeometry(route, start, end)), [routes, start, end]);
+  const selectedRoute = routes[selectedIndex] || routes[0];
+  const activeStep = activeStepIndex !== null ? selectedRoute.steps[activeStepIndex] : null;
+  const isMock = (route) => !route.source || route.source === 'enhanced_mock' || route.source === 'fallback';
+
+  // Draw the unselected options first so the selected route stays on top
+  const drawOrder = routes.map((route, index) => index).filter(index => index !== selectedIndex);
+  drawOrder.push(selectedIndex);
+
+  return (
+    <MapContainer
+      center={[start.lat, start.lng]}
+      zoom={13}
+      style={{ height: '100%', width: '100%' }}
+      className="rounded-xl"
+    >
+      <TileLayer
+        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+        url={TILE_URL}
+      />
+
+      <RouteViewport geometries={geometries} activeStep={activeStep} position={position} />
+
+      {drawOrder.filter(index => routes[index]).map(index => {
+        const selected = index === selectedIndex;
+        const pathOptions = isMock(routes[index]) ? MOCK_ROUTE_STYLE : {
+          color: ROUTE_COLORS[index % ROUTE_COLORS.length],
+          weight: selected ? 6 : 4,
+          opacity: selected ? 0.9 : 0.45
+        };
+        return (
+          <Polyline
+            key={`${index}-${selected}`}
+            positions={geometries[index]}
+            pathOptions={pathOptions}
+            eventHandlers={onSelectRoute ? { click: () => onSelectRoute(index) } : undefined}
+          />
+        );
+      })}
+
+      {activeStep?.path && activeStep.path.length > 1 && (
+        <Polyline positions={activeStep.path} pathOptions={ACTIVE_STEP_STYLE} />
+      )}
+      {activeStep?.location && (
+        <CircleMarker
+          center={activeStep.location}
+          radius={8}
+          pathOptions={{ color: '#ffffff', weight: 3, fillColor: '#f59e0b', fillOpacity: 1 }}
+        />
+      )}
+
+      {position && (
+        <CircleMarker
+          center={[position.lat, position.lng]}
+          radius={9}
+          pathOptions={{ color: '#ffffff', weight: 3, fillColor: '#2563eb', fillOpacity: 1 }}
+        />
+      )}
+
+      <Marker position={[start.lat, start.lng]} icon={startIcon}>
+        <Popup>
+          <div className="text-sm">
+            <div className="font-semibold">Start</div>
+            <div className="text-gray-600">
+              {start.display_name || `${start.lat.toFixed(4)}, ${start.lng.toFixed(4)}`}
+            </div>
+          </div>
+        </Popup>
+      </Marker>
+
+      {waypoints.map((stop, index) => (
+        <Marker key={stop.id || index} position={[stop.lat, stop.lng]} icon={getStopIcon(index + 1)}>
+          <Popup>
+            <div className="text-sm">
+              <div className="font-semibold">Stop {index + 1}: {stop.name}</div>
+              {stop.address && <div className="text-gray-600">{stop.address}</div>}
+            </div>
+          </Popup>
+        </Marker>
+      ))}
+
+      <Marker position={[end.lat, end.lng]} icon={endIcon}>
+        <Popup>
+          <div className="text-sm">
+            <div className="font-semibold">{end.name || 'Destination'}</div>
+            {end.address && <div className="text-gray-600">{end.address}</div>}
+          </div>
+        </Popup>
+      </Marker>
+    </MapContainer>
+  );
+};
+
+export default RouteMap;
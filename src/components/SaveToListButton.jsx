@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Star, ChevronDown, Plus, Check } from 'lucide-react';
+import {
+  FAVORITES_LIST_ID,
+  getSavedLists,
+  subscribeSavedLists,
+  isPlaceInList,
+  toggleSavedPlace,
+  createSavedList
+} from '../services/savedListsService';
+
+const THEMES = {
+  dark: {
+    button: 'bg-gray-700/50 hover:bg-gray-600/50 text-white border-gray-600/50',
+    starred: 'bg-yellow-500/20 text-yellow-300 border-yellow-500/40',
+    menu: 'bg-gray-900 border-gray-700 text-white',
+    item: 'hover:bg-gray-700/50',
+    input: 'bg-gray-800 border-gray-600 text-white placeholder-gray-500'
+  },
+  light: {
+    button: 'bg-gray-100 hover:bg-gray-200 text-gray-700 border-gray-200',
+    starred: 'bg-yellow-100 text-yellow-700 border-yellow-300',
+    menu: 'bg-white border-gray-200 text-gray-800',
+    item: 'hover:bg-gray-100',
+    input: 'bg-white border-gray-300 text-gray-800 placeholder-gray-400'
+  }
+};
+
+// Star to add a place to Favourites, and a menu to add it to any named list (or a new one)
+const SaveToListButton = ({ place, theme = 'dark' }) => {
+  const [lists, setLists] = useState(getSavedLists);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const containerRef = useRef(null);
+  const styles = THEMES[theme];
+
+  useEffect(() => subscribeSavedLists(setLists), []);
+
+  // Close the menu on a click anywhere else
+  useEffect(() => {
+    if (!menuOpen) return undefined;
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) setMenuOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [menuOpen]);
+
+  const favorites = lists.find(list => list.id === FAVORITES_LIST_ID);
+  const starred = favorites && isPlaceInList(place, favorites);
+  const savedCount = lists.filter(list => isPlaceInList(place, list)).length;
+
+  const handleCreateList = (event) => {
+    event.preventDefault();
+    if (!newListName.trim()) return;
+    const list = createSavedList(newListName);
+    toggleSavedPlace(place, list.id);
+    setNewListName('');
+  };
+
+  return (
+    <div ref={containerRef} className="relative flex">
+      <button
+        onClick={() => toggleSavedPlace(place)}
+        aria-pressed={starred}
+        className={`py-2 px-2 rounded-l-lg border transition-colors flex items-center ${starred ? styles.starred : styles.button}`}
+        title={starred ? 'Remove from Favourites' : 'Add to Favourites'}
+        aria-label={starred ? `Remove ${place.name} from Favourites` : `Add ${place.name} to Favourites`}
+      >
+        <Star className={`w-4 h-4 ${starred ? 'fill-current' : ''}`} />
+      </button>
+      <button
+        onClick={() => setMenuOpen(!menuOpen)}
+        aria-expanded={menuOpen}
+        aria-haspopup="true"
+        className={`py-2 px-1 rounded-r-lg border border-l-0 transition-colors flex items-center gap-0.5 text-xs ${savedCount > 0 ? styles.starred : styles.button}`}
+        title="Save to a list"
+        aria-label="Save to a list"
+      >
+        {savedCount > 1 && savedCount}
+        <ChevronDown className="w-3 h-3" />
+      </button>
+
+      {menuOpen && (
+        <div className={`absolute right-0 top-full mt-2 z-[1100] w-56 rounded-lg border shadow-xl p-2 text-sm ${styles.menu}`}>
+          <p className="px-2 pb-1 text-xs opacity-70">Save to list</p>
+          {lists.map(list => {
+            const inList = isPlaceInList(place, list);
+            return (
+              <button
+                key={list.id}
+                onClick={() => toggleSavedPlace(place, list.id)}
+                aria-pressed={inList}
+                className={`w-full flex items-center gap-2 px-2 py-1 rounded-md text-left ${styles.item}`}
+              >
+                <span className="w-4">{inList && <Check className="w-4 h-4 text-green-500" />}</span>
+                <span className="flex-1 truncate">{list.name}</span>
+                <span className="text-xs opacity-60">{list.places.length}</span>
+              </button>
+            );
+          })}
+          <form onSubmit={handleCreateList} className="flex gap-1 mt-2">
+            <input
+              type="text"
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              placeholder="New list…"
+              aria-label="New list name"
+              className={`flex-1 min-w-0 px-2 py-1 rounded-md border text-xs focus:outline-none focus:ring-2 focus:ring-blue-400 ${styles.input}`}
+            />
+            <button
+              type="submit"
+              disabled={!newListName.trim()}
+              className="px-2 rounded-md bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50"
+              aria-label="Create list and save"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SaveToListButton;
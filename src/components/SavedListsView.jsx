@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Star, Plus, Pencil, Trash2, RefreshCw, Download, Upload, Loader2 } from 'lucide-react';
+import PlaceCard from './PlaceCard.jsx';
+import { calculateDistance } from '../services/placesService';
+import {
+  FAVORITES_LIST_ID,
+  getSavedLists,
+  subscribeSavedLists,
+  createSavedList,
+  renameSavedList,
+  deleteSavedList,
+  refreshSavedList,
+  exportSavedLists,
+  importSavedLists,
+  savedPlaceKey
+} from '../services/savedListsService';
+
+// The "Saved" view of PlacesFinder: favourites and named lists, managing them,
+// JSON export/import, and refreshing their places from OpenStreetMap
+const SavedListsView = ({ location }) => {
+  const [lists, setLists] = useState(getSavedLists);
+  const [selectedId, setSelectedId] = useState(FAVORITES_LIST_ID);
+  const [newListName, setNewListName] = useState('');
+  const [renaming, setRenaming] = useState(null); // Name being edited for the selected list
+  const [busy, setBusy] = useState(null); // 'refresh' or 'import' while running
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => subscribeSavedLists(setLists), []);
+
+  const selected = lists.find(list => list.id === selectedId) || lists[0];
+
+  // Distances from the current search location, nearest first
+  const places = selected.places
+    .map(place => (location ? {
+      ...place,
+      distance: Math.round(calculateDistance(location.lat, location.lng, place.lat, place.lng) * 100) / 100
+    } : place))
+    .sort((a, b) => (location ? a.distance - b.distance : a.name.localeCompare(b.name)));
+
+  const handleCreateList = (event) => {
+    event.preventDefault();
+    if (!newListName.trim()) return;
+    const list = createSavedList(newListName);
+    setSelectedId(list.id);
+    setNewListName('');
+  };
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    renameSavedList(selected.id, renaming);
+    setRenaming(null);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the list "${selected.name}" and its ${selected.places.length} saved places?`)) return;
+    deleteSavedList(selected.id);
+    setSelectedId(FAVORITES_LIST_ID);
+  };
+
+  const handleRefresh = async () => {
+    setBusy('refresh');
+    setMessage(null);
+    try {
+      const updated = await refreshSavedList(selected.id);
+      setMessage(`Updated ${updated} place${updated === 1 ? '' : 's'} from OpenStreetMap`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    setBusy('import');
+    setMessage(null);
+    try {
+      const added = await importSavedLists(file);
+      setMessage(`Imported ${added.places} place${added.places === 1 ? '' : 's'}${added.lists > 0 ? ` into ${added.lists} new list${added.lists === 1 ? '' : 's'}` : ''}`);
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const canRefresh = selected.places.some(place => place.osm_type && place.osm_id);
+
+  return (
+    <div className="space-y-4">
+      {/* List picker */}
+      <div className="flex flex-wrap gap-2">
+        {lists.map(list => (
+          <button
+            key={list.id}
+            onClick={() => {
+              setSelectedId(list.id);
+              setRenaming(null);
+            }}
+            aria-pressed={list.id === selected.id}
+            className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm border transition-colors ${
+              list.id === selected.id
+                ? 'bg-yellow-500/20 border-yellow-500/40 text-yellow-200'
+                : 'bg-gray-800/50 border-gray-600/50 text-gray-300 hover:text-white'
+            }`}
+          >
+            {list.id === FAVORITES_LIST_ID && <Star className="w-3 h-3 fill-current" />}
+            {list.name}
+            <span className="opacity-60">{list.places.length}</span>
+          </button>
+        ))}
+        <form onSubmit={handleCreateList} className="flex items-center gap-1">
+          <input
+            type="text"
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+            placeholder="New list…"
+            aria-label="New list name"
+            className="w-32 px-3 py-1 bg-gray-800/50 border border-gray-600/50 rounded-full text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-400"
+          />
+          <button
+            type="submit"
+            disabled={!newListName.trim()}
+            className="p-1.5 rounded-full bg-blue-500/20 text-blue-300 border border-blue-500/30 hover:bg-blue-500/30 disabled:opacity-50"
+            aria-label="Create list"
+          >
+            <Plus className="w-4 h-4" />
+          </button>
+        </form>
+      </div>
+
+      {/* Selected list actions */}
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        {renaming !== null ? (
+          <form onSubmit={handleRename} className="flex items-center gap-1">
+            <input
+              type="text"
+              value={renaming}
+              onChange={(e) => setRenaming(e.target.value)}
+              aria-label="List name"
+              autoFocus
+              className="px-2 py-1 bg-gray-800/50 border border-gray-600/50 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-400"
+            />
+            <button type="submit" className="px-2 py-1 rounded-md bg-blue-500/20 text-blue-300 border border-blue-500/30">Save</button>
+            <button type="button" onClick={() => setRenaming(null)} className="px-2 py-1 text-gray-400 hover:text-white">Cancel</button>
+          </form>
+        ) : (
+          selected.id !== FAVORITES_LIST_ID && (
+            <>
+              <button
+                onClick={() => setRenaming(selected.name)}
+                className="flex items-center gap-1 px-2 py-1 rounded-md text-gray-300 hover:text-white hover:bg-gray-700/50"
+              >
+                <Pencil className="w-3 h-3" />
+                Rename
+              </button>
+              <button
+                onClick={handleDelete}
+                className="flex items-center gap-1 px-2 py-1 rounded-md text-red-300 hover:text-red-200 hover:bg-red-500/10"
+              >
+                <Trash2 className="w-3 h-3" />
+                Delete list
+              </button>
+            </>
+          )
+        )}
+        <button
+          onClick={handleRefresh}
+          disabled={!canRefresh || busy !== null}
+          className="flex items-center gap-1 px-2 py-1 rounded-md text-gray-300 hover:text-white hover:bg-gray-700/50 disabled:opacity-50"
+          title="Reload names, hours and other details from OpenStreetMap"
+        >
+          {busy === 'refresh' ? <Loader2 className="w-3 h-3 animate-spin" /> : <RefreshCw className="w-3 h-3" />}
+          Refresh details
+        </button>
+        <span className="flex-1"></span>
+        <button
+          onClick={() => exportSavedLists(lists)}
+          className="flex items-center gap-1 px-2 py-1 rounded-md text-gray-300 hover:text-white hover:bg-gray-700/50"
+          title="Download every list as a JSON file"
+        >
+          <Download className="w-3 h-3" />
+          Export
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy !== null}
+          className="flex items-center gap-1 px-2 py-1 rounded-md text-gray-300 hover:text-white hover:bg-gray-700/50 disabled:opacity-50"
+          title="Add lists from an exported JSON file"
+        >
+          {busy === 'import' ? <Loader2 className="w-3 h-3 animate-spin" /> : <Upload className="w-3 h-3" />}
+          Import
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+      </div>
+
+      {message && <p className="text-xs text-gray-400" aria-live="polite">{message}</p>}
+
+      {places.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="text-6xl mb-4">⭐</div>
+          <p className="text-gray-300 text-lg mb-2">Nothing saved here yet</p>
+          <p className="text-gray-500 text-sm">
+            Star a place to add it to Favourites, or use the arrow next to the star to pick a list
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <AnimatePresence>
+            {places.map((place, index) => (
+              <motion.div
+                key={savedPlaceKey(place)}
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                transition={{ delay: index * 0.05 }}
+              >
+                <PlaceCard place={place} />
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedListsView;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { MapPinned, Plus, Pencil, Trash2, Loader2 } from 'lucide-react';
+import { geocodeAddress } from '../services/placesService';
+import {
+  getSavedLocations,
+  subscribeSavedLocations,
+  addSavedLocation,
+  renameSavedLocation,
+  deleteSavedLocation,
+  getSavedLocationIcon
+} from '../services/savedLocationsService';
+
+// Settings for named locations (Home, Office, ...): save the current search
+// centre or a typed address under a name, rename and delete them
+const SavedLocationsPanel = ({ location }) => {
+  const [locations, setLocations] = useState(getSavedLocations);
+  const [name, setName] = useState('');
+  const [address, setAddress] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [renaming, setRenaming] = useState(null); // { id, name } while editing
+  const [error, setError] = useState(null);
+
+  useEffect(() => subscribeSavedLocations(setLocations), []);
+
+  // Without an address the current search centre is saved
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSaving(true);
+    try {
+      const point = address.trim() ? await geocodeAddress(address) : location;
+      addSavedLocation({ name, lat: point.lat, lng: point.lng, display_name: point.display_name });
+      setName('');
+      setAddress('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    if (renameSavedLocation(renaming.id, renaming.name)) {
+      setRenaming(null);
+      setError(null);
+    } else {
+      setError(`"${renaming.name.trim()}" is empty or already taken`);
+    }
+  };
+
+  const handleDelete = (saved) => {
+    if (window.confirm(`Delete the saved location "${saved.name}"?`)) deleteSavedLocation(saved.id);
+  };
+
+  const canAdd = name.trim() && (address.trim() || location) && !saving;
+
+  return (
+    <div className="mt-4 p-3 bg-gray-800/50 border border-gray-600/50 rounded-lg">
+      <p className="flex items-center gap-1 text-gray-300 text-sm font-medium mb-2">
+        <MapPinned className="w-4 h-4 text-blue-400" />
+        Saved locations
+      </p>
+
+      {locations.length > 0 && (
+        <div className="space-y-1 mb-3">
+          {locations.map(saved => (
+            renaming && renaming.id === saved.id ? (
+              <form key={saved.id} onSubmit={handleRename} className="flex items-center gap-1 text-xs">
+                <input
+                  type="text"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  aria-label="Location name"
+                  autoFocus
+                  className="flex-1 min-w-0 px-2 py-1 bg-gray-800/50 border border-gray-600/50 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-400"
+                />
+                <button type="submit" className="px-2 py-1 rounded-md bg-blue-500/20 text-blue-300 border border-blue-500/30">Save</button>
+                <button type="button" onClick={() => setRenaming(null)} className="px-2 py-1 text-gray-400 hover:text-white">Cancel</button>
+              </form>
+            ) : (
+              <div key={saved.id} className="flex items-center justify-between gap-2 text-xs">
+                <span className="flex items-center gap-1 text-gray-300 truncate" title={saved.display_name}>
+                  <span className="flex-shrink-0">{getSavedLocationIcon(saved.name)}</span>
+                  <span className="font-medium text-white flex-shrink-0">{saved.name}</span>
+                  <span className="text-gray-500 truncate">· {saved.display_name}</span>
+                </span>
+                <span className="flex items-center flex-shrink-0">
+                  <button
+                    onClick={() => setRenaming({ id: saved.id, name: saved.name })}
+                    className="p-1 rounded-md text-gray-400 hover:text-white hover:bg-gray-700/50"
+                    aria-label={`Rename ${saved.name}`}
+                  >
+                    <Pencil className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(saved)}
+                    className="p-1 rounded-md text-red-300 hover:text-red-200 hover:bg-red-500/20"
+                    aria-label={`Delete ${saved.name}`}
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </span>
+              </div>
+            )
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleAdd} className="space-y-2">
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name, e.g. Home"
+            aria-label="Saved location name"
+            className="w-1/3 min-w-0 px-2 py-1 bg-gray-800/50 border border-gray-600/50 rounded-md text-xs text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-400"
+          />
+          <input
+            type="text"
+            value={address}
+            onChange={(e) => setAddress(e.target.value)}
+            placeholder={location ? 'Address (blank: current centre)' : 'Address'}
+            aria-label="Saved location address"
+            className="flex-1 min-w-0 px-2 py-1 bg-gray-800/50 border border-gray-600/50 rounded-md text-xs text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-400"
+          />
+          <button
+            type="submit"
+            disabled={!canAdd}
+            className="p-1.5 rounded-md bg-blue-500/20 text-blue-300 border border-blue-500/30 hover:bg-blue-500/30 disabled:opacity-50"
+            aria-label="Save location"
+            title="Save location"
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="text-red-300 text-xs mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default SavedLocationsPanel;
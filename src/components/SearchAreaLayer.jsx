@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { Circle, Rectangle, Polygon, Polyline, Marker, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { calculateDistance } from '../services/placesService';
+
+const MIN_RADIUS = 1;
+const MAX_RADIUS = 50;
+const AREA_STYLE = {
+  color: '#3b82f6',
+  fillColor: '#3b82f6',
+  fillOpacity: 0.1,
+  weight: 2,
+  dashArray: '5, 5'
+};
+const PREVIEW_STYLE = { ...AREA_STYLE, color: '#a855f7', fillColor: '#a855f7', dashArray: '2, 6' };
+const TOO_LARGE_STYLE = { ...PREVIEW_STYLE, color: '#ef4444', fillColor: '#ef4444' };
+
+const radiusHandleIcon = L.divIcon({
+  html: `
+    <div style="
+      width: 14px;
+      height: 14px;
+      background: white;
+      border: 3px solid #3b82f6;
+      border-radius: 3px;
+      box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3);
+      cursor: ew-resize;
+    "></div>
+  `,
+  className: 'radius-handle',
+  iconSize: [14, 14],
+  iconAnchor: [7, 7]
+});
+
+// Point `radius` km east of the center, where the resize handle sits
+const eastOf = (lat, lng, radius) => [lat, lng + radius / (111.32 * Math.cos(lat * Math.PI / 180))];
+
+const isSamePoint = (a, b) => a.lat === b.lat && a.lng === b.lng;
+
+// Diagonal of the box around some points, the size measure used for drawn areas
+const diagonalKm = (points) => {
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  return calculateDistance(Math.min(...lats), Math.min(...lngs), Math.max(...lats), Math.max(...lngs));
+};
+
+// Draws the search area: the radius circle (resizable through its edge handle)
+// or a drawn rectangle/polygon. In a draw mode, map clicks build a new shape:
+// two corners for a rectangle; vertices for a polygon, finished by double-click
+// or by clicking the first vertex. Escape cancels drawing. A shape whose diagonal
+// is over `maxDiagonalKm` is dropped with `onDrawTooLarge` instead of being searched,
+// and its preview turns red. Without `onCircleChange` the circle can't be resized.
+const SearchAreaLayer = ({
+  location,
+  radius,
+  searchArea,
+  drawMode,
+  maxDiagonalKm,
+  onDrawComplete,
+  onDrawTooLarge,
+  onCancelDraw,
+  onCircleChange
+}) => {
+  const map = useMap();
+  const [points, setPoints] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [dragRadius, setDragRadius] = useState(null);
+  const [handleKey, setHandleKey] = useState(0);
+
+  // Start every drawing from scratch, and stop double-clicks from zooming while drawing a polygon
+  useEffect(() => {
+    setPoints([]);
+    setCursor(null);
+    const container = map.getContainer();
+    container.style.cursor = drawMode ? 'crosshair' : '';
+    if (drawMode === 'polygon') map.doubleClickZoom.disable();
+
+    return () => {
+      container.style.cursor = '';
+      map.doubleClickZoom.enable();
+    };
+  }, [drawMode, map]);
+
+  useEffect(() => {
+    if (!drawMode) return;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onCancelDraw();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [drawMode, onCancelDraw]);
+
+  const isTooLarge = (shapePoints) => !!maxDiagonalKm && diagonalKm(shapePoints) > maxDiagonalKm;
+  const previewPoints = [...points, ...(cursor ? [cursor] : [])];
+  const previewStyle = previewPoints.length > 1 && isTooLarge(previewPoints) ? TOO_LARGE_STYLE : PREVIEW_STYLE;
+
+  // Start over rather than send a huge area to Overpass
+  const completeDrawing = (area, shapePoints) => {
+    if (isTooLarge(shapePoints)) {
+      setPoints([]);
+      setCursor(null);
+      onDrawTooLarge();
+      return;
+    }
+    onDrawComplete(area);
+  };
+
+  const finishPolygon = (vertices) => {
+    // A double-click also fires two clicks on the same spot
+    const ring = vertices.filter((point, index) => index === 0 || !isSamePoint(point, vertices[index - 1]));
+    if (ring.length >= 3) {
+      completeDrawing({ type: 'polygon', points: ring }, ring);
+    }
+  };
+
+  useMapEvents({
+    click: (event) => {
+      const point = { lat: event.latlng.lat, lng: event.latlng.lng };
+
+      if (drawMode === 'rectangle') {
+        if (points.length === 0) {
+          setPoints([point]);
+        } else {
+          const [start] = points;
+          completeDrawing({
+            type: 'rectangle',
+            bbox: {
+              south: Math.min(start.lat, point.lat),
+              west: Math.min(start.lng, point.lng),
+              north: Math.max(start.lat, point.lat),
+              east: Math.max(start.lng, point.lng)
+            }
+          }, [start, point]);
+        }
+      } else if (drawMode === 'polygon') {
+        // Clicking close to the first vertex closes the shape
+        if (points.length >= 3) {
+          const first = map.latLngToContainerPoint([points[0].lat, points[0].lng]);
+          if (first.distanceTo(event.containerPoint) < 12) {
+            finishPolygon(points);
+            return;
+          }
+        }
+        setPoints([...points, point]);
+      }
+    },
+    dblclick: () => {
+      if (drawMode === 'polygon') finishPolygon(points);
+    },
+    mousemove: (event) => {
+      if (drawMode && points.length > 0) {
+        setCursor({ lat: event.latlng.lat, lng: event.latlng.lng });
+      }
+    }
+  });
+
+  const handleRadiusDrag = (event) => {
+    const { lat, lng } = event.target.getLatLng();
+    setDragRadius(calculateDistance(location.lat, location.lng, lat, lng));
+  };
+
+  const handleRadiusDragEnd = () => {
+    const newRadius = Math.min(MAX_RADIUS, Math.max(MIN_RADIUS, Math.round(dragRadius || radius)));
+    setDragRadius(null);
+    setHandleKey(key => key + 1); // Snap the handle back onto the circle edge
+    onCircleChange({ lat: location.lat, lng: location.lng, radius: newRadius });
+  };
+
+  return (
+    <>
+      {searchArea && searchArea.type === 'rectangle' && (
+        <Rectangle
+          bounds={[[searchArea.bbox.south, searchArea.bbox.west], [searchArea.bbox.north, searchArea.bbox.east]]}
+          pathOptions={AREA_STYLE}
+        />
+      )}
+
+      {searchArea && searchArea.type === 'polygon' && (
+        <Polygon positions={searchArea.points.map(point => [point.lat, point.lng])} pathOptions={AREA_STYLE} />
+      )}
+
+      {!searchArea && (
+        <>
+          <Circle
+            center={[location.lat, location.lng]}
+            radius={(dragRadius || radius) * 1000} // Convert km to meters
+            pathOptions={AREA_STYLE}
+          />
+          {!drawMode && onCircleChange && (
+            <Marker
+              key={handleKey}
+              position={eastOf(location.lat, location.lng, radius)}
+              icon={radiusHandleIcon}
+              draggable
+              title="Drag to resize the search area"
+              eventHandlers={{ drag: handleRadiusDrag, dragend: handleRadiusDragEnd }}
+            />
+          )}
+        </>
+      )}
+
+      {/* Shape being drawn */}
+      {drawMode === 'rectangle' && points.length === 1 && cursor && (
+        <Rectangle bounds={[[points[0].lat, points[0].lng], [cursor.lat, cursor.lng]]} pathOptions={previewStyle} />
+      )}
+      {drawMode === 'polygon' && points.length > 0 && (
+        <Polyline positions={previewPoints.map(point => [point.lat, point.lng])} pathOptions={previewStyle} />
+      )}
+    </>
+  );
+};
+
+export default SearchAreaLayer;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Circle, Square, Pentagon, RefreshCw, X } from 'lucide-react';
+
+const DRAW_HINTS = {
+  rectangle: 'Click two opposite corners',
+  polygon: 'Click to add points, double-click to finish'
+};
+
+// Map overlay for choosing the search area shape
+const SearchAreaToolbar = ({ searchArea, drawMode, onDrawModeChange, onUseCircle, autoSearch, onToggleAutoSearch }) => {
+  const buttonClass = (active) =>
+    `flex items-center gap-1 px-2 py-1 rounded-md transition-colors ${
+      active ? 'bg-blue-500 text-white' : 'hover:bg-gray-100 text-gray-700'
+    }`;
+
+  return (
+    <div className="absolute top-3 left-14 z-[1000] flex flex-col gap-1 items-start">
+      <div className="flex items-center gap-1 bg-white/95 backdrop-blur rounded-xl shadow-lg p-1 text-xs font-medium">
+        <button
+          onClick={onUseCircle}
+          className={buttonClass(!searchArea && !drawMode)}
+          title="Search a radius around the location (drag the edge handle to resize)"
+        >
+          <Circle className="w-3 h-3" />
+          Radius
+        </button>
+        <button
+          onClick={() => onDrawModeChange(drawMode === 'rectangle' ? null : 'rectangle')}
+          className={buttonClass(drawMode === 'rectangle' || (!drawMode && searchArea?.type === 'rectangle'))}
+          title="Draw a rectangle to search"
+        >
+          <Square className="w-3 h-3" />
+          Rectangle
+        </button>
+        <button
+          onClick={() => onDrawModeChange(drawMode === 'polygon' ? null : 'polygon')}
+          className={buttonClass(drawMode === 'polygon' || (!drawMode && searchArea?.type === 'polygon'))}
+          title="Draw a polygon to search"
+        >
+          <Pentagon className="w-3 h-3" />
+          Polygon
+        </button>
+        <span className="w-px h-4 bg-gray-200 mx-0.5"></span>
+        <button
+          onClick={onToggleAutoSearch}
+          className={buttonClass(autoSearch)}
+          aria-pressed={autoSearch}
+          title="Search the visible area automatically whenever you move the map"
+        >
+          <RefreshCw className="w-3 h-3" />
+          Auto
+        </button>
+      </div>
+
+      {drawMode && (
+        <div className="flex items-center gap-2 bg-gray-900/90 text-white text-xs rounded-lg px-3 py-1 shadow-lg">
+          <span>{DRAW_HINTS[drawMode]}</span>
+          <button onClick={() => onDrawModeChange(null)} className="hover:text-red-300" title="Cancel (Esc)">
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchAreaToolbar;
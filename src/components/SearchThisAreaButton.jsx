@@ -0,0 +1,30 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Search, ZoomIn } from 'lucide-react';
+
+// Floating map button shown after the user pans or zooms away from the searched area.
+// When the area is too large to query it turns into a hint, `tooLargeText`.
+const SearchThisAreaButton = ({ tooLarge, onSearch, tooLargeText = 'Zoom in to search this area' }) => (
+  <motion.div
+    initial={{ opacity: 0, y: -10 }}
+    animate={{ opacity: 1, y: 0 }}
+    className="absolute top-14 left-1/2 -translate-x-1/2 z-[1000]"
+  >
+    {tooLarge ? (
+      <div className="flex items-center gap-2 bg-gray-900/90 text-white text-sm rounded-full px-4 py-2 shadow-lg">
+        <ZoomIn className="w-4 h-4" />
+        {tooLargeText}
+      </div>
+    ) : (
+      <button
+        onClick={onSearch}
+        className="flex items-center gap-2 bg-white hover:bg-blue-50 text-blue-600 text-sm font-semibold rounded-full px-4 py-2 shadow-lg transition-colors"
+      >
+        <Search className="w-4 h-4" />
+        Search this area
+      </button>
+    )}
+  </motion.div>
+);
+
+export default SearchThisAreaButton;
@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { Route, X } from 'lucide-react';
+import { getTripStops, subscribeTripStops, clearTripStops, buildTripUrl } from '../services/tripService';
+
+// Floating summary of the stops collected with "Add stop"; opens them as a trip in DirectionsPage
+const TripBar = () => {
+  const [stops, setStops] = useState(getTripStops);
+  const navigate = useNavigate();
+
+  useEffect(() => subscribeTripStops(setStops), []);
+
+  return (
+    <AnimatePresence>
+      {stops.length > 0 && (
+        <motion.div
+          initial={{ opacity: 0, y: 40 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 40 }}
+          className="fixed bottom-6 left-6 z-[1100] glass-effect rounded-2xl p-4 flex items-center gap-4 shadow-2xl"
+        >
+          <div>
+            <p className="text-white font-semibold">
+              Trip: {stops.length} stop{stops.length > 1 ? 's' : ''}
+            </p>
+            <p className="text-xs text-gray-400 max-w-[14rem] truncate">
+              {stops.map(stop => stop.name).join(' → ')}
+            </p>
+          </div>
+          <motion.button
+            onClick={() => navigate(buildTripUrl(stops))}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            className="bg-gradient-to-r from-blue-500 to-purple-500 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2"
+          >
+            <Route className="w-4 h-4" />
+            Plan route
+          </motion.button>
+          <button
+            onClick={clearTripStops}
+            className="text-gray-400 hover:text-red-400 transition-colors"
+            title="Clear trip"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default TripBar;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { motion, Reorder } from 'framer-motion';
+import { GripVertical, X, Shuffle, Share2, Check, Flag } from 'lucide-react';
+
+// Editable stop list of a multi-stop trip. Stops are reordered by dragging; the
+// new order is only committed (and re-routed) when the drag ends. `legs[i]` is
+// the leg that ends at stop i.
+const TripStops = ({ stops, legs = [], onChange, onOptimize, optimizing, canOptimize, getShareUrl }) => {
+  const [order, setOrder] = useState(stops);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setOrder(stops);
+  }, [stops]);
+
+  const commitOrder = () => {
+    if (order.some((stop, index) => stop.id !== stops[index].id)) {
+      onChange(order);
+    }
+  };
+
+  const removeStop = (id) => {
+    onChange(stops.filter(stop => stop.id !== id));
+  };
+
+  const handleShare = async () => {
+    const url = getShareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      window.prompt('Copy this trip link:', url);
+    }
+  };
+
+  const totalDistance = legs.reduce((sum, leg) => sum + Number(leg.distance), 0);
+  const totalDuration = legs.reduce((sum, leg) => sum + Number(leg.duration), 0);
+
+  return (
+    <div>
+      <Reorder.Group axis="y" values={order} onReorder={setOrder} className="space-y-2">
+        {order.map((stop, index) => {
+          const isLast = index === order.length - 1;
+          // Leg stats belong to the committed order; hide them while the list is being rearranged
+          const leg = stop.id === stops[index]?.id ? legs[index] : null;
+          return (
+            <Reorder.Item
+              key={stop.id}
+              value={stop}
+              onDragEnd={commitOrder}
+              className="flex items-center gap-3 p-3 bg-gray-800/50 rounded-lg border border-gray-700/50 cursor-grab active:cursor-grabbing"
+            >
+              <GripVertical className="w-4 h-4 text-gray-500 flex-shrink-0" />
+              <div className={`w-7 h-7 rounded-full flex items-center justify-center text-xs font-bold flex-shrink-0 ${
+                isLast ? 'bg-red-500/30 text-red-300' : 'bg-orange-500/30 text-orange-300'
+              }`}>
+                {isLast ? <Flag className="w-3 h-3" /> : index + 1}
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="text-white font-medium truncate">{stop.name}</p>
+                <p className="text-xs text-gray-400 truncate">
+                  {leg ? `${leg.distance} km · ${leg.duration} min from ${index === 0 ? 'start' : 'previous stop'}` : stop.address}
+                </p>
+              </div>
+              {stops.length > 1 && (
+                <button
+                  onClick={() => removeStop(stop.id)}
+                  className="text-gray-500 hover:text-red-400 transition-colors"
+                  title="Remove stop"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </Reorder.Item>
+          );
+        })}
+      </Reorder.Group>
+
+      {stops.length === 1 && (
+        <p className="text-sm text-gray-400 mt-3">
+          Add more stops with "Add stop" on any search result, then plan the trip from the search page.
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+        {legs.length > 1 && (
+          <p className="text-sm text-gray-300">
+            Total: <strong className="text-white">{totalDistance.toFixed(1)} km</strong> · <strong className="text-white">{totalDuration} min</strong> over {legs.length} legs
+          </p>
+        )}
+        <div className="flex gap-2 ml-auto">
+          {stops.length > 2 && (
+            <motion.button
+              onClick={onOptimize}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              disabled={!canOptimize || optimizing}
+              className="bg-orange-500/20 hover:bg-orange-500/30 border border-orange-500/30 text-orange-300 py-2 px-4 rounded-lg text-sm font-medium flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Reorder the stops for the quickest trip; the final destination stays last"
+            >
+              <Shuffle className="w-4 h-4" />
+              {optimizing ? 'Optimising...' : 'Optimise order'}
+            </motion.button>
+          )}
+          <motion.button
+            onClick={handleShare}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            className="bg-blue-500/20 hover:bg-blue-500/30 border border-blue-500/30 text-blue-300 py-2 px-4 rounded-lg text-sm font-medium flex items-center gap-2"
+          >
+            {copied ? <Check className="w-4 h-4" /> : <Share2 className="w-4 h-4" />}
+            {copied ? 'Link copied' : 'Share trip'}
+          </motion.button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TripStops;
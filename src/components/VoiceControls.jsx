@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { Volume2, VolumeX } from 'lucide-react';
+import {
+  DISTANCE_UNITS,
+  isSpeechSupported,
+  getVoiceSettings,
+  saveVoiceSettings,
+  subscribeVoiceSettings,
+  getVoices,
+  subscribeVoices
+} from '../services/voiceService';
+
+// Mute toggle for voice guidance; without `compact` also the voice and distance unit pickers
+const VoiceControls = ({ compact = false }) => {
+  const [settings, setSettings] = useState(getVoiceSettings);
+  const [voices, setVoices] = useState(getVoices);
+
+  useEffect(() => subscribeVoiceSettings(setSettings), []);
+  useEffect(() => subscribeVoices(setVoices), []);
+
+  const speechSupported = isSpeechSupported();
+  const MuteIcon = settings.muted || !speechSupported ? VolumeX : Volume2;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <button
+        onClick={() => saveVoiceSettings({ muted: !settings.muted })}
+        disabled={!speechSupported}
+        aria-pressed={!settings.muted}
+        className={`flex items-center gap-1 px-2 py-1 rounded-md border transition-colors disabled:opacity-50 ${
+          settings.muted
+            ? 'bg-gray-700/50 border-gray-600/50 text-gray-400 hover:text-white'
+            : 'bg-blue-500/20 border-blue-500/30 text-blue-300 hover:bg-blue-500/30'
+        }`}
+        title={speechSupported ? (settings.muted ? 'Turn voice guidance on' : 'Mute voice guidance') : 'Speech is not supported by this browser'}
+      >
+        <MuteIcon className="w-4 h-4" />
+        {settings.muted || !speechSupported ? 'Voice off' : 'Voice on'}
+      </button>
+
+      {!compact && speechSupported && voices.length > 0 && (
+        <select
+          value={settings.voiceURI || ''}
+          onChange={(e) => saveVoiceSettings({ voiceURI: e.target.value || null })}
+          className="max-w-[12rem] p-1 bg-gray-800/50 border border-gray-600/50 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-400"
+          aria-label="Voice"
+        >
+          <option value="">Default voice</option>
+          {voices.map(voice => (
+            <option key={voice.voiceURI} value={voice.voiceURI}>
+              {voice.name} ({voice.lang})
+            </option>
+          ))}
+        </select>
+      )}
+
+      {!compact && (
+        <select
+          value={settings.units}
+          onChange={(e) => saveVoiceSettings({ units: e.target.value })}
+          className="p-1 bg-gray-800/50 border border-gray-600/50 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-400"
+          aria-label="Distance units"
+        >
+          {Object.entries(DISTANCE_UNITS).map(([units, label]) => (
+            <option key={units} value={units}>{label}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default VoiceControls;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { getPlaceWeeklySchedule } from '../services/openingHours';
+
+// This week's opening hours, Monday to Sunday, with today highlighted.
+// Falls back to the raw opening_hours text when it can't be parsed.
+const WeeklyHoursTable = ({ place, theme = 'dark' }) => {
+  const schedule = getPlaceWeeklySchedule(place);
+  const light = theme === 'light';
+
+  if (!schedule) {
+    return <p className={`text-sm ${light ? 'text-gray-600' : 'text-white/70'}`}>{place.opening_hours}</p>;
+  }
+
+  return (
+    <table className="w-full text-xs">
+      <tbody>
+        {schedule.map(day => (
+          <tr
+            key={day.name}
+            className={day.isToday ? (light ? 'font-semibold text-gray-900' : 'font-semibold text-white') : (light ? 'text-gray-600' : 'text-white/70')}
+          >
+            <td className="py-0.5 pr-3">
+              {day.name}
+              {day.isHoliday && <span className="ml-1 opacity-70">(holiday)</span>}
+            </td>
+            <td className="py-0.5 text-right">
+              {day.intervals.length === 0 ?
+                'Closed' :
+                day.intervals.length === 1 && day.intervals[0][0] === '00:00' && day.intervals[0][1] === '24:00' ?
+                  'Open 24 hours' :
+                  day.intervals.map(([from, to]) => `${from}–${to}`).join(', ')}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default WeeklyHoursTable;
@@ -2,6 +2,13 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App.jsx';
+import { registerConfiguredProviders } from './services/providers';
+import { registerServiceWorker } from './services/offlineService';
+import { restoreImportedLayers } from './services/importService';
+
+registerConfiguredProviders();
+restoreImportedLayers();
+registerServiceWorker();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
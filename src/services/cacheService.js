@@ -0,0 +1,245 @@
+// Persistent response cache shared by Overpass, Nominatim and routing calls.
+// Entries live in IndexedDB (with an in-memory layer in front) and expire per
+// namespace. When the cache grows past its limits the least recently used
+// entries are evicted. Without IndexedDB (private mode, old browsers) only the
+// memory layer is used. Pinned namespaces (offline snapshots, imported layers)
+// never expire, are never evicted and are kept by a full clearCache().
+
+const DB_NAME = 'places-finder-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Time-to-live per endpoint namespace
+export const CACHE_TTLS = {
+  overpass: 12 * HOUR,
+  geocode: 30 * DAY,
+  reverse: 30 * DAY,
+  suggestions: 7 * DAY,
+  route: 6 * HOUR,
+  offline: Infinity,
+  layers: Infinity
+};
+
+const PINNED_NAMESPACES = ['offline', 'layers'];
+const isPinned = (entry) => PINNED_NAMESPACES.includes(entry.namespace);
+
+const MAX_ENTRIES = 1000;
+const MAX_BYTES = 20 * 1024 * 1024; // ~20 MB of serialized JSON
+const MAX_MEMORY_ENTRIES = 200;
+const WRITES_PER_EVICTION_CHECK = 20; // Scanning the store is costly, don't do it on every write
+
+const memoryCache = new Map();
+const pendingLoads = new Map();
+let dbPromise = null;
+let writesSinceEvictionCheck = 0;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('⚠️ IndexedDB unavailable, using memory cache only:', request.error?.message);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('⚠️ IndexedDB unavailable, using memory cache only:', error.message);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+};
+
+// Run a single request against the object store
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : null);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const rememberInMemory = (entry) => {
+  memoryCache.delete(entry.key);
+  memoryCache.set(entry.key, entry);
+  if (memoryCache.size > MAX_MEMORY_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+};
+
+const cacheKey = (namespace, key) => `${namespace}:${key}`;
+
+export const getCached = async (namespace, key) => {
+  const fullKey = cacheKey(namespace, key);
+  const now = Date.now();
+
+  let entry = memoryCache.get(fullKey);
+  if (!entry) {
+    try {
+      entry = await withStore('readonly', store => store.get(fullKey));
+    } catch (error) {
+      console.warn('⚠️ Cache read failed:', error.message);
+      entry = null;
+    }
+  }
+
+  if (!entry) return undefined;
+  if (entry.expiresAt <= now) {
+    memoryCache.delete(fullKey);
+    withStore('readwrite', store => store.delete(fullKey)).catch(() => {});
+    return undefined;
+  }
+
+  // Touch the entry so LRU eviction keeps it
+  entry = { ...entry, lastAccess: now };
+  rememberInMemory(entry);
+  withStore('readwrite', store => store.put(entry)).catch(() => {});
+
+  return entry.value;
+};
+
+export const setCached = async (namespace, key, value, ttl = CACHE_TTLS[namespace] || HOUR) => {
+  const now = Date.now();
+  const entry = {
+    key: cacheKey(namespace, key),
+    namespace,
+    value,
+    createdAt: now,
+    lastAccess: now,
+    expiresAt: now + ttl,
+    size: JSON.stringify(value).length
+  };
+
+  rememberInMemory(entry);
+  try {
+    await withStore('readwrite', store => store.put(entry));
+    if (++writesSinceEvictionCheck >= WRITES_PER_EVICTION_CHECK) {
+      writesSinceEvictionCheck = 0;
+      await evictIfNeeded();
+    }
+  } catch (error) {
+    console.warn('⚠️ Cache write failed:', error.message);
+  }
+};
+
+// Drop expired entries, then the least recently used ones until within the limits
+const evictIfNeeded = async () => {
+  const entries = await withStore('readonly', store => store.getAll());
+  if (!entries) return;
+
+  const now = Date.now();
+  const expired = entries.filter(entry => entry.expiresAt <= now);
+  const live = entries
+    .filter(entry => entry.expiresAt > now && !isPinned(entry))
+    .sort((a, b) => a.lastAccess - b.lastAccess);
+
+  let totalBytes = live.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  const evicted = [...expired];
+  while (live.length > 0 && (live.length > MAX_ENTRIES || totalBytes > MAX_BYTES)) {
+    const oldest = live.shift();
+    totalBytes -= oldest.size || 0;
+    evicted.push(oldest);
+  }
+
+  if (evicted.length === 0) return;
+
+  console.log(`🧹 Evicting ${evicted.length} cache entries`);
+  evicted.forEach(entry => memoryCache.delete(entry.key));
+  await withStore('readwrite', store => {
+    evicted.forEach(entry => store.delete(entry.key));
+    return null;
+  });
+};
+
+export const deleteCached = async (namespace, key) => {
+  const fullKey = cacheKey(namespace, key);
+  memoryCache.delete(fullKey);
+  try {
+    await withStore('readwrite', store => store.delete(fullKey));
+  } catch (error) {
+    console.warn('⚠️ Cache delete failed:', error.message);
+  }
+};
+
+// Return the cached value or run `loader` once and cache its result.
+// Concurrent calls for the same key share one load. `shouldCache` can veto
+// storing a result (e.g. empty responses from a failing server).
+export const withCache = async (namespace, key, loader, { ttl, shouldCache = () => true } = {}) => {
+  const cached = await getCached(namespace, key);
+  if (cached !== undefined) {
+    console.log(`⚡ Cache hit: ${namespace}:${key}`);
+    return cached;
+  }
+
+  const fullKey = cacheKey(namespace, key);
+  if (pendingLoads.has(fullKey)) return pendingLoads.get(fullKey);
+
+  const load = (async () => {
+    try {
+      const value = await loader();
+      if (value !== undefined && shouldCache(value)) {
+        await setCached(namespace, key, value, ttl);
+      }
+      return value;
+    } finally {
+      pendingLoads.delete(fullKey);
+    }
+  })();
+
+  pendingLoads.set(fullKey, load);
+  return load;
+};
+
+// Remove every unpinned entry, or only those of one namespace
+export const clearCache = async (namespace = null) => {
+  const matches = (entry) => namespace ? entry.namespace === namespace : !isPinned(entry);
+
+  [...memoryCache.values()]
+    .filter(matches)
+    .forEach(entry => memoryCache.delete(entry.key));
+
+  try {
+    const entries = await withStore('readonly', store => store.getAll()) || [];
+    await withStore('readwrite', store => {
+      entries.filter(matches).forEach(entry => store.delete(entry.key));
+      return null;
+    });
+    console.log(`🧹 Cleared ${namespace || 'all'} cache entries`);
+  } catch (error) {
+    console.warn('⚠️ Cache clear failed:', error.message);
+  }
+};
+
+export const getCacheStats = async () => {
+  try {
+    const entries = await withStore('readonly', store => store.getAll());
+    const list = entries || [...memoryCache.values()];
+    return {
+      entries: list.length,
+      bytes: list.reduce((sum, entry) => sum + (entry.size || 0), 0)
+    };
+  } catch (error) {
+    return { entries: memoryCache.size, bytes: 0 };
+  }
+};
@@ -0,0 +1,81 @@
+// Grid-based marker clustering.
+//
+// Places are projected to Web Mercator pixels at the current zoom and grouped
+// into square cells; each cell becomes one cluster at the average position of
+// its places. Only places inside the (padded) viewport are clustered, so the
+// work and the number of rendered markers stay small with thousands of places.
+
+const TILE_SIZE = 256;
+export const CLUSTER_CELL_SIZE = 60; // px
+export const CLUSTERING_MAX_ZOOM = 17; // From here on every place gets its own marker
+
+const projectToPixels = (lat, lng, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sinLat = Math.sin(lat * Math.PI / 180);
+  return {
+    x: (lng + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+  };
+};
+
+// Grow a { south, west, north, east } box by a fraction of its size on every side
+export const padBounds = (bounds, ratio = 0.25) => {
+  const latPad = (bounds.north - bounds.south) * ratio;
+  const lngPad = (bounds.east - bounds.west) * ratio;
+  return {
+    south: bounds.south - latPad,
+    west: bounds.west - lngPad,
+    north: bounds.north + latPad,
+    east: bounds.east + lngPad
+  };
+};
+
+// Returns [{ id, lat, lng, count, places, categories: { [categoryKey]: count }, bounds }].
+// Clusters of one place are returned too, so callers can render them as plain markers.
+export const clusterPlaces = (places, { zoom, bounds = null, cellSize = CLUSTER_CELL_SIZE }) => {
+  const visible = bounds ?
+    places.filter(place =>
+      place.lat >= bounds.south && place.lat <= bounds.north &&
+      place.lng >= bounds.west && place.lng <= bounds.east) :
+    places;
+
+  const cells = new Map();
+  const cluster = zoom < CLUSTERING_MAX_ZOOM;
+
+  visible.forEach(place => {
+    let key = place.id;
+    if (cluster) {
+      const { x, y } = projectToPixels(place.lat, place.lng, zoom);
+      key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    }
+
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = {
+        id: `cluster_${zoom}_${key}`,
+        places: [],
+        categories: {},
+        latSum: 0,
+        lngSum: 0,
+        bounds: { south: place.lat, west: place.lng, north: place.lat, east: place.lng }
+      };
+      cells.set(key, cell);
+    }
+
+    cell.places.push(place);
+    cell.categories[place.category] = (cell.categories[place.category] || 0) + 1;
+    cell.latSum += place.lat;
+    cell.lngSum += place.lng;
+    cell.bounds.south = Math.min(cell.bounds.south, place.lat);
+    cell.bounds.west = Math.min(cell.bounds.west, place.lng);
+    cell.bounds.north = Math.max(cell.bounds.north, place.lat);
+    cell.bounds.east = Math.max(cell.bounds.east, place.lng);
+  });
+
+  return [...cells.values()].map(({ latSum, lngSum, ...cell }) => ({
+    ...cell,
+    count: cell.places.length,
+    lat: latSum / cell.places.length,
+    lng: lngSum / cell.places.length
+  }));
+};
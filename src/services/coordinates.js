@@ -0,0 +1,251 @@
+// Coordinates typed or pasted into a search box, recognised without a geocoder:
+//   decimal degrees   17.385, 78.4867 · 17.385N 78.4867E · -33.86 151.21
+//   DMS               17°23'06"N 78°29'12"E · N 17° 23.1' E 78° 29.2' · 17 23 06 N 78 29 12 E
+//   Plus Codes        7J9WC9PQ+2R (full) · C9PQ+2R Hyderabad (short, needs a reference point)
+//   geo: URIs         geo:17.385,78.4867;u=35 · geo:0,0?q=17.385,78.4867(Charminar)
+// formatCoordinates() writes each format back, so parsing its output returns the same point.
+
+export const COORDINATE_FORMAT_NAMES = {
+  decimal: 'Decimal degrees',
+  dms: 'Degrees, minutes, seconds',
+  pluscode: 'Plus Code',
+  geo: 'geo: link'
+};
+
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+const PLUS_CODE_SEPARATOR_POSITION = 8;
+const PAIR_CODE_LENGTH = 10;
+const GRID_CODE_LENGTH = 5;
+const GRID_ROWS = 5;
+const GRID_COLUMNS = 4;
+const PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+// Integer grid of the most precise code: 1/8000° per pair digit, then 5 rows x 4 columns per grid digit
+const LAT_INTEGER_MULTIPLIER = 8000 * Math.pow(GRID_ROWS, GRID_CODE_LENGTH);
+const LNG_INTEGER_MULTIPLIER = 8000 * Math.pow(GRID_COLUMNS, GRID_CODE_LENGTH);
+
+const FULL_PLUS_CODE = new RegExp(`^([${PLUS_CODE_ALPHABET}]{8}\\+(?:[${PLUS_CODE_ALPHABET}]{2,7})?|[${PLUS_CODE_ALPHABET}]{2,6}0+\\+)$`, 'i');
+const SHORT_PLUS_CODE = new RegExp(`^([${PLUS_CODE_ALPHABET}]{2,6}\\+[${PLUS_CODE_ALPHABET}]{2,7})(?:[\\s,]+(.+))?$`, 'i');
+
+const isValidPoint = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+const normalizeLongitude = (lng) => ((lng + 180) % 360 + 360) % 360 - 180;
+
+// Rounds away floating point noise such as 78.48670000000001
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// --- Plus Codes (Open Location Code) ---
+
+export const encodePlusCode = (lat, lng, length = PAIR_CODE_LENGTH) => {
+  if (length < 8 || (length < PAIR_CODE_LENGTH && length % 2 === 1) || length > PAIR_CODE_LENGTH + GRID_CODE_LENGTH) {
+    throw new Error(`Invalid Plus Code length: ${length}`);
+  }
+  let latValue = Math.floor(Math.round((Math.min(Math.max(lat, -90), 90) + 90) * LAT_INTEGER_MULTIPLIER * 1e6) / 1e6);
+  let lngValue = Math.floor(Math.round((normalizeLongitude(lng) + 180) * LNG_INTEGER_MULTIPLIER * 1e6) / 1e6);
+  latValue = Math.min(latValue, 180 * LAT_INTEGER_MULTIPLIER - 1); // The north pole belongs to the cell below it
+
+  let code = '';
+  for (let i = 0; i < GRID_CODE_LENGTH; i++) {
+    code = PLUS_CODE_ALPHABET[(latValue % GRID_ROWS) * GRID_COLUMNS + (lngValue % GRID_COLUMNS)] + code;
+    latValue = Math.floor(latValue / GRID_ROWS);
+    lngValue = Math.floor(lngValue / GRID_COLUMNS);
+  }
+  for (let i = 0; i < PAIR_CODE_LENGTH / 2; i++) {
+    code = PLUS_CODE_ALPHABET[latValue % 20] + PLUS_CODE_ALPHABET[lngValue % 20] + code;
+    latValue = Math.floor(latValue / 20);
+    lngValue = Math.floor(lngValue / 20);
+  }
+  code = code.slice(0, length);
+  return `${code.slice(0, PLUS_CODE_SEPARATOR_POSITION)}+${code.slice(PLUS_CODE_SEPARATOR_POSITION)}`;
+};
+
+// Centre and size of the area a full code stands for, or null for anything else
+export const decodePlusCode = (code) => {
+  if (!FULL_PLUS_CODE.test(code || '') || code.indexOf('+') !== PLUS_CODE_SEPARATOR_POSITION) return null;
+  const digits = code.toUpperCase().replace('+', '').replace(/0+$/, '');
+  if (digits.length % 2 === 1 && digits.length < PAIR_CODE_LENGTH) return null;
+  if (PLUS_CODE_ALPHABET.indexOf(digits[0]) > 8 || PLUS_CODE_ALPHABET.indexOf(digits[1]) > 17) return null;
+
+  let south = -90;
+  let west = -180;
+  let latSize = 0;
+  let lngSize = 0;
+  for (let i = 0; i < Math.min(digits.length, PAIR_CODE_LENGTH); i += 2) {
+    latSize = lngSize = PAIR_RESOLUTIONS[i / 2];
+    south += PLUS_CODE_ALPHABET.indexOf(digits[i]) * latSize;
+    west += PLUS_CODE_ALPHABET.indexOf(digits[i + 1]) * lngSize;
+  }
+  for (let i = PAIR_CODE_LENGTH; i < digits.length; i++) {
+    const value = PLUS_CODE_ALPHABET.indexOf(digits[i]);
+    latSize /= GRID_ROWS;
+    lngSize /= GRID_COLUMNS;
+    south += Math.floor(value / GRID_COLUMNS) * latSize;
+    west += (value % GRID_COLUMNS) * lngSize;
+  }
+  return {
+    lat: round(Math.min(south + latSize / 2, 90), 8),
+    lng: round(west + lngSize / 2, 8),
+    latSize,
+    lngSize
+  };
+};
+
+// Completes a short code like "C9PQ+2R" with the full code nearest to the reference point
+export const recoverPlusCode = (shortCode, referenceLat, referenceLng) => {
+  const paddingLength = PLUS_CODE_SEPARATOR_POSITION - shortCode.indexOf('+');
+  const resolution = Math.pow(20, 2 - paddingLength / 2);
+  const prefix = encodePlusCode(referenceLat, referenceLng).slice(0, paddingLength);
+  const area = decodePlusCode(prefix + shortCode.toUpperCase());
+  if (!area) return null;
+
+  let { lat, lng } = area;
+  if (referenceLat + resolution / 2 < lat && lat - resolution >= -90) lat -= resolution;
+  else if (referenceLat - resolution / 2 > lat && lat + resolution <= 90) lat += resolution;
+  if (referenceLng + resolution / 2 < lng) lng -= resolution;
+  else if (referenceLng - resolution / 2 > lng) lng += resolution;
+  return { lat: round(lat, 8), lng: round(normalizeLongitude(lng), 8) };
+};
+
+// "C9PQ+2R Hyderabad" -> { code: 'C9PQ+2R', locality: 'Hyderabad' }; null when the text is not a short code
+export const splitShortPlusCode = (text) => {
+  const match = (text || '').trim().match(SHORT_PLUS_CODE);
+  if (!match || (PLUS_CODE_SEPARATOR_POSITION - match[1].indexOf('+')) % 2 === 1) return null;
+  return { code: match[1].toUpperCase(), locality: match[2] ? match[2].trim() : null };
+};
+
+// --- geo: URIs (RFC 5870, plus the Android ?q= form) ---
+
+const GEO_URI = /^geo:\s*([+-]?\d+(?:\.\d+)?),([+-]?\d+(?:\.\d+)?)(?:,[+-]?\d+(?:\.\d+)?)?((?:;[^?]*)?)(?:\?(.*))?$/i;
+
+const parseGeoUri = (text) => {
+  const match = text.match(GEO_URI);
+  if (!match) return null;
+  const crs = match[3].match(/;crs=([^;]+)/i);
+  if (crs && crs[1].toLowerCase() !== 'wgs84') return null;
+
+  let lat = parseFloat(match[1]);
+  let lng = parseFloat(match[2]);
+  let label = null;
+  // Android apps share geo:0,0?q=lat,lng(Label) to drop a labelled pin
+  const query = match[4] ? new URLSearchParams(match[4]).get('q') : null;
+  const pin = query && query.match(/^\s*([+-]?\d+(?:\.\d+)?)\s*,\s*([+-]?\d+(?:\.\d+)?)\s*(?:\((.*)\))?\s*$/);
+  if (pin) {
+    lat = parseFloat(pin[1]);
+    lng = parseFloat(pin[2]);
+    label = pin[3] ? pin[3].trim() : null;
+  }
+  if (!isValidPoint(lat, lng)) return null;
+  return { lat, lng, format: 'geo', ...(label ? { label } : {}) };
+};
+
+// --- Decimal degrees and degrees/minutes/seconds ---
+
+// One angle: 17.385 · 17°23.1' · 17°23'06" · 17 23 06. Null when it is not one.
+const parseAngle = (text) => {
+  const match = text.trim().match(/^([+-])?\s*(\d+(?:\.\d+)?)\s*°?\s*(?:(\d+(?:\.\d+)?)\s*'?\s*)?(?:(\d+(?:\.\d+)?)\s*(?:"|'')?)?$/);
+  if (!match) return null;
+  const [, sign, degrees, minutes, seconds] = match;
+  if (minutes !== undefined && degrees.includes('.')) return null;
+  if (seconds !== undefined && (minutes === undefined || minutes.includes('.'))) return null;
+  if (Number(minutes || 0) >= 60 || Number(seconds || 0) >= 60) return null;
+  const value = Number(degrees) + Number(minutes || 0) / 60 + Number(seconds || 0) / 3600;
+  return { value: sign === '-' ? -value : value, signed: !!sign, dms: minutes !== undefined || /[°'"]/.test(text) };
+};
+
+const HEMISPHERES_AFTER = /^([^NSEW]+?)\s*([NSEW])\s*[,;]?\s*([^NSEW]+?)\s*([NSEW])$/i;
+const HEMISPHERES_BEFORE = /^([NSEW])\s*([^NSEW]+?)\s*[,;]?\s*([NSEW])\s*([^NSEW]+?)$/i;
+
+// Two angles with hemisphere letters, in either order: 17°23'N 78°29'E, E 78.48 N 17.38
+const parseWithHemispheres = (text) => {
+  let halves;
+  const after = text.match(HEMISPHERES_AFTER);
+  const before = !after && text.match(HEMISPHERES_BEFORE);
+  if (after) halves = [[after[2], after[1]], [after[4], after[3]]];
+  else if (before) halves = [[before[1], before[2]], [before[3], before[4]]];
+  else return null;
+
+  halves = halves.map(([letter, angle]) => [letter.toUpperCase(), parseAngle(angle.replace(/[,;]\s*$/, ''))]);
+  if (halves.some(([, angle]) => !angle || angle.signed)) return null;
+  const latHalf = halves.find(([letter]) => letter === 'N' || letter === 'S');
+  const lngHalf = halves.find(([letter]) => letter === 'E' || letter === 'W');
+  if (!latHalf || !lngHalf) return null;
+
+  return {
+    lat: latHalf[0] === 'S' ? -latHalf[1].value : latHalf[1].value,
+    lng: lngHalf[0] === 'W' ? -lngHalf[1].value : lngHalf[1].value,
+    format: halves.some(([, angle]) => angle.dms) ? 'dms' : 'decimal'
+  };
+};
+
+// Two signed angles, latitude first: "17.385, 78.4867", "17°23'06", 78°29'12"", "-33.86 151.21"
+const parseUnlabelled = (text) => {
+  const candidates = /[,;]/.test(text) ?
+    [text.split(/\s*[,;]\s*/)] :
+    [...text.matchAll(/\s+/g)].map(space => [text.slice(0, space.index), text.slice(space.index + space[0].length)]);
+
+  const points = candidates
+    .filter(halves => halves.length === 2)
+    .map(halves => halves.map(parseAngle))
+    .filter(([lat, lng]) => lat && lng);
+  if (points.length !== 1) return null; // Nothing, or ambiguous like "17 23 78 29 12"
+
+  const [lat, lng] = points[0];
+  const dms = lat.dms || lng.dms;
+  // Bare "12 34" is more likely a house number than a position
+  if (!dms && !/[,;]/.test(text) && !(/\./.test(text))) return null;
+  return { lat: lat.value, lng: lng.value, format: dms ? 'dms' : 'decimal' };
+};
+
+const normalizeSymbols = (text) => text
+  .replace(/[º˚]/g, '°')
+  .replace(/[′’‘`´]/g, "'")
+  .replace(/[″“”]/g, '"')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// { lat, lng, format } for text that is a position, otherwise null. Short Plus Codes
+// need `reference` ({ lat, lng }), normally the current search centre.
+export const parseCoordinates = (text, { reference = null } = {}) => {
+  const input = normalizeSymbols(text || '');
+  if (!input) return null;
+
+  if (/^geo:/i.test(input)) return parseGeoUri(input);
+
+  const fullCode = input.split(/[\s,]/)[0];
+  const area = decodePlusCode(fullCode);
+  if (area) return { lat: area.lat, lng: area.lng, format: 'pluscode' };
+
+  const shortCode = splitShortPlusCode(input);
+  if (shortCode) {
+    if (!reference || shortCode.locality) return null;
+    const point = recoverPlusCode(shortCode.code, reference.lat, reference.lng);
+    return point && { ...point, format: 'pluscode' };
+  }
+
+  if (!/^[\d\s.,;°'"+\-NSEW]+$/i.test(input)) return null;
+  const point = /[NSEW]/i.test(input) ? parseWithHemispheres(input) : parseUnlabelled(input);
+  return point && isValidPoint(point.lat, point.lng) ? { ...point, lat: round(point.lat, 8), lng: round(point.lng, 8) } : null;
+};
+
+// --- Writing positions back ---
+
+const formatDmsAngle = (value, positive, negative) => {
+  const totalSeconds = Math.round(Math.abs(value) * 36000) / 10; // Tenths of a second, about 3 m
+  const degrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds - degrees * 3600) / 60);
+  const seconds = (totalSeconds - degrees * 3600 - minutes * 60).toFixed(1);
+  return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.padStart(4, '0')}"${value < 0 ? negative : positive}`;
+};
+
+// `format` is one of 'decimal', 'dms', 'pluscode' or 'geo'
+export const formatCoordinates = (lat, lng, format = 'decimal') => {
+  switch (format) {
+    case 'dms':
+      return `${formatDmsAngle(lat, 'N', 'S')} ${formatDmsAngle(lng, 'E', 'W')}`;
+    case 'pluscode':
+      return encodePlusCode(lat, lng, 11);
+    case 'geo':
+      return `geo:${round(lat, 6)},${round(lng, 6)}`;
+    default:
+      return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+  }
+};
@@ -0,0 +1,79 @@
+import { encodePlusCode, formatCoordinates, parseCoordinates } from './coordinates';
+
+// One point in each hemisphere pair, plus one just west of Greenwich
+const POINTS = [
+  { name: 'Hyderabad', lat: 17.385, lng: 78.4867 },
+  { name: 'Sydney', lat: -33.8568, lng: 151.2153 },
+  { name: 'Rio de Janeiro', lat: -22.9519, lng: -43.2105 },
+  { name: 'London', lat: 51.5007, lng: -0.1246 }
+];
+
+// Decimal places each format keeps: 6 decimals, tenths of a second, an 11-digit Plus Code
+const PRECISION = { decimal: 5, dms: 4, pluscode: 4, geo: 5 };
+
+describe('parseCoordinates(formatCoordinates())', () => {
+  Object.entries(PRECISION).forEach(([format, digits]) => {
+    test.each(POINTS)(`returns $name from ${format}`, ({ lat, lng }) => {
+      const text = formatCoordinates(lat, lng, format);
+      const point = parseCoordinates(text);
+
+      expect(point).toMatchObject({ format });
+      expect(point.lat).toBeCloseTo(lat, digits);
+      expect(point.lng).toBeCloseTo(lng, digits);
+    });
+  });
+});
+
+describe('short Plus Codes', () => {
+  const hyderabad = POINTS[0];
+  const shortCode = encodePlusCode(hyderabad.lat, hyderabad.lng).slice(4);
+
+  test('are completed from a nearby reference point', () => {
+    const point = parseCoordinates(shortCode, { reference: { lat: 17.44, lng: 78.35 } });
+
+    expect(point).toMatchObject({ format: 'pluscode' });
+    expect(point.lat).toBeCloseTo(hyderabad.lat, 3);
+    expect(point.lng).toBeCloseTo(hyderabad.lng, 3);
+  });
+
+  test('pick the nearest match when the reference is across a cell boundary', () => {
+    const code = encodePlusCode(17.999, 78.4867).slice(4);
+    const point = parseCoordinates(code, { reference: { lat: 18.02, lng: 78.49 } });
+
+    expect(point.lat).toBeCloseTo(17.999, 3);
+    expect(point.lng).toBeCloseTo(78.4867, 3);
+  });
+
+  test('do not parse without a reference point or with a locality to geocode', () => {
+    expect(parseCoordinates(shortCode)).toBeNull();
+    expect(parseCoordinates(`${shortCode} Hyderabad`, { reference: { lat: 17.44, lng: 78.35 } })).toBeNull();
+  });
+});
+
+describe('geo: URIs', () => {
+  test('read the pin and label from the geo:0,0?q= form', () => {
+    expect(parseCoordinates('geo:0,0?q=17.385,78.4867(Charminar)'))
+      .toEqual({ lat: 17.385, lng: 78.4867, format: 'geo', label: 'Charminar' });
+    expect(parseCoordinates('geo:0,0?q=51.5007,-0.1246(Big%20Ben)'))
+      .toEqual({ lat: 51.5007, lng: -0.1246, format: 'geo', label: 'Big Ben' });
+  });
+
+  test('keep the path coordinates when q is not a position', () => {
+    expect(parseCoordinates('geo:17.385,78.4867?q=restaurants')).toEqual({ lat: 17.385, lng: 78.4867, format: 'geo' });
+  });
+});
+
+describe('text that is not a position', () => {
+  test.each([
+    ['12 34'],
+    ['221 221'],
+    ['SW1A 1AA'],
+    ['560001'],
+    ['90210'],
+    ['10115 Berlin'],
+    ['91.5, 78.48'],
+    ['geo:17.385,78.4867;crs=EPSG:3857']
+  ])('%s', (text) => {
+    expect(parseCoordinates(text)).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+// Client-side export of places and routes as GeoJSON, GPX, KML and CSV downloads.
+// Coordinates are WGS84 everywhere; GeoJSON and KML list them as lng,lat, GPX and
+// CSV as separate lat/lng fields.
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+const PLACE_FIELDS = ['id', 'name', 'category', 'categoryName', 'address', 'phone', 'website', 'opening_hours', 'distance', 'provenance'];
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (header, rows) => [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+
+const placeProperties = (place) => PLACE_FIELDS.reduce((properties, field) => {
+  if (place[field] !== undefined && place[field] !== null) properties[field] = place[field];
+  return properties;
+}, {});
+
+const placeDescription = (place) => [place.categoryName, place.address, place.phone, place.website, place.opening_hours]
+  .filter(Boolean)
+  .join('\n');
+
+// Route duration in minutes, or null. Routers give a number; a label such as
+// "23 min" or "1h 5m" is read back into minutes.
+const routeMinutes = (route) => {
+  if (typeof route.duration === 'number') return Number.isFinite(route.duration) ? route.duration : null;
+  const text = String(route.duration ?? '').trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  const hours = text.match(/(\d+)\s*h/);
+  const minutes = text.match(/(\d+)\s*m/);
+  if (!hours && !minutes) return null;
+  return (hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0);
+};
+
+// The route line: decoded geometry when the router returned one, else the straight start → stops line
+const routeLine = (route, points) => (
+  route.geometry && route.geometry.length > 1 ? route.geometry : points.map(point => [point.lat, point.lng])
+);
+
+const routePoints = ({ start, stops }) => [
+  { ...start, name: start.display_name || start.name || 'Start' },
+  ...stops
+];
+
+const gpxDocument = (body) => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Places Finder" xmlns="http://www.topografix.com/GPX/1/1">
+${body}
+</gpx>
+`;
+
+const kmlDocument = (name, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+<name>${escapeXml(name)}</name>
+${body}
+</Document>
+</kml>
+`;
+
+const kmlPlacemark = (name, description, point) => `<Placemark>
+<name>${escapeXml(name)}</name>
+${description ? `<description>${escapeXml(description)}</description>\n` : ''}<Point><coordinates>${point.lng},${point.lat}</coordinates></Point>
+</Placemark>`;
+
+export const placesToGeoJSON = (places) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: places.map(place => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [place.lng, place.lat] },
+    properties: placeProperties(place)
+  }))
+}, null, 2);
+
+export const placesToGPX = (places) => gpxDocument(places.map(place => `<wpt lat="${place.lat}" lon="${place.lng}">
+<name>${escapeXml(place.name)}</name>
+<desc>${escapeXml(placeDescription(place))}</desc>
+<type>${escapeXml(place.categoryName || place.category)}</type>
+</wpt>`).join('\n'));
+
+export const placesToKML = (places, name = 'Places') => kmlDocument(
+  name,
+  places.map(place => kmlPlacemark(place.name, placeDescription(place), place)).join('\n')
+);
+
+export const placesToCSV = (places) => toCsv(
+  ['lat', 'lng', ...PLACE_FIELDS],
+  places.map(place => [place.lat, place.lng, ...PLACE_FIELDS.map(field => place[field])])
+);
+
+// `trip` is { start, stops }: the start location and the stops in visiting order (the last is the destination)
+export const routeToGeoJSON = (route, trip) => {
+  const points = routePoints(trip);
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: routeLine(route, points).map(([lat, lng]) => [lng, lat]) },
+        properties: { distance_km: Number(route.distance), duration_min: routeMinutes(route), source: route.source }
+      },
+      ...points.map((point, index) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+        properties: { name: point.name, role: index === 0 ? 'start' : index === points.length - 1 ? 'destination' : 'stop', order: index }
+      })),
+      ...route.steps.filter(step => step.location).map((step, index) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [step.location[1], step.location[0]] },
+        properties: { role: 'step', order: index + 1, instruction: step.instruction, distance: step.distance, duration: step.duration }
+      }))
+    ]
+  }, null, 2);
+};
+
+export const routeToGPX = (route, trip) => {
+  const points = routePoints(trip);
+  const waypoints = points.map(point => `<wpt lat="${point.lat}" lon="${point.lng}">
+<name>${escapeXml(point.name)}</name>
+</wpt>`).join('\n');
+  const routePointsXml = route.steps.filter(step => step.location).map(step => `<rtept lat="${step.location[0]}" lon="${step.location[1]}">
+<desc>${escapeXml(step.instruction)}</desc>
+</rtept>`).join('\n');
+  const trackPoints = routeLine(route, points).map(([lat, lng]) => `<trkpt lat="${lat}" lon="${lng}"></trkpt>`).join('\n');
+  const name = escapeXml(`Route to ${points[points.length - 1].name}`);
+
+  return gpxDocument(`${waypoints}
+<rte>
+<name>${name}</name>
+${routePointsXml}
+</rte>
+<trk>
+<name>${name}</name>
+<trkseg>
+${trackPoints}
+</trkseg>
+</trk>`);
+};
+
+export const routeToKML = (route, trip) => {
+  const points = routePoints(trip);
+  const name = `Route to ${points[points.length - 1].name}`;
+  const line = routeLine(route, points).map(([lat, lng]) => `${lng},${lat}`).join(' ');
+  const minutes = routeMinutes(route);
+
+  return kmlDocument(name, `<Placemark>
+<name>${escapeXml(name)}</name>
+<description>${escapeXml(minutes === null ? `${route.distance} km` : `${route.distance} km, ${minutes} min`)}</description>
+<LineString><tessellate>1</tessellate><coordinates>${line}</coordinates></LineString>
+</Placemark>
+${points.map(point => kmlPlacemark(point.name, null, point)).join('\n')}`);
+};
+
+// One row per step: the turn-by-turn list a spreadsheet can print
+export const routeToCSV = (route) => toCsv(
+  ['step', 'instruction', 'distance', 'duration', 'maneuver', 'lat', 'lng'],
+  route.steps.map((step, index) => [
+    index + 1,
+    step.instruction,
+    step.distance,
+    step.duration,
+    step.maneuver,
+    step.location ? step.location[0] : '',
+    step.location ? step.location[1] : ''
+  ])
+);
+
+const PLACE_EXPORTERS = { geojson: placesToGeoJSON, gpx: placesToGPX, kml: placesToKML, csv: placesToCSV };
+const ROUTE_EXPORTERS = { geojson: routeToGeoJSON, gpx: routeToGPX, kml: routeToKML, csv: routeToCSV };
+
+export const downloadFile = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const fileName = (base, format) => `${base.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'export'}.${EXPORT_FORMATS[format].extension}`;
+
+export const exportPlaces = (places, format, name = 'places') => {
+  downloadFile(PLACE_EXPORTERS[format](places, name), fileName(name, format), EXPORT_FORMATS[format].mimeType);
+  console.log(`📤 Exported ${places.length} places as ${EXPORT_FORMATS[format].label}`);
+};
+
+export const exportRoute = (route, trip, format, name = 'route') => {
+  downloadFile(ROUTE_EXPORTERS[format](route, trip), fileName(name, format), EXPORT_FORMATS[format].mimeType);
+  console.log(`📤 Exported route as ${EXPORT_FORMATS[format].label}`);
+};
@@ -0,0 +1,167 @@
+// Shared geometry helpers used by the service layer
+
+// Calculate distance between two points using Haversine formula
+export const calculateDistance = (lat1, lng1, lat2, lng2) => {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng/2) * Math.sin(dLng/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+};
+
+// Bounding box ({ south, west, north, east }) that encloses a circle of radiusKm
+export const bboxFromRadius = (lat, lng, radiusKm) => {
+  const latDelta = radiusKm / 111.32;
+  const lngDelta = radiusKm / (111.32 * Math.cos(lat * Math.PI / 180));
+  return {
+    south: lat - latDelta,
+    west: lng - lngDelta,
+    north: lat + latDelta,
+    east: lng + lngDelta
+  };
+};
+
+// Center of a bounding box and the radius (km) of the circle that covers it
+export const circleFromBBox = (bbox) => {
+  const lat = (bbox.south + bbox.north) / 2;
+  const lng = (bbox.west + bbox.east) / 2;
+  return {
+    lat,
+    lng,
+    radius: calculateDistance(lat, lng, bbox.north, bbox.east)
+  };
+};
+
+export const isPointInBBox = (lat, lng, bbox) => {
+  return lat >= bbox.south && lat <= bbox.north && lng >= bbox.west && lng <= bbox.east;
+};
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Geohash cell containing a point: its hash, bounds and center
+export const geohashCell = (lat, lng, precision = 6) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let charIndex = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    if (value >= mid) {
+      charIndex = (charIndex << 1) | 1;
+      range[0] = mid;
+    } else {
+      charIndex = charIndex << 1;
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[charIndex];
+      bits = 0;
+      charIndex = 0;
+    }
+  }
+
+  const center = { lat: (latRange[0] + latRange[1]) / 2, lng: (lngRange[0] + lngRange[1]) / 2 };
+  return {
+    hash,
+    ...center,
+    bbox: { south: latRange[0], west: lngRange[0], north: latRange[1], east: lngRange[1] },
+    halfDiagonalKm: calculateDistance(center.lat, center.lng, latRange[1], lngRange[1])
+  };
+};
+
+export const encodeGeohash = (lat, lng, precision = 6) => geohashCell(lat, lng, precision).hash;
+
+// Cell size that stays small relative to the search radius (~1.2km or ~5km cells)
+export const geohashPrecisionForRadius = (radiusKm) => (radiusKm <= 5 ? 6 : 5);
+
+// Bounding box of a list of { lat, lng } points
+export const bboxFromPoints = (points) => ({
+  south: Math.min(...points.map(point => point.lat)),
+  west: Math.min(...points.map(point => point.lng)),
+  north: Math.max(...points.map(point => point.lat)),
+  east: Math.max(...points.map(point => point.lng))
+});
+
+// Ray casting test; `points` is the polygon ring without repeating the first point
+export const isPointInPolygon = (lat, lng, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.lat > lat) !== (b.lat > lat) &&
+        lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Decode an encoded polyline (Google / OSRM format) into [[lat, lng], ...]
+export const decodePolyline = (encoded, precision = 5) => {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    coordinates.push([lat / factor, lng / factor]);
+  }
+  return coordinates;
+};
+
+// Closest point of a [[lat, lng], ...] line to a position: the segment it lies on
+// (`index`, and `fraction` of the way along it) and how far off the line the
+// position is (km). Segments are projected on a local flat plane, which is
+// accurate at street scale.
+export const projectOntoPolyline = (lat, lng, line) => {
+  if (line.length === 1) {
+    return { index: 0, fraction: 0, distanceKm: calculateDistance(lat, lng, line[0][0], line[0][1]) };
+  }
+
+  const kmPerLng = 111.32 * Math.cos(lat * Math.PI / 180);
+  const toPlane = ([pointLat, pointLng]) => ({ x: (pointLng - lng) * kmPerLng, y: (pointLat - lat) * 111.32 });
+  let best = null;
+
+  for (let i = 0; i < line.length - 1; i++) {
+    const a = toPlane(line[i]);
+    const b = toPlane(line[i + 1]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const fraction = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+    const distanceKm = Math.hypot(a.x + dx * fraction, a.y + dy * fraction);
+
+    if (!best || distanceKm < best.distanceKm) {
+      best = { index: i, fraction, distanceKm };
+    }
+  }
+
+  return best;
+};
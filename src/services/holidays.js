@@ -0,0 +1,40 @@
+// Public holidays per country from the date-holidays dataset, which works out the
+// dates that move from year to year (Easter, bank holidays, substitute days).
+// Only nationwide public holidays count; regional ones and observances don't.
+
+// Countries whose dataset lacks holidays fixed each year by the lunar calendar
+// (Diwali, Holi, Eid in India), so their calendar can't be trusted for `PH`
+const INCOMPLETE_CALENDARS = ['in'];
+
+let Holidays = null;
+let knownCountries = {};
+const calendars = new Map();
+
+// The dataset is large, so it comes in its own chunk once the app has started.
+// Until it has loaded every calendar is unknown.
+const dataLoaded = import('date-holidays')
+  .then(module => {
+    Holidays = module.default;
+    knownCountries = new Holidays().getCountries();
+  })
+  .catch(error => console.warn('📅 Holiday data failed to load:', error.message));
+
+export const loadHolidayData = () => dataLoaded;
+
+const getCalendar = (countryCode) => {
+  if (!calendars.has(countryCode)) {
+    calendars.set(countryCode, new Holidays(countryCode.toUpperCase(), { types: ['public'] }));
+  }
+  return calendars.get(countryCode);
+};
+
+// Public holidays of a country in the given years as "YYYY-MM-DD" dates, or null
+// when its calendar isn't known (no country, no data or incomplete data)
+export const getPublicHolidays = (countryCode, years) => {
+  const code = (countryCode || '').toLowerCase();
+  if (!Holidays || !knownCountries[code.toUpperCase()] || INCOMPLETE_CALENDARS.includes(code)) return null;
+
+  const calendar = getCalendar(code);
+  const dates = years.flatMap(year => calendar.getHolidays(year).map(holiday => holiday.date.slice(0, 10)));
+  return dates.length > 0 ? dates : null;
+};
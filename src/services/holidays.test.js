@@ -0,0 +1,21 @@
+import { getPublicHolidays, loadHolidayData } from './holidays';
+
+describe('getPublicHolidays', () => {
+  beforeAll(() => loadHolidayData());
+
+  test('works out holidays that move from year to year', () => {
+    const us = getPublicHolidays('us', [2026, 2027]);
+    expect(us).toEqual(expect.arrayContaining(['2026-05-25', '2026-09-07', '2026-11-26', '2027-11-25']));
+
+    const gb = getPublicHolidays('GB', [2026]);
+    expect(gb).toEqual(expect.arrayContaining(['2026-04-03', '2026-04-06', '2026-05-04', '2026-12-28']));
+    // Observances such as Mother's Day are not public holidays
+    expect(gb).not.toContain('2026-03-15');
+  });
+
+  test('is null when the calendar is unknown or incomplete', () => {
+    expect(getPublicHolidays('in', [2026])).toBeNull();
+    expect(getPublicHolidays('xx', [2026])).toBeNull();
+    expect(getPublicHolidays(null, [2026])).toBeNull();
+  });
+});
@@ -0,0 +1,255 @@
+import { getCached, setCached, deleteCached } from './cacheService';
+import { registerProvider, unregisterProvider } from './placeProviders';
+import { createGeoJSONProvider } from './providers/geojsonProvider';
+import {
+  PLACE_PROVENANCE,
+  CUSTOM_CATEGORY_PREFIX,
+  registerCustomCategory,
+  unregisterCustomCategory
+} from './placesService';
+
+// Imported place layers: GeoJSON, CSV (lat/lng columns) or GPX files turned into
+// a custom category each, searched like any other category through a GeoJSON
+// provider. The layer list is kept in localStorage so the categories exist as
+// soon as the app starts; the features live in the pinned 'layers' cache namespace.
+
+const LAYER_INDEX_KEY = 'importedLayers';
+const LAYER_CHANGE_EVENT = 'importedlayerschange';
+export const MAX_LAYER_FEATURES = 5000;
+export const IMPORT_ACCEPT = '.geojson,.json,.csv,.gpx';
+
+const LAYER_ICON = '📌';
+const LAYER_COLORS = ['#a855f7', '#14b8a6', '#f43f5e', '#eab308', '#6366f1', '#84cc16'];
+
+const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x'];
+const NAME_FIELDS = ['name', 'title', 'label', 'Name', 'NAME'];
+const ADDRESS_FIELDS = ['address', 'description', 'desc', 'Address'];
+
+// Every imported place gets a `name` and, when the file has one, an `address`
+const normalizeProperties = (properties, index) => {
+  const name = NAME_FIELDS.map(field => properties[field]).find(Boolean);
+  const address = ADDRESS_FIELDS.map(field => properties[field]).find(Boolean);
+  return {
+    ...properties,
+    name: name ? String(name) : `Point ${index + 1}`,
+    ...(address ? { address: String(address) } : {})
+  };
+};
+
+const pointFeature = (lat, lng, properties) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lng, lat] },
+  properties
+});
+
+export const parseGeoJSON = (text) => {
+  const json = JSON.parse(text);
+  const features = json.type === 'FeatureCollection' ? json.features :
+    json.type === 'Feature' ? [json] :
+    Array.isArray(json) ? json : null;
+  if (!features) {
+    throw new Error('Not a GeoJSON Feature or FeatureCollection');
+  }
+  return features.filter(feature => feature && feature.geometry && feature.geometry.coordinates);
+};
+
+// RFC 4180 rows: quoted fields may contain the delimiter, quotes ("") and line breaks
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+export const parseCSV = (text) => {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  ), ',');
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''), delimiter);
+  const columns = header.map(column => column.trim());
+  const findColumn = (names) => columns.findIndex(column => names.includes(column.toLowerCase()));
+  const latIndex = findColumn(LAT_COLUMNS);
+  const lngIndex = findColumn(LNG_COLUMNS);
+
+  if (latIndex < 0 || lngIndex < 0) {
+    throw new Error('The CSV needs a latitude (lat) and a longitude (lng or lon) column');
+  }
+
+  return rows
+    .map(cells => {
+      const lat = parseFloat(cells[latIndex]);
+      const lng = parseFloat(cells[lngIndex]);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+      const properties = {};
+      columns.forEach((column, index) => {
+        if (index !== latIndex && index !== lngIndex && column && cells[index]) {
+          properties[column] = cells[index].trim();
+        }
+      });
+      return pointFeature(lat, lng, properties);
+    })
+    .filter(Boolean);
+};
+
+// Waypoints and route points; track points are a line, not places
+export const parseGPX = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The GPX file is not valid XML');
+  }
+
+  const childText = (element, tag) => element.getElementsByTagName(tag)[0]?.textContent.trim() || null;
+
+  return [...doc.getElementsByTagName('wpt'), ...doc.getElementsByTagName('rtept')]
+    .map(point => {
+      const lat = parseFloat(point.getAttribute('lat'));
+      const lng = parseFloat(point.getAttribute('lon'));
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+      const properties = {};
+      ['name', 'desc', 'cmt', 'type'].forEach(tag => {
+        const value = childText(point, tag);
+        if (value) properties[tag] = value;
+      });
+      return pointFeature(lat, lng, properties);
+    })
+    .filter(Boolean);
+};
+
+const PARSERS = { geojson: parseGeoJSON, csv: parseCSV, gpx: parseGPX };
+
+// Format from the file extension, falling back to a look at the content
+export const detectFormat = (fileName, text) => {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+  if (extension === 'csv' || extension === 'gpx') return extension;
+
+  const start = text.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return 'geojson';
+  if (start.startsWith('<')) return 'gpx';
+  return 'csv';
+};
+
+export const parseLayerFile = (fileName, text) => {
+  const format = detectFormat(fileName, text);
+  const features = PARSERS[format](text);
+  if (features.length === 0) {
+    throw new Error('No places with coordinates found in the file');
+  }
+  return {
+    format,
+    features: features
+      .slice(0, MAX_LAYER_FEATURES)
+      .map((feature, index) => ({ ...feature, properties: normalizeProperties(feature.properties || {}, index) }))
+  };
+};
+
+export const getImportedLayers = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LAYER_INDEX_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveImportedLayers = (layers) => {
+  localStorage.setItem(LAYER_INDEX_KEY, JSON.stringify(layers));
+  window.dispatchEvent(new Event(LAYER_CHANGE_EVENT));
+};
+
+// Calls `listener(layers)` whenever a layer is imported or deleted
+export const subscribeImportedLayers = (listener) => {
+  const handleChange = () => listener(getImportedLayers());
+  window.addEventListener(LAYER_CHANGE_EVENT, handleChange);
+  return () => window.removeEventListener(LAYER_CHANGE_EVENT, handleChange);
+};
+
+// Register the layer's category and its provider. Without `collection` the
+// stored features are read back from the cache.
+const activateLayer = (layer, collection = null) => {
+  registerCustomCategory(layer.categoryKey, { name: layer.name, icon: LAYER_ICON, color: layer.color });
+  registerProvider(createGeoJSONProvider({
+    id: layer.categoryKey,
+    name: layer.name,
+    data: collection || getCached('layers', layer.id).then(stored => stored || { features: [] }),
+    categoryKey: layer.categoryKey,
+    provenance: PLACE_PROVENANCE.IMPORTED
+  }));
+};
+
+// Call once at startup, before the first search
+export const restoreImportedLayers = () => {
+  getImportedLayers().forEach(layer => activateLayer(layer));
+};
+
+export const importLayerFile = async (file) => {
+  const text = await file.text();
+  const { format, features } = parseLayerFile(file.name, text);
+  const layers = getImportedLayers();
+  const id = Date.now().toString(36);
+  const layer = {
+    id,
+    name: file.name.replace(/\.[^.]+$/, '') || 'Imported places',
+    categoryKey: `${CUSTOM_CATEGORY_PREFIX}${id}`,
+    color: LAYER_COLORS[layers.length % LAYER_COLORS.length],
+    format,
+    featureCount: features.length,
+    importedAt: Date.now()
+  };
+  const collection = { type: 'FeatureCollection', features };
+
+  await setCached('layers', id, collection);
+  activateLayer(layer, collection);
+  saveImportedLayers([...layers, layer]);
+  console.log(`📥 Imported ${features.length} places from ${file.name} as "${layer.name}"`);
+  return layer;
+};
+
+export const deleteImportedLayer = async (id) => {
+  const layers = getImportedLayers();
+  const layer = layers.find(existing => existing.id === id);
+  if (!layer) return layers;
+
+  unregisterProvider(layer.categoryKey);
+  unregisterCustomCategory(layer.categoryKey);
+  await deleteCached('layers', id);
+  const remaining = layers.filter(existing => existing.id !== id);
+  saveImportedLayers(remaining);
+  return remaining;
+};
@@ -0,0 +1,152 @@
+import { calculateDistance, projectOntoPolyline } from './geo';
+
+// Live turn-by-turn navigation: position sources and the progress of a position
+// along a route (current step, distance to the next manoeuvre, remaining
+// distance and time, off-route detection). A position source is
+// { start(onPosition, onError) => stop }; positions are { lat, lng, accuracy }
+// with accuracy in metres. Any object of that shape can drive navigation, e.g.
+// createSimulatedSource() or a scripted stream in a test.
+
+const OFF_ROUTE_KM = 0.05;
+const MAX_ACCURACY_ALLOWANCE_KM = 0.1; // A poor fix widens the corridor, but only this far
+const ARRIVAL_KM = 0.03;
+export const OFF_ROUTE_FIXES = 3; // Consecutive off-route fixes before re-routing, so one bad fix doesn't
+
+export const createGeolocationSource = (options = {}) => ({
+  start: (onPosition, onError) => {
+    if (!navigator.geolocation) {
+      onError(new Error('Geolocation is not supported by this browser'));
+      return () => {};
+    }
+
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => onPosition({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        timestamp: position.timestamp
+      }),
+      (error) => onError(new Error(error.message || 'Location unavailable')),
+      { enableHighAccuracy: true, maximumAge: 1000, timeout: 15000, ...options }
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  }
+});
+
+// Cumulative distance (km) from the first point of a [[lat, lng], ...] line to each point
+const cumulativeDistances = (line) => line.reduce((cumulative, point, index) => {
+  cumulative.push(index === 0 ? 0 : cumulative[index - 1] + calculateDistance(line[index - 1][0], line[index - 1][1], point[0], point[1]));
+  return cumulative;
+}, []);
+
+const pointAlong = (line, cumulative, km) => {
+  const index = cumulative.findIndex(distance => distance >= km);
+  if (index <= 0) return index === 0 ? line[0] : line[line.length - 1];
+  const segmentKm = cumulative[index] - cumulative[index - 1];
+  const fraction = segmentKm > 0 ? (km - cumulative[index - 1]) / segmentKm : 0;
+  const [lat1, lng1] = line[index - 1];
+  const [lat2, lng2] = line[index];
+  return [lat1 + (lat2 - lat1) * fraction, lng1 + (lng2 - lng1) * fraction];
+};
+
+// Replays a drive along a [[lat, lng], ...] line at a steady speed, one fix per
+// interval, and stops at the end. `offsetMetres` shifts every fix north, e.g. to
+// try off-route detection.
+export const createSimulatedSource = (line, { speedKmh = 40, intervalMs = 1000, offsetMetres = 0 } = {}) => ({
+  start: (onPosition) => {
+    const cumulative = cumulativeDistances(line);
+    const totalKm = cumulative[cumulative.length - 1] || 0;
+    const stepKm = speedKmh * intervalMs / 3600000;
+    let travelledKm = 0;
+    let timer = null;
+
+    // Returns whether there is more of the line to drive
+    const emit = () => {
+      const km = Math.min(travelledKm, totalKm);
+      const [lat, lng] = pointAlong(line, cumulative, km);
+      onPosition({ lat: lat + offsetMetres / 111320, lng, accuracy: 5, timestamp: Date.now() });
+      travelledKm += stepKm;
+      return km < totalKm;
+    };
+
+    if (emit()) {
+      timer = setInterval(() => {
+        if (!emit()) clearInterval(timer);
+      }, intervalMs);
+    }
+    return () => clearInterval(timer);
+  }
+});
+
+// Line to follow for a route: its geometry, or its step locations when it has none
+const routeLine = (route) => (
+  route.geometry && route.geometry.length > 1 ?
+    route.geometry :
+    route.steps.filter(step => step.location).map(step => step.location)
+);
+
+// Precompute what progress tracking needs: the line, distances along it and
+// where along it each step's manoeuvre is
+export const prepareRoute = (route) => {
+  const line = routeLine(route);
+  const cumulative = cumulativeDistances(line);
+  const alongLine = ([lat, lng]) => {
+    const { index, fraction } = projectOntoPolyline(lat, lng, line);
+    return cumulative[index] + ((cumulative[index + 1] ?? cumulative[index]) - cumulative[index]) * fraction;
+  };
+
+  let previous = 0;
+  const stepOffsets = route.steps.map(step => {
+    // Steps never go backwards along the route, even where it doubles back on itself
+    previous = step.location ? Math.max(previous, alongLine(step.location)) : previous;
+    return previous;
+  });
+
+  return {
+    route,
+    line,
+    cumulative,
+    stepOffsets,
+    totalKm: cumulative[cumulative.length - 1] || 0
+  };
+};
+
+// Where a position is along a prepared route. `stepIndex` is the step being
+// driven, `nextStepIndex` the manoeuvre coming up (null on the last step).
+export const getNavigationProgress = (prepared, position) => {
+  const { route, line, cumulative, stepOffsets, totalKm } = prepared;
+  const { index, fraction, distanceKm } = projectOntoPolyline(position.lat, position.lng, line);
+  const alongKm = cumulative[index] + ((cumulative[index + 1] ?? cumulative[index]) - cumulative[index]) * fraction;
+
+  let stepIndex = 0;
+  stepOffsets.forEach((offset, i) => {
+    if (offset <= alongKm) stepIndex = i;
+  });
+  const nextStepIndex = stepIndex + 1 < route.steps.length ? stepIndex + 1 : null;
+
+  const remainingKm = Math.max(0, totalKm - alongKm);
+  const remainingMinutes = totalKm > 0 ? Number(route.duration) * remainingKm / totalKm : 0;
+  const allowanceKm = Math.min((position.accuracy || 0) / 1000, MAX_ACCURACY_ALLOWANCE_KM);
+
+  return {
+    stepIndex,
+    nextStepIndex,
+    distanceToNextKm: nextStepIndex !== null ? Math.max(0, stepOffsets[nextStepIndex] - alongKm) : remainingKm,
+    remainingKm,
+    remainingMinutes,
+    eta: new Date(Date.now() + remainingMinutes * 60000),
+    offRouteKm: distanceKm,
+    offRoute: distanceKm > OFF_ROUTE_KM + allowanceKm,
+    arrived: remainingKm <= ARRIVAL_KM && distanceKm <= OFF_ROUTE_KM + allowanceKm
+  };
+};
+
+// "350 m" below a kilometre, "1.2 km" above; "500 ft" / "1.4 mi" in imperial units
+export const formatNavigationDistance = (km, units = 'metric') => {
+  if (units === 'imperial') {
+    const miles = km / 1.609344;
+    return miles < 0.2 ? `${Math.max(50, Math.round(km * 3280.84 / 50) * 50)} ft` : `${miles.toFixed(1)} mi`;
+  }
+  const metres = Math.max(10, Math.round(km * 100) * 10);
+  return metres < 1000 ? `${metres} m` : `${km.toFixed(1)} km`;
+};
@@ -0,0 +1,107 @@
+import {
+  createSimulatedSource,
+  prepareRoute,
+  getNavigationProgress,
+  OFF_ROUTE_FIXES
+} from './navigationService';
+
+// An L-shaped drive: about 1.1 km north, a right turn, then about 1.1 km east
+const START = [17.38, 78.48];
+const TURN = [17.39, 78.48];
+const END = [17.39, 78.4904];
+
+const route = {
+  distance: '2.2',
+  duration: 12,
+  geometry: [START, TURN, END],
+  steps: [
+    { instruction: 'Head north', location: START },
+    { instruction: 'Turn right', location: TURN },
+    { instruction: 'Arrive at destination', location: END }
+  ]
+};
+
+// Runs a simulated source to the end of its line and returns every fix it emitted
+const drive = (line, options) => {
+  const positions = [];
+  const stop = createSimulatedSource(line, { speedKmh: 360, intervalMs: 1000, ...options })
+    .start(position => positions.push(position));
+  jest.advanceTimersByTime(60 * 1000);
+  stop();
+  return positions;
+};
+
+describe('navigation along a simulated position stream', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('advances through the steps and arrives at the end', () => {
+    const prepared = prepareRoute(route);
+    const progress = drive(route.geometry).map(position => getNavigationProgress(prepared, position));
+
+    expect(progress.length).toBeGreaterThan(10);
+    expect(progress[0]).toMatchObject({ stepIndex: 0, nextStepIndex: 1, offRoute: false, arrived: false });
+
+    const stepIndexes = progress.map(fix => fix.stepIndex);
+    stepIndexes.slice(1).forEach((stepIndex, i) => expect(stepIndex).toBeGreaterThanOrEqual(stepIndexes[i]));
+    expect(stepIndexes).toContain(1);
+
+    const last = progress[progress.length - 1];
+    expect(last.stepIndex).toBe(2);
+    expect(last.nextStepIndex).toBeNull();
+    expect(last.arrived).toBe(true);
+    expect(progress.every(fix => !fix.offRoute)).toBe(true);
+  });
+
+  test('counts down the distance to the turn while driving the first step', () => {
+    const prepared = prepareRoute(route);
+    const firstStep = drive(route.geometry)
+      .map(position => getNavigationProgress(prepared, position))
+      .filter(fix => fix.stepIndex === 0);
+
+    expect(firstStep[0].distanceToNextKm).toBeCloseTo(prepared.stepOffsets[1], 2);
+    firstStep.slice(1).forEach((fix, i) => expect(fix.distanceToNextKm).toBeLessThan(firstStep[i].distanceToNextKm));
+  });
+
+  test('flags every fix of a parallel drive 200 m away as off route', () => {
+    const prepared = prepareRoute(route);
+    // The eastbound leg, one street further north
+    const progress = drive(route.geometry.slice(1), { offsetMetres: 200 })
+      .map(position => getNavigationProgress(prepared, position));
+
+    expect(progress.length).toBeGreaterThanOrEqual(OFF_ROUTE_FIXES);
+    progress.forEach(fix => {
+      expect(fix.offRoute).toBe(true);
+      expect(fix.offRouteKm).toBeGreaterThan(0.15);
+    });
+  });
+
+  test('a poor fix near the route is not off route', () => {
+    const prepared = prepareRoute(route);
+    const progress = getNavigationProgress(prepared, { lat: 17.385 + 70 / 111320, lng: 78.48, accuracy: 60 });
+
+    expect(progress.offRoute).toBe(false);
+  });
+
+  test('estimates the remaining time and arrival from the route duration', () => {
+    const prepared = prepareRoute(route);
+
+    const atStart = getNavigationProgress(prepared, { lat: START[0], lng: START[1], accuracy: 5 });
+    expect(atStart.remainingKm).toBeCloseTo(prepared.totalKm, 3);
+    expect(atStart.remainingMinutes).toBeCloseTo(12, 3);
+    expect(atStart.eta.toISOString()).toBe('2026-10-19T08:12:00.000Z');
+
+    const atTurn = getNavigationProgress(prepared, { lat: TURN[0], lng: TURN[1], accuracy: 5 });
+    const share = atTurn.remainingKm / prepared.totalKm;
+    expect(share).toBeGreaterThan(0.4);
+    expect(share).toBeLessThan(0.6);
+    expect(atTurn.remainingMinutes).toBeCloseTo(12 * share, 3);
+    expect(atTurn.eta.getTime()).toBe(Math.floor(Date.now() + atTurn.remainingMinutes * 60000));
+  });
+});
@@ -0,0 +1,183 @@
+import { bboxFromRadius, calculateDistance } from './geo';
+import { getCached, setCached, deleteCached } from './cacheService';
+import { mergeProviderResults, normalizeQuery } from './placeProviders';
+import { fetchNearbyPlaces, refinePlaceAddresses, PLACE_PROVENANCE } from './placesService';
+import { scheduledFetch, PRIORITY } from './requestScheduler';
+
+// Offline support: service worker registration, the last search snapshot and
+// areas saved for offline browsing (their places plus prefetched map tiles).
+// Snapshots live in the pinned 'offline' cache namespace, so they never expire
+// and survive "Clear cache".
+
+export const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const SAVED_TILE_CACHE = 'places-finder-tiles-saved'; // Keep in sync with public/sw.js
+
+// The OSM tile servers forbid bulk downloads, so an area gets a modest number
+// of tiles: every zoom level from MIN_ZOOM up while the total stays under the cap.
+const MIN_SAVED_ZOOM = 10;
+const MAX_SAVED_ZOOM = 16;
+const MAX_SAVED_TILES = 400;
+
+const LAST_SEARCH_KEY = 'lastSearch';
+const AREA_INDEX_KEY = 'areas';
+
+// Only in production builds: in dev the worker would cache Vite's unbundled modules
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .then(registration => console.log('📦 Service worker registered:', registration.scope))
+      .catch(error => console.warn('⚠️ Service worker registration failed:', error.message));
+  });
+};
+
+export const saveLastSearch = async ({ lat, lng, radius, places }) => {
+  await setCached('offline', LAST_SEARCH_KEY, { lat, lng, radius, places, savedAt: Date.now() });
+};
+
+export const getLastSearch = async () => (await getCached('offline', LAST_SEARCH_KEY)) || null;
+
+export const getSavedAreas = async () => (await getCached('offline', AREA_INDEX_KEY)) || [];
+
+// Slippy map tile numbers for a point
+const tileForPoint = (lat, lng, zoom) => {
+  const scale = 2 ** zoom;
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: Math.floor((lng + 180) / 360 * scale),
+    y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale)
+  };
+};
+
+// Tile URLs covering a circle, lowest zoom levels first, within MAX_SAVED_TILES
+export const getTileUrlsForArea = (lat, lng, radius) => {
+  const bbox = bboxFromRadius(lat, lng, radius);
+  const urls = [];
+
+  for (let zoom = MIN_SAVED_ZOOM; zoom <= MAX_SAVED_ZOOM; zoom++) {
+    const topLeft = tileForPoint(bbox.north, bbox.west, zoom);
+    const bottomRight = tileForPoint(bbox.south, bbox.east, zoom);
+    const count = (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+    if (urls.length + count > MAX_SAVED_TILES) break;
+
+    for (let x = topLeft.x; x <= bottomRight.x; x++) {
+      for (let y = topLeft.y; y <= bottomRight.y; y++) {
+        // Same canonical form the service worker uses as its cache key
+        urls.push(`https://tile.openstreetmap.org/${zoom}/${x}/${y}.png`);
+      }
+    }
+  }
+
+  return urls;
+};
+
+const prefetchTiles = async (urls, onProgress) => {
+  if (typeof caches === 'undefined') return 0;
+
+  const cache = await caches.open(SAVED_TILE_CACHE);
+  let done = 0;
+  let saved = 0;
+
+  await Promise.all(urls.map(async (url) => {
+    try {
+      if (!(await cache.match(url))) {
+        const response = await scheduledFetch(url, { mode: 'cors' }, { priority: PRIORITY.BACKGROUND });
+        if (!response.ok) throw new Error(`Tile failed: ${response.status}`);
+        await cache.put(url, response);
+      }
+      saved++;
+    } catch (error) {
+      console.warn(`⚠️ Could not save tile ${url}:`, error.message);
+    } finally {
+      onProgress({ stage: 'tiles', done: ++done, total: urls.length });
+    }
+  }));
+
+  return saved;
+};
+
+// Fetch the real places and map tiles inside a circle and keep them for offline use
+export const saveAreaForOffline = async ({ lat, lng, radius, name }, { onProgress = () => {} } = {}) => {
+  console.log(`💾 Saving ${radius}km around ${lat.toFixed(4)}, ${lng.toFixed(4)} for offline use`);
+
+  onProgress({ stage: 'places', done: 0, total: 1 });
+  // Stored places can't be looked up later, so wait for their addresses
+  const places = await refinePlaceAddresses(await fetchNearbyPlaces(lat, lng, radius, { includeSynthetic: false }));
+
+  const tileUrls = getTileUrlsForArea(lat, lng, radius);
+  const tilesSaved = await prefetchTiles(tileUrls, onProgress);
+
+  const area = {
+    id: `area_${Date.now()}`,
+    name: name || `${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+    lat,
+    lng,
+    radius,
+    tileUrls,
+    tilesSaved,
+    placeCount: Object.values(places).reduce((sum, categoryPlaces) => sum + categoryPlaces.length, 0),
+    savedAt: Date.now()
+  };
+
+  await setCached('offline', `area:${area.id}`, { ...area, places });
+  const { tileUrls: _urls, ...summary } = area;
+  await setCached('offline', AREA_INDEX_KEY, [...(await getSavedAreas()), summary]);
+
+  console.log(`✅ Saved area "${area.name}": ${area.placeCount} places, ${tilesSaved}/${tileUrls.length} tiles`);
+  return summary;
+};
+
+export const deleteSavedArea = async (id) => {
+  const areas = await getSavedAreas();
+  const area = await getCached('offline', `area:${id}`);
+  const remaining = areas.filter(a => a.id !== id);
+  await setCached('offline', AREA_INDEX_KEY, remaining);
+  await deleteCached('offline', `area:${id}`);
+
+  // Drop tiles no other saved area uses
+  if (area && area.tileUrls && typeof caches !== 'undefined') {
+    const stillUsed = new Set();
+    for (const other of remaining) {
+      const record = await getCached('offline', `area:${other.id}`);
+      (record?.tileUrls || []).forEach(url => stillUsed.add(url));
+    }
+    const cache = await caches.open(SAVED_TILE_CACHE);
+    await Promise.all(area.tileUrls.filter(url => !stillUsed.has(url)).map(url => cache.delete(url)));
+  }
+
+  return remaining;
+};
+
+// Best stored places for a search while offline: a saved area that contains the
+// search center, otherwise the last search if it overlaps. Places are clipped to
+// the requested circle and options, with distances from the new center.
+export const findOfflinePlaces = async (lat, lng, radius, { categories = null, includeSynthetic = true } = {}) => {
+  const candidates = [];
+
+  for (const area of await getSavedAreas()) {
+    if (calculateDistance(area.lat, area.lng, lat, lng) <= area.radius) {
+      const record = await getCached('offline', `area:${area.id}`);
+      if (record) candidates.push({ ...record, label: `saved area "${area.name}"` });
+    }
+  }
+
+  const lastSearch = await getLastSearch();
+  if (lastSearch && calculateDistance(lastSearch.lat, lastSearch.lng, lat, lng) <= lastSearch.radius) {
+    candidates.push({ ...lastSearch, label: 'your last search' });
+  }
+
+  if (candidates.length === 0) return null;
+
+  // Prefer the freshest snapshot
+  const snapshot = candidates.sort((a, b) => b.savedAt - a.savedAt)[0];
+  const query = normalizeQuery({ lat, lng, radius, categories });
+  const places = mergeProviderResults([snapshot.places], query);
+  if (!includeSynthetic) {
+    Object.keys(places).forEach(categoryKey => {
+      places[categoryKey] = places[categoryKey].filter(place => place.provenance !== PLACE_PROVENANCE.SYNTHETIC);
+    });
+  }
+
+  return { places, savedAt: snapshot.savedAt, label: snapshot.label };
+};
@@ -0,0 +1,366 @@
+import tzlookup from '@photostructure/tz-lookup';
+import { getRegionSettings } from './regionService';
+import { getPublicHolidays } from './holidays';
+
+// OpenStreetMap opening_hours parser and evaluator (https://wiki.openstreetmap.org/wiki/Key:opening_hours).
+// Supported: rule sequences (`;`, `||`, additional rules after `, `), `24/7`,
+// month and month-day selectors (`Dec 24-26`, `Nov-Feb`), weekday ranges and
+// lists, nth weekdays (`Mo[1]`), public holidays (`PH`), time ranges including
+// past-midnight (`22:00-02:00`, `18:00-26:00`) and open ends (`18:00+`), and the
+// `off`/`closed`/`open`/`unknown` modifiers. `SH` (school holidays) never matches
+// and sunrise/sunset use fixed 06:00/18:00 approximations. Anything else makes
+// the whole value unparseable, so a place is never shown as open by mistake.
+// Everything is evaluated in the place's local time, with its country's public
+// holidays; hours that mention `PH` are unknown when that calendar isn't.
+
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const EVENT_TIMES = { dawn: 5 * 60 + 30, sunrise: 6 * 60, sunset: 18 * 60, dusk: 18 * 60 + 30 };
+const DAY_MINUTES = 24 * 60;
+
+export const CLOSING_SOON_MINUTES = 30;
+
+// IANA time zone at a point, looked up in the bundled time zone boundaries, so
+// offsets such as +5:45 and daylight saving time come out right. Invalid
+// coordinates give undefined, i.e. the viewer's own time zone.
+export const getTimeZoneForLocation = (lat, lng) => {
+  try {
+    return tzlookup(lat, lng);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// The strings older mock data used ("9:00 AM - 9:00 PM", "24 Hours") in OSM syntax
+const normalizeLegacyHours = (value) => {
+  if (/^24 hours$/i.test(value)) return '24/7';
+  const match = value.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)\s*-\s*(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+  if (!match) return value;
+  const to24 = (hours, minutes, period) => {
+    const hour = (Number(hours) % 12) + (period.toUpperCase() === 'PM' ? 12 : 0);
+    return `${String(hour).padStart(2, '0')}:${minutes}`;
+  };
+  return `Mo-Su ${to24(match[1], match[2], match[3])}-${to24(match[4], match[5], match[6])}`;
+};
+
+// Small hand-written scanner over one rule
+const createScanner = (text) => {
+  let position = 0;
+  return {
+    skipSpaces: () => {
+      while (text[position] === ' ') position++;
+    },
+    match: (regex) => {
+      const result = text.slice(position).match(regex);
+      if (result) position += result[0].length;
+      return result;
+    },
+    peek: (regex) => regex.test(text.slice(position)),
+    rest: () => text.slice(position),
+    done: () => position >= text.length
+  };
+};
+
+const MONTH_PATTERN = `(${MONTHS.join('|')})`;
+const WEEKDAY_PATTERN = `(${WEEKDAYS.join('|')}|PH|SH)`;
+const TIME_PATTERN = '(\\d{1,2}:\\d{2}|sunrise|sunset|dawn|dusk)';
+
+const toMinutes = (time) => {
+  if (EVENT_TIMES[time] !== undefined) return EVENT_TIMES[time];
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const parseMonthSelector = (scanner) => {
+  const items = [];
+  const monthDay = new RegExp(`^${MONTH_PATTERN}(?:\\s+(\\d{1,2})(?![\\d:]))?`);
+  const rangeEnd = new RegExp(`^-(?:${MONTH_PATTERN}(?:\\s+(\\d{1,2})(?![\\d:]))?|(\\d{1,2})(?![\\d:]))`);
+
+  while (scanner.peek(monthDay)) {
+    const [, startMonth, startDay] = scanner.match(monthDay);
+    const item = { from: { month: MONTHS.indexOf(startMonth), day: startDay ? Number(startDay) : null } };
+    const end = scanner.match(rangeEnd);
+    if (end) {
+      item.to = end[1] ?
+        { month: MONTHS.indexOf(end[1]), day: end[2] ? Number(end[2]) : null } :
+        { month: item.from.month, day: Number(end[3]) };
+    }
+    items.push(item);
+    if (!scanner.match(/^,\s*/)) break;
+  }
+  scanner.skipSpaces();
+  return items;
+};
+
+const parseWeekdaySelector = (scanner) => {
+  const items = [];
+  const weekday = new RegExp(`^${WEEKDAY_PATTERN}(?:-(${WEEKDAYS.join('|')}))?(?:\\[(-?\\d)\\])?`);
+
+  while (scanner.peek(weekday)) {
+    const [, from, to, nth] = scanner.match(weekday);
+    items.push({ from, to: to || from, nth: nth ? Number(nth) : null });
+    if (!scanner.match(/^,\s*/)) break;
+  }
+  scanner.skipSpaces();
+  return items;
+};
+
+const parseTimeSelector = (scanner) => {
+  const ranges = [];
+  const range = new RegExp(`^${TIME_PATTERN}\\s*(?:-\\s*${TIME_PATTERN}|(\\+))`);
+
+  while (scanner.peek(range)) {
+    const [, start, end, openEnd] = scanner.match(range);
+    const from = toMinutes(start);
+    let to = openEnd ? DAY_MINUTES : toMinutes(end);
+    if (to <= from) to += DAY_MINUTES; // Runs past midnight
+    ranges.push([from, to]);
+    // A comma followed by something other than a time starts an additional rule
+    if (!scanner.peek(new RegExp(`^,\\s*${TIME_PATTERN}`))) break;
+    scanner.match(/^,\s*/);
+  }
+  scanner.skipSpaces();
+  return ranges;
+};
+
+// One rule, plus the text of an additional rule (after ", ") when there is one
+const parseRule = (text, additional) => {
+  const scanner = createScanner(text.trim());
+  const rule = { additional, months: [], weekdays: [], times: null, modifier: 'open' };
+
+  if (scanner.match(/^24\/7\s*/)) {
+    rule.times = [[0, DAY_MINUTES]];
+  } else {
+    rule.months = parseMonthSelector(scanner);
+    rule.weekdays = parseWeekdaySelector(scanner);
+    const times = parseTimeSelector(scanner);
+    if (times.length > 0) rule.times = times;
+  }
+
+  const modifier = scanner.match(/^(off|closed|open|unknown)\b\s*/);
+  if (modifier) rule.modifier = modifier[1] === 'closed' ? 'off' : modifier[1];
+  scanner.match(/^"[^"]*"\s*/); // Comments are for people
+
+  const next = scanner.match(/^,\s*/);
+  if (next) return { rule, rest: scanner.rest() };
+  if (!scanner.done()) throw new Error(`Unsupported opening_hours syntax: "${scanner.rest()}"`);
+  return { rule, rest: null };
+};
+
+const parsedCache = new Map();
+
+// Parsed rules, or null when the value is missing or uses syntax we don't support
+export const parseOpeningHours = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  if (parsedCache.has(value)) return parsedCache.get(value);
+
+  let parsed = null;
+  try {
+    const rules = [];
+    normalizeLegacyHours(value.trim())
+      .split(/;|\|\|/)
+      .map(part => part.trim())
+      .filter(Boolean)
+      .forEach(part => {
+        let text = part;
+        let additional = false;
+        while (text !== null) {
+          const { rule, rest } = parseRule(text, additional);
+          rules.push(rule);
+          text = rest;
+          additional = true;
+        }
+      });
+    parsed = rules.length > 0 ? { rules } : null;
+  } catch (error) {
+    parsed = null;
+  }
+
+  parsedCache.set(value, parsed);
+  return parsed;
+};
+
+// A calendar day in the place's time zone; `date` is a UTC midnight Date used as a cursor
+const describeDay = (date, holidays) => {
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  const iso = date.toISOString().slice(0, 10);
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return {
+    month,
+    day,
+    weekday: (date.getUTCDay() + 6) % 7, // Monday = 0
+    nthWeekday: Math.ceil(day / 7),
+    isLastWeekday: day + 7 > daysInMonth,
+    isHoliday: !!holidays && holidays.includes(iso) // Only asked for when the calendar is known
+  };
+};
+
+const inMonthItem = (item, { month, day }) => {
+  const value = month * 100 + day;
+  const from = item.from.month * 100 + (item.from.day || 1);
+  if (!item.to) return item.from.day ? value === from : month === item.from.month;
+  const to = item.to.month * 100 + (item.to.day || 31);
+  return from <= to ? value >= from && value <= to : value >= from || value <= to;
+};
+
+const inWeekdayItem = (item, day) => {
+  if (item.from === 'PH') return day.isHoliday;
+  if (item.from === 'SH') return false;
+  const from = WEEKDAYS.indexOf(item.from);
+  const to = WEEKDAYS.indexOf(item.to);
+  const inRange = from <= to ? day.weekday >= from && day.weekday <= to : day.weekday >= from || day.weekday <= to;
+  if (!inRange || item.nth === null) return inRange;
+  return item.nth === -1 ? day.isLastWeekday : day.nthWeekday === item.nth;
+};
+
+const ruleMatches = (rule, day) =>
+  (rule.months.length === 0 || rule.months.some(item => inMonthItem(item, day))) &&
+  (rule.weekdays.length === 0 || rule.weekdays.some(item => inWeekdayItem(item, day)));
+
+const subtractRanges = (ranges, removed) => removed.reduce((remaining, [start, end]) => remaining.flatMap(([from, to]) => {
+  if (end <= from || start >= to) return [[from, to]];
+  return [[from, start], [end, to]].filter(([a, b]) => b > a);
+}), ranges);
+
+// Ranges the rules give a day (minutes from its midnight; may run past 24:00)
+const rangesForDay = (parsed, day) => parsed.rules.reduce((ranges, rule) => {
+  if (!ruleMatches(rule, day)) return ranges;
+  const times = rule.times || [[0, DAY_MINUTES]];
+  if (rule.modifier === 'off') {
+    return rule.times ? subtractRanges(ranges, times) : [];
+  }
+  return rule.additional ? [...ranges, ...times] : times;
+}, []);
+
+const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+
+// Open intervals within one day: its own ranges plus what runs over from the day before
+const intervalsForDay = (parsed, date, holidays) => {
+  const own = rangesForDay(parsed, describeDay(date, holidays)).map(([from, to]) => [from, Math.min(to, DAY_MINUTES)]);
+  const carried = rangesForDay(parsed, describeDay(addDays(date, -1), holidays))
+    .filter(([, to]) => to > DAY_MINUTES)
+    .map(([, to]) => [0, Math.min(to - DAY_MINUTES, DAY_MINUTES)]);
+  return [...own, ...carried]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
+
+// Date and minute of the day for `date` in `timeZone`
+const localNow = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: Number(part.value) }), {});
+  return { day: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)), minute: parts.hour * 60 + parts.minute };
+};
+
+export const formatMinutesOfDay = (minutes) => {
+  const normalized = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+};
+
+const LOOKAHEAD_DAYS = 8;
+
+// Rules for public holidays can't be evaluated without the holiday calendar
+const needsHolidays = (parsed) => parsed.rules.some(rule => rule.weekdays.some(item => item.from === 'PH'));
+
+// Whether the place is open at `date` (default now), when it closes or opens
+// next, and a short label. `holidays` are "YYYY-MM-DD" dates, null when the
+// calendar is unknown. `open` is null when the hours can't be parsed, or depend
+// on an unknown holiday calendar.
+export const getOpeningStatus = (value, { date = new Date(), timeZone, holidays = [] } = {}) => {
+  const parsed = parseOpeningHours(value);
+  if (!parsed || (!holidays && needsHolidays(parsed))) return { open: null, label: null };
+
+  const now = localNow(date, timeZone);
+  const days = Array.from({ length: LOOKAHEAD_DAYS }, (_, index) => intervalsForDay(parsed, addDays(now.day, index), holidays));
+  const current = days[0].find(([from, to]) => now.minute >= from && now.minute < to);
+
+  if (current) {
+    // Follow the opening across midnight for as long as it lasts
+    let minutesUntilClose = current[1] - now.minute;
+    let dayIndex = 0;
+    let end = current[1];
+    while (end === DAY_MINUTES && dayIndex + 1 < LOOKAHEAD_DAYS && days[dayIndex + 1][0]?.[0] === 0) {
+      dayIndex++;
+      end = days[dayIndex][0][1];
+      minutesUntilClose += end;
+    }
+    if (end === DAY_MINUTES && dayIndex === LOOKAHEAD_DAYS - 1) {
+      return { open: true, closesAt: null, minutesUntilClose: null, closingSoon: false, label: 'Open 24 hours' };
+    }
+    const closingSoon = minutesUntilClose <= CLOSING_SOON_MINUTES;
+    return {
+      open: true,
+      closesAt: formatMinutesOfDay(end),
+      minutesUntilClose,
+      closingSoon,
+      label: closingSoon ? `Closes in ${minutesUntilClose} min` : `Open · closes ${formatMinutesOfDay(end)}`
+    };
+  }
+
+  for (let dayIndex = 0; dayIndex < LOOKAHEAD_DAYS; dayIndex++) {
+    const next = days[dayIndex].find(([from]) => dayIndex > 0 || from > now.minute);
+    if (next) {
+      const opensAt = formatMinutesOfDay(next[0]);
+      const when = dayIndex === 0 ? '' : dayIndex === 1 ? ' tomorrow' : ` ${WEEKDAY_NAMES[describeDay(addDays(now.day, dayIndex), holidays).weekday]}`;
+      return { open: false, opensAt, label: `Closed · opens${when} ${opensAt}` };
+    }
+  }
+  return { open: false, opensAt: null, label: 'Closed' };
+};
+
+// The current week (Monday to Sunday) with each day's open intervals as "HH:MM" pairs
+export const getWeeklySchedule = (value, { date = new Date(), timeZone, holidays = [] } = {}) => {
+  const parsed = parseOpeningHours(value);
+  if (!parsed || (!holidays && needsHolidays(parsed))) return null;
+
+  const today = localNow(date, timeZone).day;
+  const monday = addDays(today, -describeDay(today, holidays).weekday);
+  return WEEKDAY_NAMES.map((name, index) => {
+    const day = addDays(monday, index);
+    return {
+      name,
+      isToday: index === describeDay(today, holidays).weekday,
+      isHoliday: describeDay(day, holidays).isHoliday,
+      intervals: intervalsForDay(parsed, day, holidays)
+        .map(([from, to]) => [formatMinutesOfDay(from), to === DAY_MINUTES ? '24:00' : formatMinutesOfDay(to)])
+    };
+  });
+};
+
+// Options for evaluating a place's hours: its own time zone and its country's holidays
+// around `date`. Places without an `addr:country` are taken to be in the country of the
+// search location.
+const getPlaceOptions = (place, date) => {
+  const year = date.getUTCFullYear();
+  return {
+    date,
+    timeZone: place.timeZone || getTimeZoneForLocation(place.lat, place.lng),
+    holidays: getPublicHolidays(place.countryCode || getRegionSettings().detectedCountry, [year - 1, year, year + 1])
+  };
+};
+
+// Opening status of a place in its own time zone
+export const getPlaceOpeningStatus = (place, date = new Date()) => (
+  getOpeningStatus(place.opening_hours, getPlaceOptions(place, date))
+);
+
+export const getPlaceWeeklySchedule = (place, date = new Date()) => (
+  getWeeklySchedule(place.opening_hours, getPlaceOptions(place, date))
+);
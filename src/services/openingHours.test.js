@@ -0,0 +1,123 @@
+import { getOpeningStatus, getPlaceOpeningStatus, getWeeklySchedule, parseOpeningHours } from './openingHours';
+import { loadHolidayData } from './holidays';
+
+// All times below are UTC, evaluated in UTC unless a test says otherwise
+const at = (dateTime) => new Date(`${dateTime}:00Z`);
+const statusAt = (value, dateTime, options = {}) => getOpeningStatus(value, { date: at(dateTime), timeZone: 'UTC', ...options });
+
+describe('parseOpeningHours', () => {
+  test('reads rule sequences, additional rules and modifiers', () => {
+    const { rules } = parseOpeningHours('Mo-Fr 09:00-17:00, Sa 10:00-13:00; PH off');
+
+    expect(rules).toHaveLength(3);
+    expect(rules[0]).toMatchObject({ additional: false, weekdays: [{ from: 'Mo', to: 'Fr' }], times: [[540, 1020]] });
+    expect(rules[1]).toMatchObject({ additional: true, weekdays: [{ from: 'Sa', to: 'Sa' }], times: [[600, 780]] });
+    expect(rules[2]).toMatchObject({ weekdays: [{ from: 'PH' }], times: null, modifier: 'off' });
+  });
+
+  test('keeps past-midnight ranges on the day they start', () => {
+    expect(parseOpeningHours('Fr 22:00-02:00').rules[0].times).toEqual([[1320, 1560]]);
+    expect(parseOpeningHours('Fr 18:00-26:00').rules[0].times).toEqual([[1080, 1560]]);
+  });
+
+  test.each([
+    ['Mo-Fr 9am-5pm'],
+    ['Mo-Fr 09:00-17:00 week 1-53'],
+    ['by appointment'],
+    [''],
+    [null]
+  ])('rejects %p', (value) => {
+    expect(parseOpeningHours(value)).toBeNull();
+    expect(getOpeningStatus(value).open).toBeNull();
+  });
+
+  test('reads the legacy mock strings', () => {
+    expect(statusAt('9:00 AM - 9:00 PM', '2026-10-19T20:00')).toMatchObject({ open: true, closesAt: '21:00' });
+    expect(statusAt('24 Hours', '2026-10-19T03:00')).toMatchObject({ open: true, label: 'Open 24 hours' });
+  });
+});
+
+describe('getOpeningStatus', () => {
+  test('follows opening hours past midnight into the next day', () => {
+    const hours = 'Mo-Sa 18:00-02:00';
+
+    expect(statusAt(hours, '2026-10-17T23:00')).toMatchObject({ open: true, closesAt: '02:00', minutesUntilClose: 180 });
+    // Sunday morning is still Saturday night
+    expect(statusAt(hours, '2026-10-18T01:40')).toMatchObject({ open: true, closingSoon: true, label: 'Closes in 20 min' });
+    expect(statusAt(hours, '2026-10-18T03:00')).toMatchObject({ open: false, label: 'Closed · opens tomorrow 18:00' });
+    expect(statusAt('Mo-Sa 18:00-26:00', '2026-10-18T01:40')).toMatchObject({ open: true, minutesUntilClose: 20 });
+  });
+
+  test('reports when a closed place opens next', () => {
+    const hours = 'Mo-Fr 09:00-17:00';
+
+    expect(statusAt(hours, '2026-10-19T08:00')).toMatchObject({ open: false, opensAt: '09:00', label: 'Closed · opens 09:00' });
+    expect(statusAt(hours, '2026-10-17T12:00')).toMatchObject({ open: false, label: 'Closed · opens Monday 09:00' });
+  });
+
+  test('chooses the rule for the month, including ranges over the new year', () => {
+    const hours = 'Nov-Feb 10:00-16:00; Mar-Oct 08:00-20:00';
+
+    expect(statusAt(hours, '2026-01-15T09:00').open).toBe(false);
+    expect(statusAt(hours, '2026-01-15T10:30')).toMatchObject({ open: true, closesAt: '16:00' });
+    expect(statusAt(hours, '2026-07-15T09:00')).toMatchObject({ open: true, closesAt: '20:00' });
+  });
+
+  test('closes on the days and times an `off` rule names', () => {
+    expect(statusAt('Mo-Su 08:00-20:00; Dec 24-26 off', '2026-12-25T12:00').open).toBe(false);
+    expect(statusAt('Mo-Su 08:00-20:00; Dec 24-26 off', '2026-12-27T12:00').open).toBe(true);
+    expect(statusAt('Mo-Fr 08:00-18:00; We off', '2026-10-21T12:00')).toMatchObject({ open: false, label: 'Closed · opens tomorrow 08:00' });
+
+    const lunchBreak = 'Mo-Fr 08:00-18:00; Fr 12:00-14:00 off';
+    expect(statusAt(lunchBreak, '2026-10-23T11:00')).toMatchObject({ open: true, closesAt: '12:00' });
+    expect(statusAt(lunchBreak, '2026-10-23T13:00')).toMatchObject({ open: false, opensAt: '14:00' });
+  });
+
+  describe('public holidays', () => {
+    const christmas = { holidays: ['2026-12-25', '2026-12-26'] };
+
+    test('`PH off` closes on a holiday only', () => {
+      const hours = 'Mo-Fr 09:00-17:00; PH off';
+
+      expect(statusAt(hours, '2026-12-24T12:00', christmas).open).toBe(true);
+      expect(statusAt(hours, '2026-12-25T12:00', christmas)).toMatchObject({ open: false, label: 'Closed · opens Monday 09:00' });
+    });
+
+    test('holiday hours replace the usual ones', () => {
+      const hours = 'Mo-Sa 09:00-18:00; PH 10:00-14:00';
+
+      expect(statusAt(hours, '2026-12-25T11:00', christmas)).toMatchObject({ open: true, closesAt: '14:00' });
+      expect(statusAt(hours, '2026-12-25T15:00', christmas).open).toBe(false);
+      expect(statusAt(hours, '2026-12-24T15:00', christmas)).toMatchObject({ open: true, closesAt: '18:00' });
+    });
+
+    test('hours with PH are unknown without a holiday calendar', () => {
+      expect(statusAt('Mo-Fr 09:00-17:00; PH off', '2026-12-25T12:00', { holidays: null })).toEqual({ open: null, label: null });
+      expect(getWeeklySchedule('Mo-Fr 09:00-17:00; PH off', { date: at('2026-12-25T12:00'), timeZone: 'UTC', holidays: null })).toBeNull();
+      // Hours that never mention holidays don't need the calendar
+      expect(statusAt('Mo-Fr 09:00-17:00', '2026-12-25T12:00', { holidays: null }).open).toBe(true);
+    });
+  });
+});
+
+describe('getPlaceOpeningStatus', () => {
+  const hours = 'Mo-Sa 09:00-17:00; PH off';
+
+  beforeAll(() => loadHolidayData());
+
+  test("uses the place's time zone and its country's moving holidays", () => {
+    const london = { lat: 51.5074, lng: -0.1278, countryCode: 'gb', opening_hours: hours };
+
+    // 08:30 UTC is 09:30 in London in summer time
+    expect(getPlaceOpeningStatus(london, at('2026-04-07T08:30'))).toMatchObject({ open: true, closesAt: '17:00' });
+    // Easter Monday
+    expect(getPlaceOpeningStatus(london, at('2026-04-06T11:00')).open).toBe(false);
+  });
+
+  test('gives no status where the holiday calendar is incomplete', () => {
+    const delhi = { lat: 28.6139, lng: 77.209, countryCode: 'in', opening_hours: hours };
+
+    expect(getPlaceOpeningStatus(delhi, at('2026-10-19T06:00')).open).toBeNull();
+    expect(getPlaceOpeningStatus({ ...delhi, opening_hours: 'Mo-Sa 09:00-17:00' }, at('2026-10-19T06:00')).open).toBe(true);
+  });
+});
@@ -0,0 +1,174 @@
+import { calculateDistance, bboxFromRadius, bboxFromPoints, circleFromBBox, isPointInBBox, isPointInPolygon } from './geo';
+
+// Place provider registry
+//
+// Every provider is a plain object with the same contract:
+//   {
+//     id: 'overpass',              // unique, recorded on every place as `provider`
+//     name: 'OpenStreetMap (Overpass)',
+//     role: 'primary' | 'fallback', // fallback providers only fill thin categories
+//     provenance: 'osm' | 'geocoded' | 'synthetic', // default for places that don't set one
+//     timeoutMs: 3000,             // optional, slow providers resolve empty (null waits)
+//     search: async (query) => ({ [categoryKey]: [place, ...] })
+//   }
+//
+// `query` always carries both a circle and a bbox so a provider can use whichever
+// its backend supports: { lat, lng, radius, bbox, area, polygon, categories, includeSynthetic }.
+// `area` says which shape the user actually searched: 'circle', 'bbox' or 'polygon'
+// (with `polygon` as [{ lat, lng }, ...]). Providers may return anything in the
+// bbox; results are clipped to the real shape afterwards.
+// `categories` is null for "all categories" or an array of PLACE_CATEGORIES keys.
+// With `includeSynthetic: false` synthetic providers are skipped and synthetic places dropped.
+// An optional `origin` ({ lat, lng }) is where distances are measured from (default: the area center).
+
+const DEFAULT_PROVIDER_TIMEOUT = 3000;
+const DUPLICATE_DISTANCE_KM = 0.05; // Same name within 50m is treated as the same place
+
+// Registered providers in priority order (earlier providers win when deduping)
+const providers = [];
+
+// Register (or replace) a provider. `before` inserts it ahead of another provider id.
+export const registerProvider = (provider, { before } = {}) => {
+  if (!provider || !provider.id || typeof provider.search !== 'function') {
+    throw new Error('A place provider needs an id and a search(query) function');
+  }
+
+  unregisterProvider(provider.id);
+
+  const entry = { role: 'primary', timeoutMs: DEFAULT_PROVIDER_TIMEOUT, ...provider };
+  const index = before ? providers.findIndex(p => p.id === before) : -1;
+  if (index >= 0) {
+    providers.splice(index, 0, entry);
+  } else {
+    providers.push(entry);
+  }
+
+  console.log(`🔌 Registered place provider "${entry.id}" (${entry.role})`);
+  return entry;
+};
+
+export const unregisterProvider = (id) => {
+  const index = providers.findIndex(p => p.id === id);
+  if (index >= 0) providers.splice(index, 1);
+};
+
+export const getProviders = (role = null) => {
+  return providers.filter(p => !role || p.role === role);
+};
+
+// Fill in whichever area form the caller left out
+export const normalizeQuery = (query) => {
+  const area = query.polygon ? 'polygon' : query.bbox ? 'bbox' : 'circle';
+  const normalized = { categories: null, ...query, area };
+
+  if (area === 'polygon' && !normalized.bbox) {
+    normalized.bbox = bboxFromPoints(query.polygon);
+  }
+
+  if (normalized.bbox && typeof normalized.lat !== 'number') {
+    Object.assign(normalized, circleFromBBox(normalized.bbox));
+  }
+  if (!normalized.bbox && typeof normalized.lat === 'number') {
+    normalized.bbox = bboxFromRadius(normalized.lat, normalized.lng, normalized.radius);
+  }
+
+  return normalized;
+};
+
+// Run a single provider with its own timeout; a failing provider never breaks the search
+const runProvider = async (provider, query) => {
+  let timer;
+  const searches = [provider.search(query)];
+  if (provider.timeoutMs) {
+    searches.push(new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${provider.id} timeout`)), provider.timeoutMs);
+    }));
+  }
+
+  try {
+    const results = await Promise.race(searches);
+    const stamped = {};
+    Object.entries(results || {}).forEach(([categoryKey, places]) => {
+      stamped[categoryKey] = (places || [])
+        .map(place => ({ ...place, provider: provider.id, provenance: place.provenance || provider.provenance }))
+        .filter(place => query.includeSynthetic !== false || place.provenance !== 'synthetic');
+    });
+    return stamped;
+  } catch (error) {
+    console.warn(`⚠️ Place provider "${provider.id}" failed:`, error.message);
+    return {};
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isSamePlace = (a, b) => {
+  if (a.osm_id && b.osm_id && a.osm_type === b.osm_type) {
+    return a.osm_id === b.osm_id;
+  }
+  return normalizeName(a.name) === normalizeName(b.name) &&
+    calculateDistance(a.lat, a.lng, b.lat, b.lng) <= DUPLICATE_DISTANCE_KM;
+};
+
+const isInQueryArea = (place, query) => {
+  switch (query.area) {
+    case 'polygon':
+      return isPointInPolygon(place.lat, place.lng, query.polygon);
+    case 'bbox':
+      return isPointInBBox(place.lat, place.lng, query.bbox);
+    default:
+      return calculateDistance(query.lat, query.lng, place.lat, place.lng) <= query.radius;
+  }
+};
+
+// Keep only places inside the query area and categories, with distance from the query origin
+export const clipToQuery = (categoryKey, places, query) => {
+  if (query.categories && !query.categories.includes(categoryKey)) return [];
+  const origin = query.origin || query;
+
+  return places
+    .filter(place => typeof place.lat === 'number' && typeof place.lng === 'number')
+    .filter(place => isInQueryArea(place, query))
+    .map(place => {
+      const distance = calculateDistance(origin.lat, origin.lng, place.lat, place.lng);
+      return { ...place, distance: Math.round(distance * 100) / 100 };
+    });
+};
+
+// Merge category-keyed results from several providers, dropping duplicates
+export const mergeProviderResults = (resultSets, query) => {
+  const merged = {};
+
+  resultSets.forEach(results => {
+    Object.entries(results).forEach(([categoryKey, places]) => {
+      const bucket = merged[categoryKey] || (merged[categoryKey] = []);
+      const clipped = query ? clipToQuery(categoryKey, places, query) : places;
+
+      clipped.forEach(place => {
+        if (!bucket.some(existing => isSamePlace(existing, place))) {
+          bucket.push(place);
+        }
+      });
+    });
+  });
+
+  Object.keys(merged).forEach(categoryKey => {
+    merged[categoryKey].sort((a, b) => a.distance - b.distance);
+  });
+
+  return merged;
+};
+
+// Query every provider with the given role and return the merged, deduped results
+export const searchProviders = async (query, role = 'primary') => {
+  const normalized = normalizeQuery(query);
+  const active = getProviders(role)
+    .filter(provider => normalized.includeSynthetic !== false || provider.provenance !== 'synthetic');
+
+  console.log(`🔌 Querying ${active.length} ${role} provider(s): ${active.map(p => p.id).join(', ')}`);
+
+  const resultSets = await Promise.all(active.map(provider => runProvider(provider, normalized)));
+  return mergeProviderResults(resultSets, normalized);
+};
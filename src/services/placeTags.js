@@ -0,0 +1,75 @@
+// Readable details from a place's OpenStreetMap tags for the place detail page.
+// Each entry is { key, label, value, href? }; tags without an entry here are
+// only listed in the raw tag table.
+
+const humanize = (value) => value.replace(/_/g, ' ').replace(/;\s*/g, ', ');
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const YES_NO = { yes: 'Yes', no: 'No', limited: 'Limited', only: 'Only', designated: 'Yes' };
+const yesNo = (value) => YES_NO[value] || capitalize(humanize(value));
+
+// Single tags, in display order
+const TAG_DETAILS = [
+  { key: 'cuisine', label: 'Cuisine', format: (value) => capitalize(humanize(value)) },
+  { key: 'brand', label: 'Brand' },
+  { key: 'operator', label: 'Operator' },
+  { key: 'wheelchair', label: 'Wheelchair access', format: yesNo },
+  { key: 'level', label: 'Floor', format: (value) => humanize(value) },
+  { key: 'building:levels', label: 'Building levels' },
+  { key: 'takeaway', label: 'Takeaway', format: yesNo },
+  { key: 'delivery', label: 'Delivery', format: yesNo },
+  { key: 'outdoor_seating', label: 'Outdoor seating', format: yesNo },
+  { key: 'drive_through', label: 'Drive-through', format: yesNo },
+  { key: 'internet_access', label: 'Internet', format: (value) => (value === 'wlan' ? 'Wi-Fi' : yesNo(value)) },
+  { key: 'air_conditioning', label: 'Air conditioning', format: yesNo },
+  { key: 'smoking', label: 'Smoking', format: yesNo },
+  { key: 'toilets', label: 'Toilets', format: yesNo },
+  { key: 'email', label: 'Email', href: (value) => `mailto:${value}` },
+  { key: 'contact:email', label: 'Email', href: (value) => `mailto:${value}` },
+  { key: 'description', label: 'Description' },
+  {
+    key: 'wikipedia',
+    label: 'Wikipedia',
+    format: (value) => value.split(':').slice(1).join(':') || value,
+    href: (value) => {
+      const [language, ...title] = value.split(':');
+      return title.length > 0 ?
+        `https://${language}.wikipedia.org/wiki/${encodeURIComponent(title.join(':').replace(/ /g, '_'))}` :
+        `https://en.wikipedia.org/wiki/${encodeURIComponent(value.replace(/ /g, '_'))}`;
+    }
+  },
+  { key: 'wikidata', label: 'Wikidata', href: (value) => `https://www.wikidata.org/wiki/${encodeURIComponent(value)}` }
+];
+
+// Tag prefixes whose "yes" keys are gathered into one list, e.g. payment:cash=yes, payment:upi=yes
+const TAG_GROUPS = [
+  { prefix: 'payment:', label: 'Payment' },
+  { prefix: 'diet:', label: 'Diet' }
+];
+
+export const describePlaceTags = (tags = {}) => {
+  const details = TAG_DETAILS
+    .filter(detail => tags[detail.key])
+    .map(detail => ({
+      key: detail.key,
+      label: detail.label,
+      value: detail.format ? detail.format(tags[detail.key]) : tags[detail.key],
+      href: detail.href ? detail.href(tags[detail.key]) : undefined
+    }));
+
+  TAG_GROUPS.forEach(group => {
+    const accepted = Object.entries(tags)
+      .filter(([key, value]) => key.startsWith(group.prefix) && ['yes', 'only'].includes(value))
+      .map(([key]) => humanize(key.slice(group.prefix.length)));
+    if (accepted.length > 0) {
+      details.push({ key: group.prefix, label: group.label, value: capitalize(accepted.join(', ')) });
+    }
+  });
+
+  // The same value under two keys (email and contact:email) is shown once
+  return details.filter((detail, index) =>
+    details.findIndex(other => other.label === detail.label && other.value === detail.value) === index);
+};
+
+export const getOsmElementUrl = (osmType, osmId) => `https://www.openstreetmap.org/${osmType}/${osmId}`;
@@ -1,3 +1,12 @@
+import { calculateDistance, encodeGeohash, geohashCell, geohashPrecisionForRadius } from './geo';
+import { registerProvider, searchProviders, normalizeQuery, clipToQuery } from './placeProviders';
+import { withCache, getCached, setCached } from './cacheService';
+import { scheduledFetch, PRIORITY } from './requestScheduler';
+import { parseCoordinates, splitShortPlusCode } from './coordinates';
+import { getRegionProfile, subscribeRegion, getCountryFilter, generatePhoneNumber } from './regionService';
+
+export { calculateDistance };
+
 // Free and Open Source APIs Configuration
 const NOMINATIM_BASE_URL = 'https://nominatim.openstreetmap.org';
 const OVERPASS_SERVERS = [
@@ -6,23 +15,32 @@ const OVERPASS_SERVERS = [
   'https://overpass.openstreetmap.ru/api/interpreter'
 ];
 
-// Simple in-memory cache for reverse geocoding
-const reverseCache = new Map();
+// Where a place record came from. Synthetic places are generated to fill thin
+// categories and do not exist on the ground.
+export const PLACE_PROVENANCE = {
+  OSM: 'osm',
+  GEOCODED: 'geocoded',
+  SYNTHETIC: 'synthetic',
+  IMPORTED: 'imported' // From a file the user imported
+};
 
-// Helper: reverse geocode with timeout and caching
-const reverseGeocodeWithTimeout = async (lat, lng, timeoutMs = 2000) => {
-  const key = `${lat.toFixed(5)},${lng.toFixed(5)}`;
-  if (reverseCache.has(key)) return reverseCache.get(key);
+// Reverse geocoding results are cached per ~1m cell, shared with reverseGeocode()
+const reverseCacheKey = (lat, lng) => `${lat.toFixed(5)},${lng.toFixed(5)}`;
+
+// Helper: reverse geocode with caching at background priority. Waiting behind user
+// requests in the queue is expected, so there is no timeout: abort `signal` to drop
+// the lookup once it is no longer needed.
+const reverseGeocodeInBackground = async (lat, lng, signal) => {
+  const key = reverseCacheKey(lat, lng);
+  const cached = await getCached('reverse', key);
+  if (cached !== undefined) return cached;
 
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
   try {
     const url = `${NOMINATIM_BASE_URL}/reverse?lat=${lat}&lon=${lng}&format=json&addressdetails=1`;
-    const resp = await fetch(url, {
+    const resp = await scheduledFetch(url, {
       headers: { 'User-Agent': 'PlacesFinder/1.0 (Educational Project)' },
-      signal: controller.signal
-    });
-    clearTimeout(timer);
+      signal
+    }, { priority: PRIORITY.BACKGROUND });
     if (!resp.ok) return null;
     const data = await resp.json();
     if (!data || !data.address) return null;
@@ -31,39 +49,77 @@ const reverseGeocodeWithTimeout = async (lat, lng, timeoutMs = 2000) => {
       address: data.display_name,
       city: address.city || address.town || address.village || address.hamlet,
       state: address.state,
-      country: address.country
+      country: address.country,
+      countryCode: address.country_code
     };
-    reverseCache.set(key, value);
+    await setCached('reverse', key, value);
     return value;
   } catch (e) {
-    clearTimeout(timer);
     return null;
   }
 };
 
-// Comprehensive place categories for India with their corresponding Overpass API tags
-export const PLACE_CATEGORIES = {
-  restaurant: { name: 'Restaurants & Food', icon: '🍽️', tags: ['amenity=restaurant', 'amenity=fast_food', 'cuisine=indian'] },
-  cafe: { name: 'Cafes & Tea Stalls', icon: '☕', tags: ['amenity=cafe', 'shop=tea'] },
-  lodging: { name: 'Hotels & Lodging', icon: '🏨', tags: ['tourism=hotel', 'tourism=guest_house'] },
-  gas_station: { name: 'Petrol Pumps', icon: '⛽', tags: ['amenity=fuel'] },
-  shopping: { name: 'Shopping & Markets', icon: '🛍️', tags: ['shop=supermarket', 'shop=convenience', 'amenity=marketplace'] },
-  hospital: { name: 'Healthcare & Pharmacy', icon: '🏥', tags: ['amenity=hospital', 'amenity=pharmacy', 'amenity=clinic'] },
-  bank: { name: 'Banks & ATMs', icon: '🏦', tags: ['amenity=bank', 'amenity=atm'] },
-  transport: { name: 'Transportation', icon: '🚌', tags: ['amenity=bus_station', 'railway=station', 'public_transport=station'] },
-  entertainment: { name: 'Parks & Attractions', icon: '🎬', tags: ['leisure=park', 'tourism=attraction', 'amenity=cinema'] },
-  education: { name: 'Schools & Colleges', icon: '🎓', tags: ['amenity=school', 'amenity=college', 'amenity=university'] },
-  religious: { name: 'Temples & Religious', icon: '🕉️', tags: ['amenity=place_of_worship', 'building=temple'] },
-  government: { name: 'Government Offices', icon: '🏛️', tags: ['office=government', 'amenity=townhall', 'office=administrative'] },
-  automotive: { name: 'Auto Services', icon: '🔧', tags: ['shop=car_repair', 'amenity=car_wash', 'shop=car'] },
-  beauty: { name: 'Salons & Spas', icon: '💄', tags: ['shop=hairdresser', 'shop=beauty', 'leisure=spa'] },
-  electronics: { name: 'Electronics & Mobile', icon: '📱', tags: ['shop=electronics', 'shop=mobile_phone', 'shop=computer'] },
-  clothing: { name: 'Clothing & Textiles', icon: '👕', tags: ['shop=clothes', 'shop=tailor', 'shop=fabric'] },
-  grocery: { name: 'Grocery & Provisions', icon: '🛒', tags: ['shop=grocery', 'shop=general', 'shop=convenience'] },
-  medical: { name: 'Medical & Dental', icon: '⚕️', tags: ['amenity=doctors', 'amenity=dentist', 'healthcare=clinic'] },
-  sports: { name: 'Sports & Fitness', icon: '⚽', tags: ['leisure=sports_centre', 'leisure=fitness_centre', 'sport=cricket'] }
+// Place categories with their Overpass API tags and the colour used for their map
+// markers. These are the worldwide defaults; the region profile (see regionService)
+// renames them and adds local tags, and PLACE_CATEGORIES always holds the result.
+// Each OSM tag belongs to one category only: determineCategoryFromTags files a place
+// under the first category that lists its tag, so a shared tag would leave the other empty.
+const BASE_CATEGORIES = {
+  restaurant: { name: 'Restaurants & Food', icon: '🍽️', color: '#ef4444', tags: ['amenity=restaurant', 'amenity=fast_food'] },
+  cafe: { name: 'Cafes', icon: '☕', color: '#f97316', tags: ['amenity=cafe'] },
+  lodging: { name: 'Hotels & Lodging', icon: '🏨', color: '#ec4899', tags: ['tourism=hotel', 'tourism=guest_house'] },
+  gas_station: { name: 'Fuel Stations', icon: '⛽', color: '#eab308', tags: ['amenity=fuel'] },
+  shopping: { name: 'Shopping & Markets', icon: '🛍️', color: '#a855f7', tags: ['shop=supermarket', 'amenity=marketplace'] },
+  hospital: { name: 'Healthcare & Pharmacy', icon: '🏥', color: '#be123c', tags: ['amenity=hospital', 'amenity=pharmacy'] },
+  bank: { name: 'Banks & ATMs', icon: '🏦', color: '#15803d', tags: ['amenity=bank', 'amenity=atm'] },
+  transport: { name: 'Transportation', icon: '🚌', color: '#3b82f6', tags: ['amenity=bus_station', 'railway=station', 'public_transport=station'] },
+  entertainment: { name: 'Parks & Attractions', icon: '🎬', color: '#22c55e', tags: ['leisure=park', 'tourism=attraction', 'amenity=cinema'] },
+  education: { name: 'Schools & Colleges', icon: '🎓', color: '#6366f1', tags: ['amenity=school', 'amenity=college', 'amenity=university'] },
+  religious: { name: 'Places of Worship', icon: '🛐', color: '#f59e0b', tags: ['amenity=place_of_worship'] },
+  government: { name: 'Government Offices', icon: '🏛️', color: '#64748b', tags: ['office=government', 'amenity=townhall', 'office=administrative'] },
+  automotive: { name: 'Auto Services', icon: '🔧', color: '#78716c', tags: ['shop=car_repair', 'amenity=car_wash', 'shop=car'] },
+  beauty: { name: 'Salons & Spas', icon: '💄', color: '#d946ef', tags: ['shop=hairdresser', 'shop=beauty', 'leisure=spa'] },
+  electronics: { name: 'Electronics & Mobile', icon: '📱', color: '#06b6d4', tags: ['shop=electronics', 'shop=mobile_phone', 'shop=computer'] },
+  clothing: { name: 'Clothing & Textiles', icon: '👕', color: '#8b5cf6', tags: ['shop=clothes', 'shop=tailor', 'shop=fabric'] },
+  grocery: { name: 'Grocery & Provisions', icon: '🛒', color: '#84cc16', tags: ['shop=grocery', 'shop=general', 'shop=convenience'] },
+  medical: { name: 'Medical & Dental', icon: '⚕️', color: '#14b8a6', tags: ['amenity=doctors', 'amenity=dentist', 'amenity=clinic', 'healthcare=clinic'] },
+  sports: { name: 'Sports & Fitness', icon: '⚽', color: '#0ea5e9', tags: ['leisure=sports_centre', 'leisure=fitness_centre'] }
+};
+
+export const PLACE_CATEGORIES = {};
+
+// Updated in place so every module holding PLACE_CATEGORIES sees the new region
+const applyRegionCategories = (profile) => {
+  Object.entries(BASE_CATEGORIES).forEach(([key, category]) => {
+    const { extraTags = [], ...override } = profile.categories[key] || {};
+    PLACE_CATEGORIES[key] = { ...category, ...override, tags: [...category.tags, ...extraTags] };
+  });
+};
+
+applyRegionCategories(getRegionProfile());
+subscribeRegion(applyRegionCategories);
+
+// Categories added at runtime, one per imported layer. Same shape as a
+// PLACE_CATEGORIES entry minus `tags`: they are never queried from OSM.
+export const CUSTOM_CATEGORY_PREFIX = 'layer_';
+const customCategories = {};
+
+export const registerCustomCategory = (categoryKey, { name, icon = '📌', color = '#3b82f6' }) => {
+  customCategories[categoryKey] = { name, icon, color, custom: true };
+};
+
+export const unregisterCustomCategory = (categoryKey) => {
+  delete customCategories[categoryKey];
 };
 
+export const getCategory = (categoryKey) => PLACE_CATEGORIES[categoryKey] || customCategories[categoryKey] || null;
+
+// Built-in categories followed by the custom ones
+export const getAllCategories = () => ({ ...PLACE_CATEGORIES, ...customCategories });
+
+// Marker colour for a category, with a neutral fallback for unknown categories
+export const getCategoryColor = (categoryKey) => getCategory(categoryKey)?.color || '#3b82f6';
+
 // Check if geolocation is available and properly configured
 export const checkLocationSupport = () => {
   const issues = [];
@@ -288,37 +344,70 @@ const tryIPLocation = async (resolve, reject) => {
   }
 };
 
-// Geocode address to coordinates using Nominatim (OpenStreetMap)
-export const geocodeAddress = async (address) => {
-  try {
-    const response = await fetch(`${NOMINATIM_BASE_URL}/search?` +
-      `q=${encodeURIComponent(address)}&` +
-      `format=json&` +
-      `limit=1&` +
-      `countrycodes=in&` +
-      `addressdetails=1`, {
-      headers: {
-        'User-Agent': 'PlacesFinder/1.0 (Educational Project)'
-      }
-    });
+// Geocode address to coordinates using Nominatim (OpenStreetMap). Typed coordinates,
+// Plus Codes and geo: URIs are read locally instead and come back with their `format`;
+// `reference` ({ lat, lng }) completes a short Plus Code that doesn't name a town.
+export const geocodeAddress = async (address, { reference = null } = {}) => {
+  const point = parseCoordinates(address, { reference });
+  if (point) {
+    const displayName = point.label || address.trim();
+    console.log(`🎯 Read ${point.format} coordinates locally: ${point.lat}, ${point.lng}`);
+    return { lat: point.lat, lng: point.lng, address: displayName, display_name: displayName, format: point.format };
+  }
 
-    if (!response.ok) {
-      throw new Error(`Nominatim Geocoding failed: ${response.status}`);
+  const shortCode = splitShortPlusCode(address);
+  if (shortCode) {
+    if (!shortCode.locality) {
+      throw new Error(`Add a town to the short Plus Code, e.g. "${shortCode.code} Hyderabad"`);
     }
+    const locality = await geocodeAddress(shortCode.locality);
+    const recovered = parseCoordinates(shortCode.code, { reference: locality });
+    if (!recovered) throw new Error('Invalid Plus Code');
+    const displayName = `${shortCode.code}, ${locality.display_name}`;
+    return { lat: recovered.lat, lng: recovered.lng, address: displayName, display_name: displayName, format: recovered.format };
+  }
 
-    const data = await response.json();
+  try {
+    // Cached per normalized query text and the region's country filter
+    const countryFilter = getCountryFilter();
+    return await withCache('geocode', `${countryFilter}|${address.trim().toLowerCase()}`, async () => {
+      const search = async (countryCodes) => {
+        const response = await scheduledFetch(`${NOMINATIM_BASE_URL}/search?` +
+          `q=${encodeURIComponent(address)}&` +
+          `format=json&` +
+          `limit=1&` +
+          (countryCodes ? `countrycodes=${countryCodes}&` : '') +
+          `addressdetails=1`, {
+          headers: {
+            'User-Agent': 'PlacesFinder/1.0 (Educational Project)'
+          }
+        }, { priority: PRIORITY.USER });
 
-    if (data && data.length > 0) {
-      const result = data[0];
-      return {
-        lat: parseFloat(result.lat),
-        lng: parseFloat(result.lon),
-        address: result.display_name,
-        display_name: result.display_name
+        if (!response.ok) {
+          throw new Error(`Nominatim Geocoding failed: ${response.status}`);
+        }
+        return response.json();
       };
-    }
+
+      let data = await search(countryFilter);
+      // The address may be outside the region, e.g. before the location's country is known
+      if ((!data || data.length === 0) && countryFilter) {
+        console.log('🔁 Retrying geocoding without country filter');
+        data = await search('');
+      }
+
+      if (data && data.length > 0) {
+        const result = data[0];
+        return {
+          lat: parseFloat(result.lat),
+          lng: parseFloat(result.lon),
+          address: result.display_name,
+          display_name: result.display_name
+        };
+      }
     
-    throw new Error('Address not found');
+      throw new Error('Address not found');
+    });
   } catch (error) {
     console.error('Nominatim Geocoding error:', error);
     throw error;
@@ -328,120 +417,166 @@ export const geocodeAddress = async (address) => {
 // Reverse geocode coordinates to address using Nominatim (OpenStreetMap)
 export const reverseGeocode = async (lat, lng) => {
   try {
-    const response = await fetch(`${NOMINATIM_BASE_URL}/reverse?` +
-      `lat=${lat}&` +
-      `lon=${lng}&` +
-      `format=json&` +
-      `addressdetails=1`, {
-      headers: {
-        'User-Agent': 'PlacesFinder/1.0 (Educational Project)'
-      }
-    });
+    return await withCache('reverse', reverseCacheKey(lat, lng), async () => {
+      const response = await scheduledFetch(`${NOMINATIM_BASE_URL}/reverse?` +
+        `lat=${lat}&` +
+        `lon=${lng}&` +
+        `format=json&` +
+        `addressdetails=1`, {
+        headers: {
+          'User-Agent': 'PlacesFinder/1.0 (Educational Project)'
+        }
+      });
 
-    if (!response.ok) {
-      throw new Error(`Nominatim Reverse Geocoding failed: ${response.status}`);
-    }
+      if (!response.ok) {
+        throw new Error(`Nominatim Reverse Geocoding failed: ${response.status}`);
+      }
 
-    const data = await response.json();
+      const data = await response.json();
 
-    if (data && data.address) {
-      const address = data.address;
+      if (data && data.address) {
+        const address = data.address;
       
-      return {
-        address: data.display_name,
-        city: address.city || address.town || address.village || address.hamlet,
-        state: address.state,
-        country: address.country
-      };
-    }
+        return {
+          address: data.display_name,
+          city: address.city || address.town || address.village || address.hamlet,
+          state: address.state,
+          country: address.country,
+          countryCode: address.country_code
+        };
+      }
     
-    throw new Error('Location not found');
+      throw new Error('Location not found');
+    });
   } catch (error) {
     console.error('Nominatim Reverse geocoding error:', error);
     throw error;
   }
 };
 
-// Calculate distance between two points using Haversine formula
-export const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLng/2) * Math.sin(dLng/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+// Fetch nearby places from every registered provider (Overpass, custom datasets, mock fallback)
+// Pass { includeSynthetic: false } to return only places that exist on the ground.
+export const fetchNearbyPlaces = async (lat, lng, radius = 10, options = {}) => {
+  return fetchPlacesInArea({ type: 'circle', lat, lng, radius }, options);
 };
 
-// Fetch nearby places using Overpass API (OpenStreetMap) with comprehensive search
-export const fetchNearbyPlaces = async (lat, lng, radius = 10) => {
-  console.log(`🔍 Fetching places for location: ${lat}, ${lng} with radius: ${radius}km`);
+// Search areas drawn on the map:
+//   { type: 'circle', lat, lng, radius } | { type: 'rectangle', bbox } | { type: 'polygon', points: [{ lat, lng }, ...] }
+const queryFromArea = (area) => {
+  if (area.type === 'polygon') return { polygon: area.points };
+  if (area.type === 'rectangle') return { bbox: area.bbox };
+  return { lat: area.lat, lng: area.lng, radius: area.radius };
+};
+
+// Categories with fewer real places than this are filled from the fallback providers
+const MIN_PLACES_PER_CATEGORY = 6;
+
+const hasThinCategories = (realPlaces, query) => (
+  osmCategoryKeys(query.categories).some(key => (realPlaces[key] || []).length < MIN_PLACES_PER_CATEGORY)
+);
+
+// Fetch places inside any search area. `options.origin` ({ lat, lng }) sets where
+// distances are measured from, e.g. the user's position for a drawn area.
+// Addresses are not looked up here so results show at once; see refinePlaceAddresses.
+export const fetchPlacesInArea = async (area, options = {}) => {
+  const includeSynthetic = options.includeSynthetic !== false;
+  const query = normalizeQuery({
+    ...queryFromArea(area),
+    categories: options.categories || null,
+    includeSynthetic,
+    origin: options.origin || null
+  });
+  const { lat, lng } = query;
+  console.log(`🔍 Fetching places in ${area.type} area around: ${lat}, ${lng} (${query.radius.toFixed(1)}km)`);
   
-  // Start generating verified mock data immediately as fallback (city-aware)
-  const verifiedMockPlacesPromise = generateVerifiedMockPlaces(lat, lng, radius);
+  // Every category key stays present even when synthetic filling is switched off
+  const fallbackOnly = async () => ({ ...mergeRealAndMockData({}, {}), ...(await searchProviders(query, 'fallback')) });
   
   try {
-    // Try to get real places from Overpass API with very short timeout
-    const realPlacesPromise = fetchRealPlacesFromOverpass(lat, lng, radius);
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Overpass API timeout')), 3000)
-    );
-    
-    let realPlaces = {};
-    try {
-      realPlaces = await Promise.race([realPlacesPromise, timeoutPromise]);
-    } catch (timeoutError) {
-      console.log('⏰ Overpass API timed out, using fast verified mock data');
-      return await verifiedMockPlacesPromise;
-    }
+    const realPlaces = await searchProviders(query, 'primary');
     
     const totalRealPlaces = Object.values(realPlaces).reduce((sum, places) => sum + places.length, 0);
-    console.log(`✅ Found ${totalRealPlaces} real places from Overpass API`);
+    console.log(`✅ Found ${totalRealPlaces} real places from primary providers`);
     
-    // Enhance real places addresses quickly (limited calls, cached)
-    if (totalRealPlaces > 0) {
-      realPlaces = await enhanceRealPlacesWithAddresses(realPlaces, lat, lng);
+    if (totalRealPlaces === 0) {
+      return await fallbackOnly();
     }
     
-    // If we have some real places, supplement with mock data
-    if (totalRealPlaces > 0) {
-      const verifiedMockPlaces = await verifiedMockPlacesPromise;
-      const merged = mergeRealAndMockData(realPlaces, verifiedMockPlaces);
-      return merged;
-    } else {
-      // Use mock data if no real places found
-      return await verifiedMockPlacesPromise;
+    // Only ask the fallback providers when some category needs filling
+    if (!hasThinCategories(realPlaces, query)) {
+      return mergeRealAndMockData(realPlaces, {});
     }
+    const fallbackPlaces = await searchProviders(query, 'fallback');
+    return mergeRealAndMockData(realPlaces, fallbackPlaces);
   } catch (error) {
-    console.warn('🌐 Overpass API failed, using verified mock places:', error.message);
-    return await verifiedMockPlacesPromise;
+    console.warn('🌐 Primary providers failed, using fallback places:', error.message);
+    return await fallbackOnly();
+  }
+};
+
+// Overpass area filter for a normalized provider query
+const overpassAreaFilter = (query) => {
+  if (query.area === 'polygon') {
+    const points = query.polygon.map(point => `${point.lat.toFixed(6)} ${point.lng.toFixed(6)}`).join(' ');
+    return `(poly:"${points}")`;
+  }
+  if (query.area === 'bbox') {
+    const { south, west, north, east } = query.bbox;
+    return `(${south.toFixed(6)},${west.toFixed(6)},${north.toFixed(6)},${east.toFixed(6)})`;
   }
+  return `(around:${Math.round(query.radius * 1000)},${query.lat},${query.lng})`;
 };
 
-// Fetch comprehensive real places from Overpass API (OpenStreetMap)
-const fetchRealPlacesFromOverpass = async (lat, lng, radius) => {
+// Build an Overpass QL query from the `tags` of the requested categories.
+// Each category gets its own union and `out` statement. There is no count on
+// `out`: Overpass returns elements in id order, so a server-side cut would keep
+// arbitrary places, some outside the user's area. The nearest ones are picked
+// on the client once everything is in (see NEAREST_PLACES_PER_CATEGORY).
+
+// The requested categories that can be queried from OSM (custom ones have no tags)
+export const osmCategoryKeys = (categories) => (
+  categories ? categories.filter(key => PLACE_CATEGORIES[key]) : Object.keys(PLACE_CATEGORIES)
+);
+
+export const buildOverpassQuery = (query) => {
+  const area = overpassAreaFilter(query);
+  const categoryKeys = osmCategoryKeys(query.categories);
+  // Larger areas need more server time; Overpass caps what it accepts anyway
+  const serverTimeout = Math.min(60, 10 + Math.ceil(query.radius));
+
+  const blocks = categoryKeys.map(categoryKey => {
+    // Group tag values by key: amenity=restaurant + amenity=fast_food -> amenity~^(restaurant|fast_food)$
+    const valuesByKey = {};
+    PLACE_CATEGORIES[categoryKey].tags.forEach(tag => {
+      const [key, value] = tag.split('=');
+      (valuesByKey[key] = valuesByKey[key] || []).push(value);
+    });
+
+    const statements = Object.entries(valuesByKey).map(([key, values]) => {
+      const filter = values.length === 1 ? `["${key}"="${values[0]}"]` : `["${key}"~"^(${values.join('|')})$"]`;
+      return `nwr${filter}${area};`;
+    });
+
+    return `(\n  ${statements.join('\n  ')}\n);\nout center;`;
+  });
+
+  return `[out:json][timeout:${serverTimeout}];\n${blocks.join('\n')}`;
+};
+
+// Fetch comprehensive real places from Overpass API (OpenStreetMap) for a normalized provider query
+const fetchRealPlacesFromOverpass = async (query) => {
+  const { lat, lng, radius } = query;
   const results = {};
+  const categoryKeys = osmCategoryKeys(query.categories);
   
-  // Initialize all categories
-  Object.keys(PLACE_CATEGORIES).forEach(key => {
+  // Initialize requested categories
+  categoryKeys.forEach(key => {
     results[key] = [];
   });
   
-  console.log(`🗺️ Searching Overpass API around: ${lat},${lng} with radius: ${radius}km`);
+  console.log(`🗺️ Searching Overpass API around: ${lat},${lng} with radius: ${radius}km for ${categoryKeys.length} categories`);
   
-  // Simplified Overpass QL query for faster response
-  const radiusMeters = Math.min(radius * 1000, 1500); // Reduce to 1.5km for faster response
-  const overpassQuery = `
-    [out:json][timeout:8];
-    (
-      node["amenity"~"^(restaurant|fuel|hospital|bank|atm)"](around:${radiusMeters},${lat},${lng});
-      node["shop"~"^(supermarket|convenience)"](around:${radiusMeters},${lat},${lng});
-      node["tourism"~"^(hotel|attraction)"](around:${radiusMeters},${lat},${lng});
-    );
-    out center 25;
-  `;
+  const overpassQuery = buildOverpassQuery(query);
   
   // Try multiple Overpass servers for better reliability
   for (let i = 0; i < OVERPASS_SERVERS.length; i++) {
@@ -455,9 +590,9 @@ const fetchRealPlacesFromOverpass = async (lat, lng, radius) => {
       const timeoutId = setTimeout(() => {
         console.log(`⏰ Server ${i + 1} timeout, aborting request`);
         controller.abort();
-      }, 4000); // Reduce to 4 second timeout
+      }, 7000);
       
-      const response = await fetch(serverUrl, {
+      const response = await scheduledFetch(serverUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded',
@@ -479,54 +614,42 @@ const fetchRealPlacesFromOverpass = async (lat, lng, radius) => {
     if (data && data.elements && data.elements.length > 0) {
       console.log(`✅ Found ${data.elements.length} elements from Overpass API`);
       
-      // Process each element and categorize
+      // Process each element and categorize (an element can match several category blocks)
+      const seen = new Set();
       data.elements.forEach(element => {
+        const elementKey = `${element.type}/${element.id}`;
+        if (seen.has(elementKey)) return;
+        seen.add(elementKey);
+        
         const elementLat = element.lat || (element.center && element.center.lat);
         const elementLng = element.lon || (element.center && element.center.lon);
         
         if (!elementLat || !elementLng) return;
         
         const distance = calculateDistance(lat, lng, elementLat, elementLng);
-        if (distance > radius) return;
+        if (query.area === 'circle' && distance > radius) return;
         
         // Determine category based on tags
-        const categoryKey = determineCategoryFromTags(element.tags);
+        const categoryKey = determineCategoryFromTags(element.tags, categoryKeys);
         if (!categoryKey) return;
         
-        // Extract place details
-        const name = element.tags.name || 
-                    element.tags.brand || 
-                    element.tags.operator || 
-                    `${PLACE_CATEGORIES[categoryKey].name.slice(0, -1)}`;
-        
-        const place = {
+        const place = createPlaceFromTags({
           id: `osm_${categoryKey}_${element.id}`,
-          name: name,
-          category: categoryKey,
-          categoryName: PLACE_CATEGORIES[categoryKey].name,
-          icon: PLACE_CATEGORIES[categoryKey].icon,
+          categoryKey,
           lat: elementLat,
           lng: elementLng,
+          tags: element.tags,
           distance: Math.round(distance * 100) / 100,
-          address: formatOSMAddress(element.tags),
-          phone: element.tags.phone || element.tags['contact:phone'] || null,
-          website: element.tags.website || element.tags['contact:website'] || null,
-          opening_hours: element.tags.opening_hours || null,
-          rating: Math.round((Math.random() * 1.5 + 3.5) * 10) / 10,
-          type: 'osm',
           osm_id: element.id,
-          osm_type: element.type,
-          tags: element.tags
-        };
+          osm_type: element.type
+        });
         
         results[categoryKey].push(place);
       });
       
-      // Sort each category by distance and limit results
+      // Sort each category by distance; the per-category limit is applied after clipping (limitToQuery)
       Object.keys(results).forEach(categoryKey => {
-        results[categoryKey] = results[categoryKey]
-          .sort((a, b) => a.distance - b.distance)
-          .slice(0, 8); // Limit to 8 per category for better performance
+        results[categoryKey].sort((a, b) => a.distance - b.distance);
         
         console.log(`📍 ${categoryKey}: Found ${results[categoryKey].length} places from Overpass API`);
       });
@@ -553,12 +676,92 @@ const fetchRealPlacesFromOverpass = async (lat, lng, radius) => {
   return results;
 };
 
-// Helper function to determine category from OSM tags
-const determineCategoryFromTags = (tags) => {
+export const OSM_ELEMENT_TYPES = ['node', 'way', 'relation'];
+
+// Load a single OSM element as a place (the place detail page), or null when it
+// doesn't exist. Elements whose tags match no category keep a generic one.
+export const fetchOsmPlace = async (osmType, osmId) => {
+  if (!OSM_ELEMENT_TYPES.includes(osmType) || !/^\d+$/.test(String(osmId))) return null;
+
+  const element = await withCache('overpass', `element:${osmType}/${osmId}`, async () => {
+    const overpassQuery = `[out:json][timeout:15];\n${osmType}(${osmId});\nout center;`;
+
+    for (const serverUrl of OVERPASS_SERVERS) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+      try {
+        const response = await scheduledFetch(serverUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: `data=${encodeURIComponent(overpassQuery)}`,
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          console.warn(`Overpass server ${serverUrl} failed with status: ${response.status}`);
+          continue;
+        }
+        const data = await response.json();
+        return data.elements?.[0] || null;
+      } catch (error) {
+        console.warn(`⚠️ Overpass server ${serverUrl} error:`, error.message);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+    throw new Error('Could not reach OpenStreetMap (all Overpass servers failed)');
+  });
+
+  if (!element) return null;
+  const lat = element.lat ?? element.center?.lat;
+  const lng = element.lon ?? element.center?.lon;
+  if (lat === undefined || lng === undefined) return null;
+
+  const categoryKey = determineCategoryFromTags(element.tags);
+  return createPlaceFromTags({
+    id: `osm_${categoryKey || 'place'}_${element.id}`,
+    categoryKey,
+    lat,
+    lng,
+    tags: element.tags,
+    osm_id: element.id,
+    osm_type: element.type
+  });
+};
+
+// Build a place record from OSM-style tags (shared by Overpass and pluggable providers)
+export const createPlaceFromTags = ({ id, categoryKey, lat, lng, tags = {}, type = 'osm', provenance = PLACE_PROVENANCE.OSM, ...extra }) => {
+  const category = getCategory(categoryKey) || { name: 'Places', icon: '📍' };
+  
+  return {
+    id,
+    name: tags.name || tags.brand || tags.operator || `${category.name.slice(0, -1)}`,
+    category: categoryKey,
+    categoryName: category.name,
+    icon: category.icon,
+    lat,
+    lng,
+    distance: 0,
+    address: formatOSMAddress(tags),
+    phone: tags.phone || tags['contact:phone'] || null,
+    website: tags.website || tags['contact:website'] || null,
+    opening_hours: tags.opening_hours || null,
+    countryCode: tags['addr:country'] ? tags['addr:country'].toLowerCase() : null,
+    type,
+    provenance,
+    tags,
+    ...extra
+  };
+};
+
+// Helper function to determine category from OSM tags, optionally limited to some category keys
+export const determineCategoryFromTags = (tags, allowedCategories = null) => {
   if (!tags) return null;
   
+  const isAllowed = (categoryKey) => !allowedCategories || allowedCategories.includes(categoryKey);
+  
   // Check each category's tags
   for (const [categoryKey, category] of Object.entries(PLACE_CATEGORIES)) {
+    if (!isAllowed(categoryKey)) continue;
     for (const tag of category.tags) {
       const [key, value] = tag.split('=');
       if (tags[key] === value) {
@@ -576,7 +779,7 @@ const determineCategoryFromTags = (tags) => {
       'fuel': 'gas_station',
       'hospital': 'hospital',
       'pharmacy': 'hospital',
-      'clinic': 'hospital',
+      'clinic': 'medical',
       'bank': 'bank',
       'atm': 'bank',
       'school': 'education',
@@ -587,7 +790,7 @@ const determineCategoryFromTags = (tags) => {
       'theatre': 'entertainment'
     };
     
-    if (amenityMappings[tags.amenity]) {
+    if (amenityMappings[tags.amenity] && isAllowed(amenityMappings[tags.amenity])) {
       return amenityMappings[tags.amenity];
     }
   }
@@ -595,7 +798,7 @@ const determineCategoryFromTags = (tags) => {
   if (tags.shop) {
     const shopMappings = {
       'supermarket': 'shopping',
-      'convenience': 'shopping',
+      'convenience': 'grocery',
       'mall': 'shopping',
       'clothes': 'clothing',
       'electronics': 'electronics',
@@ -605,12 +808,12 @@ const determineCategoryFromTags = (tags) => {
       'beauty': 'beauty'
     };
     
-    if (shopMappings[tags.shop]) {
+    if (shopMappings[tags.shop] && isAllowed(shopMappings[tags.shop])) {
       return shopMappings[tags.shop];
     }
     
     // Default shop category
-    return 'shopping';
+    if (isAllowed('shopping')) return 'shopping';
   }
   
   if (tags.tourism) {
@@ -621,7 +824,7 @@ const determineCategoryFromTags = (tags) => {
       'attraction': 'entertainment'
     };
     
-    if (tourismMappings[tags.tourism]) {
+    if (tourismMappings[tags.tourism] && isAllowed(tourismMappings[tags.tourism])) {
       return tourismMappings[tags.tourism];
     }
   }
@@ -652,29 +855,61 @@ const formatOSMAddress = (tags) => {
   return 'Address not available';
 };
 
-// Enhance real places with accurate addresses using reverse geocoding
-const enhanceRealPlacesWithAddresses = async (realPlaces, centerLat, centerLng) => {
-  console.log('🏠 Enhancing real places with accurate addresses (fast mode)...');
-  const MAX_LOOKUPS = 15; // cap total reverse lookups for performance
-  let lookups = 0;
-  outer: for (const [categoryKey, places] of Object.entries(realPlaces)) {
-    for (let i = 0; i < places.length; i++) {
-      const place = places[i];
-      // Skip if already has a decent address
-      if (place.address && place.address !== 'Address not available' && !place.address.startsWith('Near')) continue;
-      // Respect cap
-      if (lookups >= MAX_LOOKUPS) break outer;
-      const info = await reverseGeocodeWithTimeout(place.lat, place.lng, 2000);
-      lookups++;
-      if (info && info.address) {
-        place.address = info.address;
-        place.city = info.city;
-        place.state = info.state;
-        place.country = info.country;
-      }
-    }
+const MAX_ADDRESS_LOOKUPS = 15; // cap total reverse lookups per search
+const SYNTHETIC_LOOKUPS_PER_CATEGORY = 2;
+
+const needsAddress = (place) => (
+  !place.address || place.address === 'Address not available' || place.address.startsWith('Near')
+);
+
+// Real places without a street address first, then the first generated places per category
+const addressLookupCandidates = (places) => {
+  const real = [];
+  const synthetic = [];
+  Object.entries(places).forEach(([categoryKey, categoryPlaces]) => {
+    if (!PLACE_CATEGORIES[categoryKey]) return; // Imported layers keep the addresses they came with
+    categoryPlaces
+      .filter(place => place.provenance !== PLACE_PROVENANCE.SYNTHETIC && needsAddress(place))
+      .forEach(place => real.push({ categoryKey, place }));
+    categoryPlaces
+      .filter(place => place.provenance === PLACE_PROVENANCE.SYNTHETIC)
+      .slice(0, SYNTHETIC_LOOKUPS_PER_CATEGORY)
+      .forEach(place => synthetic.push({ categoryKey, place }));
+  });
+  return [...real, ...synthetic].slice(0, MAX_ADDRESS_LOOKUPS);
+};
+
+// A copy of category-keyed places with one place's fields replaced
+export const withPlaceFields = (places, categoryKey, placeId, fields) => ({
+  ...places,
+  [categoryKey]: (places[categoryKey] || []).map(place => (place.id === placeId ? { ...place, ...fields } : place))
+});
+
+// Look up street addresses for search results after they are shown, one reverse
+// geocode at a time at background priority. `onAddress(categoryKey, placeId, fields)`
+// reports each address as it arrives; aborting `signal` drops the queued lookups.
+// Resolves to the updated copy of `places`.
+export const refinePlaceAddresses = async (places, { signal, onAddress = () => {} } = {}) => {
+  const candidates = addressLookupCandidates(places);
+  console.log(`🏠 Looking up ${candidates.length} addresses in the background...`);
+
+  let refined = places;
+  for (const { categoryKey, place } of candidates) {
+    if (signal && signal.aborted) break;
+    const info = await reverseGeocodeInBackground(place.lat, place.lng, signal);
+    if (!info || !info.address) continue;
+
+    const fields = {
+      address: info.address,
+      city: info.city || place.city,
+      state: info.state || place.state,
+      country: info.country || place.country,
+      countryCode: info.countryCode || place.countryCode
+    };
+    refined = withPlaceFields(refined, categoryKey, place.id, fields);
+    onAddress(categoryKey, place.id, fields);
   }
-  return realPlaces;
+  return refined;
 };
 
 // Generate verified mock places with real addresses
@@ -698,7 +933,7 @@ const generateVerifiedMockPlaces = async (lat, lng, radius = 10) => {
     areaInfo = await Promise.race([areaInfoPromise, timeoutPromise]);
   } catch (error) {
     console.warn('Could not get area info:', error.message);
-    areaInfo = { city: 'Unknown City', state: 'Unknown State', country: 'India' };
+    areaInfo = { city: 'Unknown City', state: 'Unknown State', country: getRegionProfile().name };
   }
   
   // Generate places for each category with real area context
@@ -707,9 +942,6 @@ const generateVerifiedMockPlaces = async (lat, lng, radius = 10) => {
     verifiedPlaces[categoryKey] = places;
   }
   
-  // Refine addresses for top items using cached reverse geocoding (fast, limited)
-  await refineVerifiedMockAddresses(verifiedPlaces);
-  
   return verifiedPlaces;
 };
 
@@ -753,9 +985,8 @@ const generateRealisticPlacesForCategory = async (categoryKey, category, centerL
       phone: generateRealisticPhone(),
       website: Math.random() > 0.7 ? `https://www.${businessName.toLowerCase().replace(/[^a-z0-9]/g, '')}.com` : null,
       opening_hours: generateRealisticOpeningHours(categoryKey),
-      rating: Math.round((Math.random() * 1.5 + 3.5) * 10) / 10,
       type: 'verified_mock',
-      verified: true,
+      provenance: PLACE_PROVENANCE.SYNTHETIC,
       city: areaInfo.city,
       state: areaInfo.state
     };
@@ -833,29 +1064,24 @@ const generateAreaBasedAddress = (areaInfo, index) => {
   return `${houseNo}, ${street}, ${area}, ${city}`;
 };
 
-// Generate realistic phone numbers
-const generateRealisticPhone = () => {
-  const prefixes = ['+91-98', '+91-99', '+91-97', '+91-96', '+91-95'];
-  const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-  const number = Math.floor(Math.random() * 90000000) + 10000000;
-  return `${prefix}${number.toString().slice(0, 8)}`;
-};
+// Generate realistic phone numbers in the region's format
+const generateRealisticPhone = () => generatePhoneNumber();
 
-// Generate realistic opening hours based on category
+// Generate realistic opening hours based on category, in OSM opening_hours syntax
 const generateRealisticOpeningHours = (categoryKey) => {
   const schedules = {
-    restaurant: ['9:00 AM - 11:00 PM', '11:00 AM - 10:30 PM', '8:00 AM - 10:00 PM'],
-    cafe: ['7:00 AM - 10:00 PM', '8:00 AM - 9:00 PM', '6:00 AM - 11:00 PM'],
-    lodging: ['24 Hours', 'Check-in: 2:00 PM, Check-out: 12:00 PM'],
-    gas_station: ['24 Hours', '6:00 AM - 10:00 PM'],
-    shopping: ['9:00 AM - 9:00 PM', '10:00 AM - 8:00 PM', '8:00 AM - 10:00 PM'],
-    hospital: ['24 Hours', '9:00 AM - 6:00 PM', '8:00 AM - 8:00 PM'],
-    bank: ['10:00 AM - 4:00 PM', '9:30 AM - 3:30 PM', '10:00 AM - 5:00 PM'],
-    transport: ['24 Hours', '5:00 AM - 11:00 PM'],
-    entertainment: ['10:00 AM - 10:00 PM', '9:00 AM - 9:00 PM', '11:00 AM - 11:00 PM']
+    restaurant: ['Mo-Su 09:00-23:00', 'Mo-Su 11:00-15:30,19:00-22:30', 'Mo-Su 08:00-22:00; PH off'],
+    cafe: ['Mo-Su 07:00-22:00', 'Mo-Sa 08:00-21:00; Su 09:00-18:00', 'Mo-Su 06:00-23:00'],
+    lodging: ['24/7'],
+    gas_station: ['24/7', 'Mo-Su 06:00-22:00'],
+    shopping: ['Mo-Su 09:00-21:00', 'Mo-Sa 10:00-20:00; Su 11:00-19:00', 'Mo-Su 08:00-22:00'],
+    hospital: ['24/7', 'Mo-Sa 09:00-18:00; Su off', 'Mo-Su 08:00-20:00'],
+    bank: ['Mo-Fr 10:00-16:00; Sa 10:00-13:00; Su,PH off', 'Mo-Fr 09:30-15:30; Sa 09:30-12:30; Su,PH off', 'Mo-Sa 10:00-17:00; Su,PH off'],
+    transport: ['24/7', 'Mo-Su 05:00-23:00'],
+    entertainment: ['Mo-Su 10:00-22:00', 'Tu-Su 09:00-21:00; Mo off', 'Mo-Th 11:00-23:00; Fr-Su 11:00-01:00']
   };
   
-  const categorySchedules = schedules[categoryKey] || ['9:00 AM - 9:00 PM'];
+  const categorySchedules = schedules[categoryKey] || ['Mo-Su 09:00-21:00'];
   return categorySchedules[Math.floor(Math.random() * categorySchedules.length)];
 };
 
@@ -909,11 +1135,11 @@ const generateEnhancedMockData = (lat, lng, categoryKey, category, names, radius
       lng: placeLng,
       distance: Math.round(calculatedDistance * 100) / 100, // Use calculated distance
       address: generateLocationBasedAddress(placeLat, placeLng, i),
-      phone: seedRandom(nameSeed + 10) > 0.3 ? generateIndianPhone(nameSeed) : null,
+      phone: seedRandom(nameSeed + 10) > 0.3 ? generateLocalPhone(nameSeed) : null,
       website: seedRandom(nameSeed + 20) > 0.7 ? `https://www.${randomName.toLowerCase().replace(/\s+/g, '')}.com` : null,
       opening_hours: generateOpeningHours(nameSeed),
-      rating: Math.round((seedRandom(nameSeed + 30) * 2 + 3) * 10) / 10, // 3.0-5.0
       type: 'mock',
+      provenance: PLACE_PROVENANCE.SYNTHETIC,
       isPopular: seedRandom(nameSeed + 40) > 0.7 // 30% chance of being popular
     });
   }
@@ -971,31 +1197,26 @@ const generateLocationBasedAddress = (lat, lng, index) => {
   return `${houseNo}, ${area}, ${landmark}, ${city}`;
 };
 
-// Generate location-based Indian phone numbers
-const generateIndianPhone = (seed) => {
-  const prefixes = ['+91-98', '+91-99', '+91-97', '+91-96', '+91-95', '+91-94'];
+// Generate location-based phone numbers in the region's format, the same for the same seed
+const generateLocalPhone = (seed) => {
   const seedRandom = (s) => {
     const x = Math.sin(s) * 10000;
     return x - Math.floor(x);
   };
-  
-  const prefixIndex = Math.floor(seedRandom(seed) * prefixes.length);
-  const prefix = prefixes[prefixIndex];
-  const number = Math.floor(seedRandom(seed + 100) * 90000000) + 10000000;
-  return `${prefix}${number.toString().slice(0, 8)}`;
+  return generatePhoneNumber(index => seedRandom(seed + 100 + index));
 };
 
 // Generate location-based opening hours
 const generateOpeningHours = (seed) => {
   const hours = [
-    '9:00 AM - 9:00 PM',
-    '10:00 AM - 10:00 PM', 
-    '8:00 AM - 8:00 PM',
-    '24 Hours',
-    '6:00 AM - 11:00 PM',
-    '11:00 AM - 11:00 PM',
-    '7:00 AM - 10:00 PM',
-    '8:00 AM - 9:00 PM'
+    'Mo-Su 09:00-21:00',
+    'Mo-Su 10:00-22:00',
+    'Mo-Sa 08:00-20:00; Su off',
+    '24/7',
+    'Mo-Su 06:00-23:00',
+    'Mo-Su 11:00-23:00',
+    'Mo-Fr 07:00-22:00; Sa,Su 08:00-22:00',
+    'Mo-Su 08:00-21:00; PH off'
   ];
   const seedRandom = (s) => {
     const x = Math.sin(s) * 10000;
@@ -1016,10 +1237,9 @@ const mergeRealAndMockData = (realData, mockData) => {
     // Start with real places
     let combined = [...realPlaces];
     
-    // Always add mock places to ensure minimum coverage (aim for at least 6 per category)
-    const targetMinimum = 6;
-    if (combined.length < targetMinimum) {
-      const needed = targetMinimum - combined.length;
+    // Add mock places to ensure minimum coverage
+    if (combined.length < MIN_PLACES_PER_CATEGORY) {
+      const needed = MIN_PLACES_PER_CATEGORY - combined.length;
       const additionalMock = mockPlaces
         .filter(mockPlace => 
           !combined.some(realPlace => 
@@ -1042,125 +1262,143 @@ const mergeRealAndMockData = (realData, mockData) => {
       .slice(0, 10); // Limit to 10 per category for better performance
   });
   
+  // Imported layers have no fallback data and are kept whole
+  Object.keys(realData).forEach(categoryKey => {
+    if (!PLACE_CATEGORIES[categoryKey]) merged[categoryKey] = realData[categoryKey];
+  });
+  
   return merged;
 };
 
 // Enhanced function to get comprehensive place suggestions from Nominatim (OpenStreetMap)
-export const getPlaceSuggestions = async (query, limit = 15, near = null) => {
+// Pass { signal } to cancel a lookup that a newer keystroke made stale.
+export const getPlaceSuggestions = async (query, limit = 15, near = null, { signal } = {}) => {
   if (!query || query.length < 2) return [];
   
   try {
-    // Use Nominatim API for comprehensive suggestions
-    // Build optional viewbox to bias/bound results near a location
-    let viewboxParam = '';
-    let boundedParam = '';
-    if (near && typeof near.lat === 'number' && typeof near.lng === 'number') {
-      const radiusKm = near.radiusKm || 25;
-      const latDelta = radiusKm / 111.32;
-      const lngDelta = radiusKm / (111.32 * Math.cos(near.lat * Math.PI / 180));
-      const minLat = near.lat - latDelta;
-      const maxLat = near.lat + latDelta;
-      const minLng = near.lng - lngDelta;
-      const maxLng = near.lng + lngDelta;
-      // Nominatim expects viewbox = left,top,right,bottom (lon/lat)
-      viewboxParam = `&viewbox=${minLng},${maxLat},${maxLng},${minLat}`;
-      boundedParam = `&bounded=1`;
-    }
-
-    const searchUrl = `${NOMINATIM_BASE_URL}/search?` +
-      `q=${encodeURIComponent(query)}&` +
-      `format=json&` +
-      `limit=${limit}&` +
-      `countrycodes=in&` + // Focus on India
-      `addressdetails=1&` +
-      `extratags=1` +
-      `&dedupe=1` +
-      viewboxParam +
-      boundedParam;
+    const nearKey = near && typeof near.lat === 'number' && typeof near.lng === 'number' ?
+      `${encodeGeohash(near.lat, near.lng, 5)}:${near.radiusKm || 25}` : 'anywhere';
+    const countryFilter = getCountryFilter();
+    const cacheKey = `${query.trim().toLowerCase()}|${limit}|${nearKey}|${countryFilter}`;
     
-    console.log(`🔍 Fetching Nominatim suggestions for: "${query}"`);
-    
-    const response = await fetch(searchUrl, {
-      headers: {
-        'User-Agent': 'PlacesFinder/1.0 (Educational Project)'
+    return await withCache('suggestions', cacheKey, async () => {
+      // Use Nominatim API for comprehensive suggestions
+      // Build optional viewbox to bias/bound results near a location
+      let viewboxParam = '';
+      let boundedParam = '';
+      if (near && typeof near.lat === 'number' && typeof near.lng === 'number') {
+        const radiusKm = near.radiusKm || 25;
+        const latDelta = radiusKm / 111.32;
+        const lngDelta = radiusKm / (111.32 * Math.cos(near.lat * Math.PI / 180));
+        const minLat = near.lat - latDelta;
+        const maxLat = near.lat + latDelta;
+        const minLng = near.lng - lngDelta;
+        const maxLng = near.lng + lngDelta;
+        // Nominatim expects viewbox = left,top,right,bottom (lon/lat)
+        viewboxParam = `&viewbox=${minLng},${maxLat},${maxLng},${minLat}`;
+        boundedParam = `&bounded=1`;
       }
-    });
-    
-    if (!response.ok) {
-      console.warn(`❌ Nominatim suggestions failed: ${response.status}`);
-      return [];
-    }
-    
-    let data = await response.json();
-    console.log(`✅ Found ${data.length || 0} Nominatim suggestions for "${query}"`);
-    
-    // Fallback: retry without India restriction if nothing found
-    if ((!data || data.length === 0)) {
-      const fallbackUrl = `${NOMINATIM_BASE_URL}/search?` +
+
+      const searchUrl = `${NOMINATIM_BASE_URL}/search?` +
         `q=${encodeURIComponent(query)}&` +
         `format=json&` +
         `limit=${limit}&` +
+        (countryFilter ? `countrycodes=${countryFilter}&` : '') + // Focus on the region's countries
         `addressdetails=1&` +
         `extratags=1` +
-        `&dedupe=1`;
-      console.log('🔁 Retrying suggestions without country filter');
-      const fbResp = await fetch(fallbackUrl, { headers: { 'User-Agent': 'PlacesFinder/1.0 (Educational Project)' } });
-      if (fbResp.ok) {
-        data = await fbResp.json();
+        `&dedupe=1` +
+        viewboxParam +
+        boundedParam;
+    
+      console.log(`🔍 Fetching Nominatim suggestions for: "${query}"`);
+    
+      const response = await scheduledFetch(searchUrl, {
+        headers: {
+          'User-Agent': 'PlacesFinder/1.0 (Educational Project)'
+        },
+        signal
+      }, { priority: PRIORITY.USER });
+    
+      if (!response.ok) {
+        console.warn(`❌ Nominatim suggestions failed: ${response.status}`);
+        return [];
       }
-    }
     
-    if (!data || data.length === 0) return [];
+      let data = await response.json();
+      console.log(`✅ Found ${data.length || 0} Nominatim suggestions for "${query}"`);
     
-    let mapped = data.map(item => {
-      // Extract detailed information from Nominatim response
-      const address = item.address || {};
+      // Fallback: retry without the country restriction if nothing found
+      if ((!data || data.length === 0) && countryFilter) {
+        const fallbackUrl = `${NOMINATIM_BASE_URL}/search?` +
+          `q=${encodeURIComponent(query)}&` +
+          `format=json&` +
+          `limit=${limit}&` +
+          `addressdetails=1&` +
+          `extratags=1` +
+          `&dedupe=1`;
+        console.log('🔁 Retrying suggestions without country filter');
+        const fbResp = await scheduledFetch(fallbackUrl, {
+          headers: { 'User-Agent': 'PlacesFinder/1.0 (Educational Project)' },
+          signal
+        }, { priority: PRIORITY.USER });
+        if (fbResp.ok) {
+          data = await fbResp.json();
+        }
+      }
+    
+      if (!data || data.length === 0) return [];
+    
+      let mapped = data.map(item => {
+        // Extract detailed information from Nominatim response
+        const address = item.address || {};
       
-      // Get the best name for the place
-      let placeName = item.name || 
-                     item.display_name.split(',')[0] || 
-                     address.city || 
-                     address.town || 
-                     address.village || 
-                     address.state || 
-                     'Unknown Place';
+        // Get the best name for the place
+        let placeName = item.name || 
+                       item.display_name.split(',')[0] || 
+                       address.city || 
+                       address.town || 
+                       address.village || 
+                       address.state || 
+                       'Unknown Place';
       
-      // Create context information
-      let context = [];
-      if (address.city && address.city !== placeName) context.push(address.city);
-      if (address.state && address.state !== placeName) context.push(address.state);
-      if (address.country && address.country !== 'India') context.push(address.country);
+        // Create context information
+        let context = [];
+        if (address.city && address.city !== placeName) context.push(address.city);
+        if (address.state && address.state !== placeName) context.push(address.state);
+        if (address.country && !getRegionProfile().countryCodes.includes(address.country_code)) context.push(address.country);
       
-      return {
-        id: item.place_id,
-        name: item.display_name,
-        shortName: placeName,
-        context: context.join(', '),
-        lat: parseFloat(item.lat),
-        lng: parseFloat(item.lon),
-        type: item.type,
-        class: item.class,
-        importance: parseFloat(item.importance) || 0,
-        address: address,
-        osm_id: item.osm_id,
-        osm_type: item.osm_type,
-        boundingbox: item.boundingbox
-      };
-    });
+        return {
+          id: item.place_id,
+          name: item.display_name,
+          shortName: placeName,
+          context: context.join(', '),
+          lat: parseFloat(item.lat),
+          lng: parseFloat(item.lon),
+          type: item.type,
+          class: item.class,
+          importance: parseFloat(item.importance) || 0,
+          address: address,
+          osm_id: item.osm_id,
+          osm_type: item.osm_type,
+          boundingbox: item.boundingbox
+        };
+      });
 
-    // If near is provided, sort by distance to center (ascending)
-    if (near && typeof near.lat === 'number' && typeof near.lng === 'number') {
-      mapped = mapped
-        .map(it => ({
-          ...it,
-          _dist: calculateDistance(near.lat, near.lng, it.lat, it.lng)
-        }))
-        .sort((a, b) => a._dist - b._dist)
-        .map(({ _dist, ...rest }) => rest);
-    }
+      // If near is provided, sort by distance to center (ascending)
+      if (near && typeof near.lat === 'number' && typeof near.lng === 'number') {
+        mapped = mapped
+          .map(it => ({
+            ...it,
+            _dist: calculateDistance(near.lat, near.lng, it.lat, it.lng)
+          }))
+          .sort((a, b) => a._dist - b._dist)
+          .map(({ _dist, ...rest }) => rest);
+      }
 
-    return mapped;
+      return mapped;
+    }, { shouldCache: (suggestions) => suggestions.length > 0 });
   } catch (error) {
+    if (error.name === 'AbortError') return [];
     console.warn('❌ Nominatim place suggestions failed:', error.message);
     return [];
   }
@@ -1271,23 +1509,62 @@ export const getMockPlaces = (lat, lng, radius = 10) => {
   return mockData;
 };
 
-// Improve verified mock addresses for the first few items per category
-const refineVerifiedMockAddresses = async (verifiedPlaces) => {
-  const MAX_MOCK_LOOKUPS = 12; // global cap
-  let lookups = 0;
-  const PER_CATEGORY = 2;
-  for (const [categoryKey, places] of Object.entries(verifiedPlaces)) {
-    for (let i = 0; i < places.length && i < PER_CATEGORY; i++) {
-      if (lookups >= MAX_MOCK_LOOKUPS) return;
-      const place = places[i];
-      const info = await reverseGeocodeWithTimeout(place.lat, place.lng, 2000);
-      lookups++;
-      if (info && info.address) {
-        place.address = info.address;
-        place.city = info.city || place.city;
-        place.state = info.state || place.state;
-        place.country = info.country || place.country;
-      }
+// How many OSM places each category shows: the nearest ones inside the user's area
+const NEAREST_PLACES_PER_CATEGORY = 8;
+
+// Responses can cover more than the user's area (see the geohash cell below), so clip
+// them to it first and then keep the places nearest to the user
+const limitToQuery = (results, query) => {
+  const limited = {};
+  Object.entries(results).forEach(([categoryKey, places]) => {
+    limited[categoryKey] = clipToQuery(categoryKey, places, query)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, NEAREST_PLACES_PER_CATEGORY);
+  });
+  return limited;
+};
+
+// Built-in providers: live OpenStreetMap data plus the generated fallback
+registerProvider({
+  id: 'overpass',
+  name: 'OpenStreetMap (Overpass)',
+  role: 'primary',
+  provenance: PLACE_PROVENANCE.OSM,
+  timeoutMs: 15000, // Room for a second server when the first one times out
+  search: (query) => {
+    const { lat, lng, radius, categories } = query;
+    if (osmCategoryKeys(categories).length === 0) return {}; // Only imported layers were asked for
+    // Category tags depend on the region, so cached responses do too
+    const categoryKey = `${categories ? categories.join(',') : 'all'}@${getRegionProfile().id}`;
+    const shouldCache = (results) => Object.values(results).some(places => places.length > 0);
+    
+    // Drawn areas are cached by their (rounded) outline
+    if (query.area !== 'circle') {
+      const { south, west, north, east } = query.bbox;
+      const outline = query.polygon || [{ lat: south, lng: west }, { lat: north, lng: east }];
+      const shapeKey = outline.map(point => `${point.lat.toFixed(4)},${point.lng.toFixed(4)}`).join(';');
+      return withCache('overpass', `${query.area}:${shapeKey}:${categoryKey}`,
+        () => fetchRealPlacesFromOverpass(query), { shouldCache })
+        .then(results => limitToQuery(results, query));
     }
+    
+    // Query around the geohash cell center, widened to cover the whole cell, so any
+    // search centered in the same cell can reuse the cached response
+    const cell = geohashCell(lat, lng, geohashPrecisionForRadius(radius));
+    const cacheKey = `${cell.hash}:${radius}:${categoryKey}`;
+    
+    return withCache('overpass', cacheKey,
+      () => fetchRealPlacesFromOverpass({ ...query, lat: cell.lat, lng: cell.lng, radius: radius + cell.halfDiagonalKm }),
+      { shouldCache }
+    ).then(results => limitToQuery(results, query));
   }
-};
+});
+
+registerProvider({
+  id: 'mock',
+  name: 'Generated places',
+  role: 'fallback',
+  provenance: PLACE_PROVENANCE.SYNTHETIC,
+  timeoutMs: null, // Always wait for generated places, they are the last resort
+  search: ({ lat, lng, radius }) => generateVerifiedMockPlaces(lat, lng, radius)
+});
@@ -0,0 +1,22 @@
+import { PLACE_CATEGORIES, determineCategoryFromTags } from './placesService';
+import { REGION_PROFILES, selectRegion } from './regionService';
+
+describe('category tags', () => {
+  test.each(Object.keys(REGION_PROFILES))('each OSM tag belongs to one category in the %s profile', (regionId) => {
+    selectRegion(regionId);
+    const categoryByTag = {};
+    Object.entries(PLACE_CATEGORIES).forEach(([categoryKey, category]) => {
+      category.tags.forEach(tag => {
+        expect([tag, categoryByTag[tag] || categoryKey]).toEqual([tag, categoryKey]);
+        categoryByTag[tag] = categoryKey;
+      });
+    });
+  });
+
+  test('files convenience stores under grocery and clinics under medical', () => {
+    expect(determineCategoryFromTags({ shop: 'convenience' })).toBe('grocery');
+    expect(determineCategoryFromTags({ amenity: 'clinic' })).toBe('medical');
+    expect(determineCategoryFromTags({ amenity: 'clinic', healthcare: 'clinic' })).toBe('medical');
+    expect(determineCategoryFromTags({ amenity: 'hospital', healthcare: 'hospital' })).toBe('hospital');
+  });
+});
@@ -0,0 +1,95 @@
+import { PLACE_CATEGORIES, PLACE_PROVENANCE, createPlaceFromTags, determineCategoryFromTags } from '../placesService';
+import { isPointInBBox } from '../geo';
+
+// Representative point for any GeoJSON geometry (centroid of its vertices for lines/polygons)
+const getGeometryPoint = (geometry) => {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') {
+    return { lng: geometry.coordinates[0], lat: geometry.coordinates[1] };
+  }
+
+  const vertices = [];
+  const collect = (coords) => {
+    if (typeof coords[0] === 'number') {
+      vertices.push(coords);
+    } else {
+      coords.forEach(collect);
+    }
+  };
+  collect(geometry.coordinates || []);
+  if (vertices.length === 0) return null;
+
+  const sum = vertices.reduce((acc, [lng, lat]) => ({ lat: acc.lat + lat, lng: acc.lng + lng }), { lat: 0, lng: 0 });
+  return { lat: sum.lat / vertices.length, lng: sum.lng / vertices.length };
+};
+
+// Provider backed by a GeoJSON FeatureCollection, loaded once from `url` or passed as `data`.
+// Features are categorised by `properties[categoryProperty]` when it names a PLACE_CATEGORIES
+// key, otherwise by their OSM-style tags (amenity=*, shop=*, ...); `categoryKey` puts every
+// feature in one category instead. Pass `provenance` to describe the dataset ('osm' for
+// OSM extracts, 'geocoded' for address lists).
+export const createGeoJSONProvider = ({
+  id = 'geojson',
+  name = 'Local GeoJSON dataset',
+  url = null,
+  data = null,
+  categoryProperty = 'category',
+  categoryKey: fixedCategoryKey = null,
+  role = 'primary',
+  provenance = PLACE_PROVENANCE.OSM,
+  timeoutMs = 5000
+} = {}) => {
+  let featuresPromise = null;
+
+  const loadFeatures = () => {
+    if (!featuresPromise) {
+      const source = data ? Promise.resolve(data) : fetch(url).then(response => {
+        if (!response.ok) {
+          throw new Error(`GeoJSON dataset failed: ${response.status}`);
+        }
+        return response.json();
+      });
+
+      featuresPromise = source
+        .then(collection => collection.features || [])
+        .catch(error => {
+          featuresPromise = null; // Retry on the next search
+          throw error;
+        });
+    }
+    return featuresPromise;
+  };
+
+  const search = async ({ bbox }) => {
+    const features = await loadFeatures();
+    const results = {};
+
+    features.forEach((feature, index) => {
+      const point = getGeometryPoint(feature.geometry);
+      if (!point || !isPointInBBox(point.lat, point.lng, bbox)) return;
+
+      const properties = feature.properties || {};
+      const categoryKey = fixedCategoryKey || (PLACE_CATEGORIES[properties[categoryProperty]] ?
+        properties[categoryProperty] :
+        determineCategoryFromTags(properties));
+      if (!categoryKey) return;
+
+      const featureId = feature.id ?? properties.id ?? index;
+      (results[categoryKey] = results[categoryKey] || []).push(createPlaceFromTags({
+        id: `${id}_${featureId}`,
+        categoryKey,
+        lat: point.lat,
+        lng: point.lng,
+        tags: properties,
+        type: 'dataset',
+        provenance,
+        // A plain `address` property (common outside OSM) wins over addr:* tags
+        ...(properties.address ? { address: String(properties.address) } : {})
+      }));
+    });
+
+    return results;
+  };
+
+  return { id, name, role, provenance, timeoutMs, search };
+};
@@ -0,0 +1,22 @@
+import { registerProvider } from '../placeProviders';
+import { createGeoJSONProvider } from './geojsonProvider';
+import { createNominatimProvider, createPhotonProvider } from './nominatimProvider';
+
+export { createGeoJSONProvider, createNominatimProvider, createPhotonProvider };
+
+// Register the providers configured through Vite env variables, e.g. in .env.local:
+//   VITE_GEOJSON_PROVIDER_URL=/data/internal-poi.geojson
+//   VITE_NOMINATIM_PROVIDER_URL=https://nominatim.internal.example
+//   VITE_PHOTON_PROVIDER_URL=https://photon.internal.example
+// They are queried alongside Overpass; the generated fallback still fills thin categories.
+export const registerConfiguredProviders = (env = import.meta.env) => {
+  if (env.VITE_GEOJSON_PROVIDER_URL) {
+    registerProvider(createGeoJSONProvider({ url: env.VITE_GEOJSON_PROVIDER_URL }));
+  }
+  if (env.VITE_NOMINATIM_PROVIDER_URL) {
+    registerProvider(createNominatimProvider({ baseUrl: env.VITE_NOMINATIM_PROVIDER_URL }));
+  }
+  if (env.VITE_PHOTON_PROVIDER_URL) {
+    registerProvider(createPhotonProvider({ baseUrl: env.VITE_PHOTON_PROVIDER_URL }));
+  }
+};
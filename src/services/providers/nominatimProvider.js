@@ -0,0 +1,136 @@
+import { PLACE_CATEGORIES, PLACE_PROVENANCE, createPlaceFromTags, osmCategoryKeys } from '../placesService';
+import { scheduledFetch } from '../requestScheduler';
+
+const REQUEST_HEADERS = { 'User-Agent': 'PlacesFinder/1.0 (Educational Project)' };
+const RESULTS_PER_TAG = 50;
+
+// Run one request per category tag and group the places by category
+const searchByCategoryTags = async (categories, fetchTag) => {
+  const categoryKeys = osmCategoryKeys(categories);
+  const results = {};
+
+  await Promise.all(categoryKeys.map(async (categoryKey) => {
+    const tagResults = await Promise.all(PLACE_CATEGORIES[categoryKey].tags.map(async (tag) => {
+      try {
+        return await fetchTag(categoryKey, tag);
+      } catch (error) {
+        console.warn(`⚠️ ${tag} lookup failed:`, error.message);
+        return [];
+      }
+    }));
+    results[categoryKey] = tagResults.flat();
+  }));
+
+  return results;
+};
+
+// Provider for a self-hosted Nominatim instance, using its [key=value] special phrase search
+export const createNominatimProvider = ({
+  id = 'nominatim',
+  name = 'Nominatim',
+  baseUrl,
+  role = 'primary',
+  provenance = PLACE_PROVENANCE.GEOCODED,
+  timeoutMs = 5000
+}) => {
+  const search = ({ bbox, categories }) => searchByCategoryTags(categories, async (categoryKey, tag) => {
+    const response = await scheduledFetch(`${baseUrl}/search?` +
+      `q=${encodeURIComponent(`[${tag}]`)}&` +
+      `format=jsonv2&` +
+      `limit=${RESULTS_PER_TAG}&` +
+      `addressdetails=1&` +
+      `extratags=1&` +
+      `viewbox=${bbox.west},${bbox.north},${bbox.east},${bbox.south}&` +
+      `bounded=1`, {
+      headers: REQUEST_HEADERS
+    });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim search failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data || []).map(item => {
+      const address = item.address || {};
+      const tags = {
+        ...(item.extratags || {}),
+        [item.category]: item.type,
+        name: item.name || undefined,
+        'addr:housenumber': address.house_number,
+        'addr:street': address.road,
+        'addr:suburb': address.suburb,
+        'addr:city': address.city || address.town || address.village,
+        'addr:state': address.state
+      };
+
+      return createPlaceFromTags({
+        id: `${id}_${item.osm_type}_${item.osm_id}`,
+        categoryKey,
+        lat: parseFloat(item.lat),
+        lng: parseFloat(item.lon),
+        tags,
+        provenance,
+        osm_id: item.osm_id,
+        osm_type: item.osm_type
+      });
+    });
+  });
+
+  return { id, name, role, provenance, timeoutMs, search };
+};
+
+const PHOTON_OSM_TYPES = { N: 'node', W: 'way', R: 'relation' };
+
+// Provider for a self-hosted Photon instance, filtered by osm_tag and bbox
+export const createPhotonProvider = ({
+  id = 'photon',
+  name = 'Photon',
+  baseUrl,
+  role = 'primary',
+  provenance = PLACE_PROVENANCE.GEOCODED,
+  timeoutMs = 5000
+}) => {
+  const search = ({ bbox, categories }) => searchByCategoryTags(categories, async (categoryKey, tag) => {
+    const [key, value] = tag.split('=');
+    const response = await scheduledFetch(`${baseUrl}/api?` +
+      `q=${encodeURIComponent(value.replace(/_/g, ' '))}&` +
+      `osm_tag=${encodeURIComponent(`${key}:${value}`)}&` +
+      `bbox=${bbox.west},${bbox.south},${bbox.east},${bbox.north}&` +
+      `limit=${RESULTS_PER_TAG}`, {
+      headers: REQUEST_HEADERS
+    });
+
+    if (!response.ok) {
+      throw new Error(`Photon search failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.features || []).map(feature => {
+      const properties = feature.properties || {};
+      const [lng, lat] = feature.geometry.coordinates;
+      const osmType = PHOTON_OSM_TYPES[properties.osm_type] || properties.osm_type;
+      const tags = {
+        [properties.osm_key]: properties.osm_value,
+        name: properties.name,
+        'addr:housenumber': properties.housenumber,
+        'addr:street': properties.street,
+        'addr:suburb': properties.district,
+        'addr:city': properties.city,
+        'addr:state': properties.state
+      };
+
+      return createPlaceFromTags({
+        id: `${id}_${osmType}_${properties.osm_id}`,
+        categoryKey,
+        lat,
+        lng,
+        tags,
+        provenance,
+        osm_id: properties.osm_id,
+        osm_type: osmType
+      });
+    });
+  });
+
+  return { id, name, role, provenance, timeoutMs, search };
+};
@@ -0,0 +1,171 @@
+// Region profiles: what changes from one country to the next. A profile sets the
+// Nominatim country filter, the map centre used before a location is known,
+// category names, icons and extra OSM tags, the format of generated phone numbers
+// and default distance units. The region is picked in the settings
+// or, in "auto" mode, follows the country of the current location (before the
+// first location, the browser language's country). Settings are kept in localStorage.
+
+const SETTINGS_STORAGE_KEY = 'regionSettings';
+const SETTINGS_CHANGE_EVENT = 'regionchange';
+
+export const AUTO_REGION = 'auto';
+
+// `categories` override PLACE_CATEGORIES entries by key: { name, icon, extraTags }.
+// `phoneFormat` digits are written as #.
+export const REGION_PROFILES = {
+  in: {
+    id: 'in',
+    name: 'India',
+    flag: '🇮🇳',
+    countryCodes: ['in'],
+    center: [28.6139, 77.2090], // New Delhi
+    units: 'metric',
+    phoneFormat: '+91-9#########',
+    categories: {
+      restaurant: { extraTags: ['cuisine=indian'] },
+      cafe: { name: 'Cafes & Tea Stalls', extraTags: ['shop=tea'] },
+      gas_station: { name: 'Petrol Pumps' },
+      religious: { name: 'Temples & Religious', icon: '🕉️', extraTags: ['building=temple'] },
+      sports: { extraTags: ['sport=cricket'] }
+    }
+  },
+  us: {
+    id: 'us',
+    name: 'United States',
+    flag: '🇺🇸',
+    countryCodes: ['us'],
+    center: [40.7128, -74.0060], // New York City
+    units: 'imperial',
+    phoneFormat: '+1 (###) ###-####',
+    categories: {
+      cafe: { name: 'Coffee Shops' },
+      gas_station: { name: 'Gas Stations' },
+      grocery: { name: 'Grocery Stores' },
+      sports: { extraTags: ['sport=baseball'] }
+    }
+  },
+  gb: {
+    id: 'gb',
+    name: 'United Kingdom',
+    flag: '🇬🇧',
+    countryCodes: ['gb'],
+    center: [51.5074, -0.1278], // London
+    units: 'imperial',
+    phoneFormat: '+44 7### ######',
+    categories: {
+      cafe: { name: 'Cafés & Tea Rooms' },
+      gas_station: { name: 'Petrol Stations' },
+      hospital: { name: 'Healthcare & Chemists' },
+      religious: { name: 'Churches & Places of Worship', icon: '⛪' },
+      sports: { extraTags: ['sport=soccer'] }
+    }
+  },
+  au: {
+    id: 'au',
+    name: 'Australia',
+    flag: '🇦🇺',
+    countryCodes: ['au'],
+    center: [-33.8688, 151.2093], // Sydney
+    units: 'metric',
+    phoneFormat: '+61 4## ### ###',
+    categories: {
+      gas_station: { name: 'Service Stations' },
+      hospital: { name: 'Healthcare & Chemists' },
+      sports: { extraTags: ['sport=australian_football'] }
+    }
+  },
+  global: {
+    id: 'global',
+    name: 'Worldwide',
+    flag: '🌍',
+    countryCodes: [], // No filter
+    center: [20, 0],
+    units: 'metric',
+    phoneFormat: '+## ### ### ####',
+    categories: {}
+  }
+};
+
+const getCountryName = (countryCode) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'region' }).of(countryCode.toUpperCase());
+  } catch (error) {
+    return countryCode.toUpperCase();
+  }
+};
+
+// The profile for an ISO 3166-1 country code; countries without their own profile
+// get the worldwide defaults, restricted to that country
+export const getProfileForCountry = (countryCode) => {
+  const code = (countryCode || '').toLowerCase();
+  if (REGION_PROFILES[code]) return REGION_PROFILES[code];
+  if (!/^[a-z]{2}$/.test(code)) return REGION_PROFILES.global;
+  return { ...REGION_PROFILES.global, id: code, name: getCountryName(code), flag: '📍', countryCodes: [code] };
+};
+
+// "en-IN" -> "in"
+const getLanguageCountry = () => {
+  const match = ((typeof navigator !== 'undefined' && navigator.language) || '').match(/-([A-Z]{2})$/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+export const getRegionSettings = () => {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+  } catch (error) {
+    stored = {};
+  }
+  return { selected: AUTO_REGION, detectedCountry: null, ...stored };
+};
+
+const saveRegionSettings = (changes) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ ...getRegionSettings(), ...changes }));
+  window.dispatchEvent(new Event(SETTINGS_CHANGE_EVENT));
+};
+
+// The profile auto mode uses: the located country's
+export const getDetectedRegionProfile = () => getProfileForCountry(getRegionSettings().detectedCountry || getLanguageCountry());
+
+// The profile in effect: the selected one, or in auto mode the detected one
+export const getRegionProfile = () => {
+  const { selected } = getRegionSettings();
+  return selected !== AUTO_REGION && REGION_PROFILES[selected] ? REGION_PROFILES[selected] : getDetectedRegionProfile();
+};
+
+// `regionId` is a REGION_PROFILES key or AUTO_REGION
+export const selectRegion = (regionId) => {
+  saveRegionSettings({ selected: regionId });
+  console.log(`🌍 Region set to ${getRegionProfile().name}${regionId === AUTO_REGION ? ' (auto)' : ''}`);
+};
+
+// Remember the country of the current location; only changes the profile in auto mode
+export const setDetectedCountry = (countryCode) => {
+  const code = (countryCode || '').toLowerCase();
+  if (!code || code === getRegionSettings().detectedCountry) return;
+  saveRegionSettings({ detectedCountry: code });
+  console.log(`🌍 Located in ${getCountryName(code)}`);
+};
+
+// Calls `listener(profile)` whenever the region changes, also from other tabs
+export const subscribeRegion = (listener) => {
+  const handleChange = () => listener(getRegionProfile());
+  const handleStorage = (event) => {
+    if (event.key === SETTINGS_STORAGE_KEY) handleChange();
+  };
+  window.addEventListener(SETTINGS_CHANGE_EVENT, handleChange);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    window.removeEventListener(SETTINGS_CHANGE_EVENT, handleChange);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+// Nominatim `countrycodes` value, empty for no filter
+export const getCountryFilter = (profile = getRegionProfile()) => profile.countryCodes.join(',');
+
+// A made-up phone number in the region's format; `random` returns numbers in [0, 1)
+export const generatePhoneNumber = (random = Math.random, profile = getRegionProfile()) => {
+  let index = 0;
+  return profile.phoneFormat.replace(/#/g, () => String(Math.floor(random(index++) * 10)));
+};
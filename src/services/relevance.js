@@ -0,0 +1,92 @@
+import { PLACE_PROVENANCE } from './placesService';
+import { getPlaceOpeningStatus } from './openingHours';
+
+// Relevance score (0-100) used by the "relevance" sort. It replaces the old
+// random star ratings: every point comes from data the place actually has.
+//   Distance      up to 40 — 40 at the search centre, halving every 2 km
+//   Completeness  up to 30 — 6 each for a name, street address, phone,
+//                            opening hours and website
+//   Brand         10       — brand or operator is tagged
+//   Open status   up to 20 — 20 open, 10 closing soon or hours unknown, 0 closed
+// Sample (synthetic) places only get distance points; their details are made up.
+
+export const RELEVANCE_WEIGHTS = {
+  distance: 40,
+  completeness: 30,
+  brand: 10,
+  open: 20
+};
+
+const DISTANCE_HALF_KM = 2;
+
+const COMPLETENESS_FIELDS = [
+  { label: 'name', has: (place) => Boolean(place.tags ? place.tags.name : place.name) },
+  { label: 'address', has: (place) => Boolean(place.address) && place.address !== 'Address not available' && !place.address.startsWith('Near ') },
+  { label: 'phone', has: (place) => Boolean(place.phone) },
+  { label: 'hours', has: (place) => Boolean(place.opening_hours) },
+  { label: 'website', has: (place) => Boolean(place.website) }
+];
+
+// Score and how it was reached: [{ key, label, points, max, detail }]
+export const getRelevance = (place, now = new Date()) => {
+  const synthetic = place.provenance === PLACE_PROVENANCE.SYNTHETIC;
+  const distance = Number(place.distance) || 0;
+
+  const present = synthetic ? [] : COMPLETENESS_FIELDS.filter(field => field.has(place)).map(field => field.label);
+  const brand = synthetic ? null : place.tags?.brand || place.tags?.operator || null;
+  const status = synthetic ? null : getPlaceOpeningStatus(place, now);
+  const openPoints = !status || status.open === null ? RELEVANCE_WEIGHTS.open / 2 :
+    status.open ? (status.closingSoon ? RELEVANCE_WEIGHTS.open / 2 : RELEVANCE_WEIGHTS.open) : 0;
+
+  const breakdown = [
+    {
+      key: 'distance',
+      label: 'Distance',
+      points: RELEVANCE_WEIGHTS.distance * Math.pow(0.5, distance / DISTANCE_HALF_KM),
+      max: RELEVANCE_WEIGHTS.distance,
+      detail: `${distance} km away`
+    },
+    {
+      key: 'completeness',
+      label: 'Details',
+      points: RELEVANCE_WEIGHTS.completeness * present.length / COMPLETENESS_FIELDS.length,
+      max: RELEVANCE_WEIGHTS.completeness,
+      detail: synthetic ? 'sample data, not counted' : present.length > 0 ? present.join(', ') : 'none'
+    },
+    {
+      key: 'brand',
+      label: 'Brand',
+      points: brand ? RELEVANCE_WEIGHTS.brand : 0,
+      max: RELEVANCE_WEIGHTS.brand,
+      detail: brand || 'none'
+    },
+    {
+      key: 'open',
+      label: 'Open now',
+      points: synthetic ? 0 : openPoints,
+      max: RELEVANCE_WEIGHTS.open,
+      detail: synthetic ? 'sample data, not counted' : status.label || 'hours unknown'
+    }
+  ].map(item => ({ ...item, points: Math.round(item.points) }));
+
+  return {
+    score: breakdown.reduce((total, item) => total + item.points, 0),
+    breakdown
+  };
+};
+
+// Multi-line text for a tooltip: "Relevance 72/100" then one line per component
+export const describeRelevance = ({ score, breakdown }) => [
+  `Relevance ${score}/100`,
+  ...breakdown.map(item => `${item.label}: ${item.points}/${item.max} (${item.detail})`)
+].join('\n');
+
+// Comparator for Array.prototype.sort, most relevant first
+export const compareByRelevance = (now = new Date()) => {
+  const scores = new Map();
+  const scoreOf = (place) => {
+    if (!scores.has(place)) scores.set(place, getRelevance(place, now).score);
+    return scores.get(place);
+  };
+  return (a, b) => scoreOf(b) - scoreOf(a) || a.distance - b.distance;
+};
@@ -0,0 +1,163 @@
+// Central request scheduler for the public OSM services.
+//
+// scheduledFetch() has the same signature as fetch() plus a priority. Requests
+// are queued per host and started within that host's concurrency and rate
+// limits (Nominatim's usage policy allows 1 request per second). Higher
+// priority requests jump the queue, aborted requests leave it, and 429/503
+// responses pause the host with exponential back-off before retrying.
+
+export const PRIORITY = {
+  USER: 0,       // typed queries, explicit searches and routes
+  NORMAL: 1,     // place searches started by the app
+  BACKGROUND: 2  // address refinement and other nice-to-haves
+};
+
+// Per-host limits: concurrent requests and minimum gap between request starts
+const HOST_LIMITS = {
+  'nominatim.openstreetmap.org': { concurrency: 1, minIntervalMs: 1000 },
+  'overpass-api.de': { concurrency: 2, minIntervalMs: 0 },
+  'overpass.kumi.systems': { concurrency: 2, minIntervalMs: 0 },
+  'overpass.openstreetmap.ru': { concurrency: 2, minIntervalMs: 0 },
+  'router.project-osrm.org': { concurrency: 1, minIntervalMs: 1000 },
+  'tile.openstreetmap.org': { concurrency: 2, minIntervalMs: 0 } // Tile usage policy: at most 2 connections
+};
+const DEFAULT_LIMITS = { concurrency: 4, minIntervalMs: 0 };
+
+const MAX_RETRIES = 3;
+const MAX_BACKOFF_MS = 60 * 1000;
+const RETRY_STATUSES = [429, 503];
+
+const hosts = new Map();
+let sequence = 0;
+
+// Let self-hosted services (or tests) set their own limits
+export const setHostLimits = (host, limits) => {
+  HOST_LIMITS[host] = { ...DEFAULT_LIMITS, ...limits };
+  if (hosts.has(host)) hosts.get(host).limits = HOST_LIMITS[host];
+};
+
+const getHostState = (host) => {
+  if (!hosts.has(host)) {
+    hosts.set(host, {
+      host,
+      limits: HOST_LIMITS[host] || DEFAULT_LIMITS,
+      queue: [],
+      active: 0,
+      lastStart: 0,
+      pausedUntil: 0,
+      failures: 0,
+      timer: null
+    });
+  }
+  return hosts.get(host);
+};
+
+const createAbortError = () => {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Keep the queue ordered by priority, then by arrival
+const enqueue = (state, job) => {
+  const index = state.queue.findIndex(queued =>
+    queued.priority > job.priority || (queued.priority === job.priority && queued.seq > job.seq)
+  );
+  if (index === -1) {
+    state.queue.push(job);
+  } else {
+    state.queue.splice(index, 0, job);
+  }
+};
+
+// Seconds or HTTP date, as allowed by Retry-After
+const getRetryAfterMs = (response) => {
+  const header = response.headers.get('Retry-After');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const finish = (job) => {
+  if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+};
+
+const run = async (state, job) => {
+  state.active++;
+  state.lastStart = Date.now();
+
+  try {
+    const response = await fetch(job.url, job.options);
+
+    if (RETRY_STATUSES.includes(response.status) && job.retries > 0) {
+      state.failures++;
+      const delay = Math.min(MAX_BACKOFF_MS, getRetryAfterMs(response) ?? 1000 * 2 ** state.failures);
+      state.pausedUntil = Date.now() + delay;
+      job.retries--;
+      console.warn(`⏳ ${state.host} answered ${response.status}, backing off for ${Math.round(delay / 1000)}s`);
+      enqueue(state, job);
+    } else {
+      state.failures = 0;
+      finish(job);
+      job.resolve(response);
+    }
+  } catch (error) {
+    finish(job);
+    job.reject(error);
+  } finally {
+    state.active--;
+    pump(state);
+  }
+};
+
+// Start as many queued jobs as the host's limits allow, or wait until they do
+const pump = (state) => {
+  if (state.timer) return;
+
+  while (state.queue.length > 0 && state.active < state.limits.concurrency) {
+    const readyAt = Math.max(state.pausedUntil, state.lastStart + state.limits.minIntervalMs);
+    const wait = readyAt - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        pump(state);
+      }, wait);
+      return;
+    }
+
+    run(state, state.queue.shift());
+  }
+};
+
+// Drop-in replacement for fetch() that goes through the host's queue.
+// Pass `signal` in the options as usual: aborting removes a queued request.
+export const scheduledFetch = (url, options = {}, { priority = PRIORITY.NORMAL } = {}) => {
+  return new Promise((resolve, reject) => {
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const state = getHostState(new URL(url, window.location.href).host);
+    const job = { url, options, priority, signal, retries: MAX_RETRIES, seq: sequence++, resolve, reject };
+
+    if (signal) {
+      job.onAbort = () => {
+        const index = state.queue.indexOf(job);
+        if (index >= 0) {
+          state.queue.splice(index, 1);
+          finish(job);
+          reject(createAbortError());
+        }
+        // In-flight requests are aborted by fetch itself
+      };
+      signal.addEventListener('abort', job.onAbort);
+    }
+
+    enqueue(state, job);
+    pump(state);
+  });
+};
@@ -0,0 +1,178 @@
+import { fetchOsmPlace } from './placesService';
+import { downloadFile } from './exportService';
+
+// Favourites and named lists of saved places, kept in localStorage. The
+// Favourites list always exists; starring a place adds it there. A saved place
+// keeps its OSM type and id (when it has one), so refreshSavedList() can reload
+// its details later. Lists export to and import from a JSON file.
+
+const LISTS_STORAGE_KEY = 'savedLists';
+const LISTS_CHANGE_EVENT = 'savedlistschange';
+const EXPORT_FORMAT = 'places-finder-lists';
+const EXPORT_VERSION = 1;
+
+export const FAVORITES_LIST_ID = 'favorites';
+
+// Place fields worth keeping; distance and relevance depend on where you search from
+const SAVED_FIELDS = ['id', 'osm_type', 'osm_id', 'name', 'category', 'categoryName', 'icon', 'lat', 'lng',
+  'address', 'phone', 'website', 'opening_hours', 'provenance', 'tags'];
+
+// Same place across searches: OSM element first, then provider id, then position
+export const savedPlaceKey = (place) => {
+  if (place.osm_type && place.osm_id) return `${place.osm_type}/${place.osm_id}`;
+  return place.id ? String(place.id) : `${Number(place.lat).toFixed(6)},${Number(place.lng).toFixed(6)}`;
+};
+
+export const toSavedPlace = (place) => SAVED_FIELDS.reduce((saved, field) => {
+  if (place[field] !== undefined && place[field] !== null) saved[field] = place[field];
+  return saved;
+}, { savedAt: place.savedAt || Date.now() });
+
+export const getSavedLists = () => {
+  let lists = [];
+  try {
+    lists = JSON.parse(localStorage.getItem(LISTS_STORAGE_KEY)) || [];
+  } catch (error) {
+    lists = [];
+  }
+  return lists.some(list => list.id === FAVORITES_LIST_ID) ?
+    lists :
+    [{ id: FAVORITES_LIST_ID, name: 'Favourites', places: [] }, ...lists];
+};
+
+const saveSavedLists = (lists) => {
+  localStorage.setItem(LISTS_STORAGE_KEY, JSON.stringify(lists));
+  window.dispatchEvent(new Event(LISTS_CHANGE_EVENT));
+};
+
+const updateList = (listId, update) => {
+  saveSavedLists(getSavedLists().map(list => (list.id === listId ? { ...list, ...update(list) } : list)));
+};
+
+// Calls `listener(lists)` whenever the saved lists change, also from other tabs
+export const subscribeSavedLists = (listener) => {
+  const handleChange = () => listener(getSavedLists());
+  const handleStorage = (event) => {
+    if (event.key === LISTS_STORAGE_KEY) handleChange();
+  };
+  window.addEventListener(LISTS_CHANGE_EVENT, handleChange);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    window.removeEventListener(LISTS_CHANGE_EVENT, handleChange);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+export const createSavedList = (name) => {
+  const list = { id: Date.now().toString(36), name: name.trim() || 'New list', places: [] };
+  saveSavedLists([...getSavedLists(), list]);
+  return list;
+};
+
+export const renameSavedList = (listId, name) => {
+  if (name.trim()) updateList(listId, () => ({ name: name.trim() }));
+};
+
+// The Favourites list can be emptied but not deleted
+export const deleteSavedList = (listId) => {
+  if (listId === FAVORITES_LIST_ID) return;
+  saveSavedLists(getSavedLists().filter(list => list.id !== listId));
+};
+
+export const isPlaceInList = (place, list) => {
+  const key = savedPlaceKey(place);
+  return list.places.some(saved => savedPlaceKey(saved) === key);
+};
+
+// Adds the place to the list, or removes it when it is already there
+export const toggleSavedPlace = (place, listId = FAVORITES_LIST_ID) => {
+  const key = savedPlaceKey(place);
+  updateList(listId, list => ({
+    places: isPlaceInList(place, list) ?
+      list.places.filter(saved => savedPlaceKey(saved) !== key) :
+      [...list.places, toSavedPlace(place)]
+  }));
+};
+
+export const removeSavedPlace = (listId, place) => {
+  const key = savedPlaceKey(place);
+  updateList(listId, list => ({ places: list.places.filter(saved => savedPlaceKey(saved) !== key) }));
+};
+
+// Reload every OSM place of a list from OpenStreetMap; places that fail keep their saved details.
+// Resolves to the number of places updated.
+export const refreshSavedList = async (listId) => {
+  const list = getSavedLists().find(existing => existing.id === listId);
+  if (!list) return 0;
+
+  let updated = 0;
+  const places = await Promise.all(list.places.map(async (saved) => {
+    if (!saved.osm_type || !saved.osm_id) return saved;
+    try {
+      const fresh = await fetchOsmPlace(saved.osm_type, saved.osm_id);
+      if (!fresh) return saved;
+      updated++;
+      return toSavedPlace({ ...fresh, savedAt: saved.savedAt });
+    } catch (error) {
+      console.warn(`⚠️ Could not refresh ${saved.name}:`, error.message);
+      return saved;
+    }
+  }));
+
+  // The list may have changed while the requests were out: only replace places still in it
+  updateList(listId, current => ({
+    places: current.places.map(saved => places.find(place => savedPlaceKey(place) === savedPlaceKey(saved)) || saved)
+  }));
+  console.log(`🔄 Refreshed ${updated} of ${list.places.length} places in "${list.name}"`);
+  return updated;
+};
+
+export const exportSavedLists = (lists = getSavedLists()) => {
+  const content = JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), lists }, null, 2);
+  downloadFile(content, 'saved-places.json', 'application/json');
+  console.log(`📤 Exported ${lists.length} saved lists`);
+};
+
+// Merge lists from an exported file: lists with the same name are combined,
+// places already in them are kept. Resolves to { lists, places } counts added.
+export const importSavedLists = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error('This is not a saved lists file (invalid JSON)');
+  }
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.lists)) {
+    throw new Error('This is not a saved lists file');
+  }
+
+  const lists = getSavedLists();
+  let addedLists = 0;
+  let addedPlaces = 0;
+
+  data.lists.forEach(imported => {
+    if (!imported || typeof imported.name !== 'string' || !Array.isArray(imported.places)) return;
+    const places = imported.places
+      .filter(place => place && Number.isFinite(place.lat) && Number.isFinite(place.lng) && place.name)
+      .map(toSavedPlace);
+
+    let list = imported.id === FAVORITES_LIST_ID ?
+      lists.find(existing => existing.id === FAVORITES_LIST_ID) :
+      lists.find(existing => existing.name.toLowerCase() === imported.name.trim().toLowerCase());
+    if (!list) {
+      list = { id: `${Date.now().toString(36)}${lists.length}`, name: imported.name.trim() || 'Imported list', places: [] };
+      lists.push(list);
+      addedLists++;
+    }
+    places.forEach(place => {
+      if (!isPlaceInList(place, list)) {
+        list.places.push(place);
+        addedPlaces++;
+      }
+    });
+  });
+
+  saveSavedLists(lists);
+  console.log(`📥 Imported ${addedPlaces} saved places into ${addedLists} new lists`);
+  return { lists: addedLists, places: addedPlaces };
+};
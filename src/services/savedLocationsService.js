@@ -0,0 +1,106 @@
+// Named locations such as Home, Office or Warehouse 3, kept in localStorage.
+// They can be picked as the search centre and as a route start, and a search
+// around one is shared as `?near=Office` (see searchUrl).
+
+const LOCATIONS_STORAGE_KEY = 'savedLocations';
+const LOCATIONS_CHANGE_EVENT = 'savedlocationschange';
+
+export const getSavedLocations = () => {
+  try {
+    const locations = JSON.parse(localStorage.getItem(LOCATIONS_STORAGE_KEY));
+    return Array.isArray(locations) ? locations : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveSavedLocations = (locations) => {
+  localStorage.setItem(LOCATIONS_STORAGE_KEY, JSON.stringify(locations));
+  window.dispatchEvent(new Event(LOCATIONS_CHANGE_EVENT));
+};
+
+// Calls `listener(locations)` whenever the saved locations change, also from other tabs
+export const subscribeSavedLocations = (listener) => {
+  const handleChange = () => listener(getSavedLocations());
+  const handleStorage = (event) => {
+    if (event.key === LOCATIONS_STORAGE_KEY) handleChange();
+  };
+  window.addEventListener(LOCATIONS_CHANGE_EVENT, handleChange);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    window.removeEventListener(LOCATIONS_CHANGE_EVENT, handleChange);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+// Names are matched case-insensitively, so "office" in a link finds "Office"
+export const findSavedLocation = (name) => {
+  const wanted = (name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return getSavedLocations().find(location => location.name.toLowerCase() === wanted) || null;
+};
+
+// Saving under an existing name moves that location instead of adding a second one
+export const addSavedLocation = ({ name, lat, lng, display_name }) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) throw new Error('Give the location a name');
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) throw new Error('The location has no coordinates');
+
+  const existing = findSavedLocation(trimmed);
+  const location = {
+    id: existing ? existing.id : Date.now().toString(36),
+    name: trimmed,
+    lat,
+    lng,
+    display_name: display_name || `${lat.toFixed(5)}, ${lng.toFixed(5)}`
+  };
+  const locations = getSavedLocations();
+  saveSavedLocations(existing ?
+    locations.map(saved => (saved.id === existing.id ? location : saved)) :
+    [...locations, location]);
+  console.log(`📌 Saved location "${trimmed}"`);
+  return location;
+};
+
+export const renameSavedLocation = (id, name) => {
+  const trimmed = (name || '').trim();
+  const clash = findSavedLocation(trimmed);
+  if (!trimmed || (clash && clash.id !== id)) return false;
+  saveSavedLocations(getSavedLocations().map(saved => (saved.id === id ? { ...saved, name: trimmed } : saved)));
+  return true;
+};
+
+export const deleteSavedLocation = (id) => {
+  saveSavedLocations(getSavedLocations().filter(saved => saved.id !== id));
+};
+
+// The location object searches and routes use, remembering which saved name it came from
+export const toSearchLocation = (saved) => ({
+  lat: saved.lat,
+  lng: saved.lng,
+  display_name: saved.display_name,
+  savedName: saved.name,
+  method: 'saved_location'
+});
+
+// A location shared as coordinates plus the sender's name for it (`?near=Office`).
+// The coordinates win: the viewer's own location of that name is only used when it
+// is the same place (to ~1 m) or the link has no coordinates. Otherwise the name
+// just labels the shared point.
+export const resolveSharedLocation = (name, point) => {
+  const saved = findSavedLocation(name);
+  if (!point) return saved ? toSearchLocation(saved) : null;
+  const samePlace = saved && saved.lat.toFixed(5) === point.lat.toFixed(5) && saved.lng.toFixed(5) === point.lng.toFixed(5);
+  if (samePlace) return toSearchLocation(saved);
+  return name && name.trim() ? { ...point, savedName: name.trim() } : point;
+};
+
+// Emoji for the usual names, a pin for anything else
+export const getSavedLocationIcon = (name) => {
+  const lower = (name || '').toLowerCase();
+  if (/home|house|flat/.test(lower)) return '🏠';
+  if (/office|work/.test(lower)) return '💼';
+  if (/warehouse|depot|store/.test(lower)) return '🏭';
+  if (/school|college|university/.test(lower)) return '🎓';
+  return '📌';
+};
@@ -0,0 +1,76 @@
+import { getCategory } from './placesService';
+import { resolveSharedLocation } from './savedLocationsService';
+
+// PlacesFinder search state <-> URL query parameters:
+//   ?lat=&lng=&near=&r=&cat=&sort=&q=&view=
+// Values equal to the defaults are left out so plain links stay short, and
+// anything invalid in a pasted URL falls back to its default. `near` is the
+// sender's name for lat/lng (see resolveSharedLocation): it labels the point and
+// never moves it to the viewer's own saved location of that name.
+
+export const SEARCH_DEFAULTS = {
+  radius: 10,
+  category: 'all',
+  sort: 'distance',
+  query: '',
+  view: 'categories'
+};
+
+export const SORT_OPTIONS = ['distance', 'relevance', 'name'];
+export const VIEW_MODES = ['categories', 'list', 'saved'];
+const MIN_RADIUS = 1;
+const MAX_RADIUS = 50;
+
+const parseCoordinate = (value, limit) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+};
+
+export const parseSearchParams = (params) => {
+  const lat = parseCoordinate(params.get('lat'), 90);
+  const lng = parseCoordinate(params.get('lng'), 180);
+  const radius = parseInt(params.get('r'), 10);
+  const category = params.get('cat');
+  const sort = params.get('sort');
+  const view = params.get('view');
+  const near = params.get('near');
+  const point = lat !== null && lng !== null ? { lat, lng } : null;
+  const location = near ? resolveSharedLocation(near, point) : point;
+
+  return {
+    location,
+    radius: radius >= MIN_RADIUS && radius <= MAX_RADIUS ? radius : SEARCH_DEFAULTS.radius,
+    category: category && getCategory(category) ? category : SEARCH_DEFAULTS.category,
+    sort: SORT_OPTIONS.includes(sort) ? sort : sort === 'rating' ? 'relevance' : SEARCH_DEFAULTS.sort, // Links from before ratings were dropped
+    query: params.get('q') || SEARCH_DEFAULTS.query,
+    view: VIEW_MODES.includes(view) ? view : SEARCH_DEFAULTS.view
+  };
+};
+
+export const buildSearchParams = ({ location, radius, category, sort, query, view }) => {
+  const params = new URLSearchParams();
+
+  if (location) {
+    // ~1m precision is plenty for a shared search
+    params.set('lat', location.lat.toFixed(5));
+    params.set('lng', location.lng.toFixed(5));
+    if (location.savedName) params.set('near', location.savedName);
+  }
+  if (radius !== SEARCH_DEFAULTS.radius) params.set('r', String(radius));
+  if (category !== SEARCH_DEFAULTS.category) params.set('cat', category);
+  if (sort !== SEARCH_DEFAULTS.sort) params.set('sort', sort);
+  if (query) params.set('q', query);
+  if (view !== SEARCH_DEFAULTS.view) params.set('view', view);
+
+  return params;
+};
+
+export const isSameUrlLocation = (a, b) => {
+  if (!a || !b) return a === b;
+  return a.lat.toFixed(5) === b.lat.toFixed(5) && a.lng.toFixed(5) === b.lng.toFixed(5);
+};
+
+// Bookmarkable detail page of an OpenStreetMap place: /place/node/123. Null for places not from OSM.
+export const getPlacePath = (place) => (
+  place && place.osm_type && place.osm_id ? `/place/${place.osm_type}/${place.osm_id}` : null
+);
@@ -0,0 +1,129 @@
+import { withCache } from './cacheService';
+import { scheduledFetch, PRIORITY } from './requestScheduler';
+import { resolveSharedLocation } from './savedLocationsService';
+
+// Multi-stop trips: the stops collected from search results (kept in localStorage
+// until the trip is planned), the shareable itinerary URL and OSRM stop-order
+// optimisation. A stop is { id, name, lat, lng, address }; the last stop of a
+// trip is its final destination.
+
+const TRIP_STORAGE_KEY = 'tripStops';
+const TRIP_CHANGE_EVENT = 'tripstopschange';
+export const MAX_TRIP_STOPS = 10;
+
+export const OSRM_PROFILES = { driving: 'car', cycling: 'bike', walking: 'foot' };
+
+export const toTripStop = (place) => ({
+  id: place.id || `${place.lat.toFixed(6)},${place.lng.toFixed(6)}`,
+  name: place.name,
+  lat: place.lat,
+  lng: place.lng,
+  address: place.address || ''
+});
+
+export const getTripStops = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TRIP_STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveTripStops = (stops) => {
+  localStorage.setItem(TRIP_STORAGE_KEY, JSON.stringify(stops));
+  window.dispatchEvent(new Event(TRIP_CHANGE_EVENT));
+};
+
+export const isInTrip = (place, stops = getTripStops()) => stops.some(stop => stop.id === toTripStop(place).id);
+
+// Adds the place, or removes it when it is already a stop
+export const toggleTripStop = (place) => {
+  const stops = getTripStops();
+  const stop = toTripStop(place);
+  if (stops.some(existing => existing.id === stop.id)) {
+    saveTripStops(stops.filter(existing => existing.id !== stop.id));
+  } else if (stops.length < MAX_TRIP_STOPS) {
+    saveTripStops([...stops, stop]);
+  }
+};
+
+export const clearTripStops = () => saveTripStops([]);
+
+// Calls `listener(stops)` whenever the stored stops change, also from other tabs
+export const subscribeTripStops = (listener) => {
+  const handleChange = () => listener(getTripStops());
+  const handleStorage = (event) => {
+    if (event.key === TRIP_STORAGE_KEY) handleChange();
+  };
+  window.addEventListener(TRIP_CHANGE_EVENT, handleChange);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    window.removeEventListener(TRIP_CHANGE_EVENT, handleChange);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+// `/directions?stops=[...]&from=lat,lng&near=Office`; `from` is left out when the trip starts at the
+// viewer's own location, `near` is added when it starts at a saved location
+export const buildTripUrl = (stops, from = null) => {
+  const params = new URLSearchParams();
+  params.set('stops', JSON.stringify(stops.map(stop => ({
+    id: stop.id,
+    name: stop.name,
+    lat: Number(stop.lat.toFixed(6)),
+    lng: Number(stop.lng.toFixed(6)),
+    address: stop.address
+  }))));
+  if (from) params.set('from', `${from.lat.toFixed(6)},${from.lng.toFixed(6)}`);
+  if (from && from.savedName) params.set('near', from.savedName);
+  return `/directions?${params.toString()}`;
+};
+
+export const parseTripStops = (value) => {
+  const stops = JSON.parse(value);
+  if (!Array.isArray(stops)) throw new Error('Invalid trip stops');
+  return stops
+    .filter(stop => Number.isFinite(stop.lat) && Number.isFinite(stop.lng))
+    .map(stop => toTripStop(stop))
+    .filter((stop, index, all) => all.findIndex(other => other.id === stop.id) === index)
+    .slice(0, MAX_TRIP_STOPS);
+};
+
+// The shared `from` coordinates, labelled with the sender's `near` name (see resolveSharedLocation)
+export const parseTripSource = (value, near = null) => {
+  const [lat, lng] = (value || '').split(',').map(Number);
+  const point = Number.isFinite(lat) && Number.isFinite(lng) ?
+    { lat, lng, method: 'shared_link', display_name: `${lat.toFixed(5)}, ${lng.toFixed(5)}` } :
+    null;
+  return near ? resolveSharedLocation(near, point) : point;
+};
+
+// Reorders the intermediate stops into the quickest visiting order with OSRM's
+// trip service. The start and the final destination stay where they are.
+export const optimizeStopOrder = async (start, stops, mode = 'driving') => {
+  if (stops.length < 3) return stops;
+
+  const profile = OSRM_PROFILES[mode] || 'car';
+  const coordinates = [start, ...stops].map(point => `${point.lng.toFixed(5)},${point.lat.toFixed(5)}`).join(';');
+  const data = await withCache('route', `trip:${profile}:${coordinates}`, async () => {
+    const response = await scheduledFetch(
+      `https://router.project-osrm.org/trip/v1/${profile}/${coordinates}?source=first&destination=last&roundtrip=false&overview=false`,
+      {},
+      { priority: PRIORITY.USER }
+    );
+    if (!response.ok) {
+      throw new Error(`OSRM trip failed: ${response.status}`);
+    }
+    return response.json();
+  }, { shouldCache: (result) => result.code === 'Ok' });
+
+  if (data.code !== 'Ok' || !data.waypoints) {
+    throw new Error(data.message || 'OSRM could not optimise this trip');
+  }
+
+  // waypoints[i].waypoint_index is the position of input point i in the optimised trip
+  return stops
+    .map((stop, index) => ({ stop, order: data.waypoints[index + 1].waypoint_index }))
+    .sort((a, b) => a.order - b.order)
+    .map(({ stop }) => stop);
+};
@@ -0,0 +1,288 @@
+import { getRegionProfile } from './regionService';
+
+// Spoken route guidance through the Web Speech API (speechSynthesis). Phrases
+// come from VOICE_TEMPLATES, keyed by language; add a language by adding its
+// templates. Steps are spoken from their manoeuvre key (see getManeuverKey) and
+// road name, so every part of a prompt is in the voice's language.
+// Settings (mute, voice, distance units) are kept in localStorage.
+
+const SETTINGS_STORAGE_KEY = 'voiceSettings';
+const SETTINGS_CHANGE_EVENT = 'voicesettingschange';
+const DEFAULT_LANGUAGE = 'en';
+
+export const VOICE_TEMPLATES = {
+  en: {
+    upcoming: 'In {distance}, {instruction}',
+    now: '{instruction}',
+    arrived: 'You have arrived at {destination}',
+    rerouting: 'Finding a new route',
+    metres: '{value} metres',
+    kilometres: '{value} kilometres',
+    feet: '{value} feet',
+    miles: '{value} miles',
+    onto: '{maneuver} onto {road}',
+    maneuvers: {
+      'turn-left': 'Turn left',
+      'turn-right': 'Turn right',
+      'turn-sharp-left': 'Turn sharp left',
+      'turn-sharp-right': 'Turn sharp right',
+      'turn-slight-left': 'Turn slight left',
+      'turn-slight-right': 'Turn slight right',
+      'continue': 'Continue straight',
+      'merge': 'Merge',
+      'ramp-left': 'Take the ramp on the left',
+      'ramp-right': 'Take the ramp on the right',
+      'fork-left': 'Keep left at the fork',
+      'fork-right': 'Keep right at the fork',
+      'roundabout-enter': 'Enter the roundabout',
+      'roundabout-exit': 'Exit the roundabout',
+      'uturn': 'Make a U-turn',
+      'depart': 'Start your journey',
+      'arrive': 'You have arrived at your destination'
+    }
+  },
+  es: {
+    upcoming: 'En {distance}, {instruction}',
+    now: '{instruction}',
+    arrived: 'Ha llegado a {destination}',
+    rerouting: 'Buscando una nueva ruta',
+    metres: '{value} metros',
+    kilometres: '{value} kilómetros',
+    feet: '{value} pies',
+    miles: '{value} millas',
+    onto: '{maneuver} hacia {road}',
+    maneuvers: {
+      'turn-left': 'Gire a la izquierda',
+      'turn-right': 'Gire a la derecha',
+      'turn-sharp-left': 'Gire bruscamente a la izquierda',
+      'turn-sharp-right': 'Gire bruscamente a la derecha',
+      'turn-slight-left': 'Gire ligeramente a la izquierda',
+      'turn-slight-right': 'Gire ligeramente a la derecha',
+      'continue': 'Continúe recto',
+      'merge': 'Incorpórese',
+      'ramp-left': 'Tome la rampa de la izquierda',
+      'ramp-right': 'Tome la rampa de la derecha',
+      'fork-left': 'Manténgase a la izquierda en la bifurcación',
+      'fork-right': 'Manténgase a la derecha en la bifurcación',
+      'roundabout-enter': 'Entre en la rotonda',
+      'roundabout-exit': 'Salga de la rotonda',
+      'uturn': 'Cambie de sentido',
+      'depart': 'Comience el recorrido',
+      'arrive': 'Ha llegado a su destino'
+    }
+  },
+  hi: {
+    upcoming: '{distance} में, {instruction}',
+    now: '{instruction}',
+    arrived: 'आप {destination} पहुँच गए हैं',
+    rerouting: 'नया रास्ता खोजा जा रहा है',
+    metres: '{value} मीटर',
+    kilometres: '{value} किलोमीटर',
+    feet: '{value} फ़ुट',
+    miles: '{value} मील',
+    onto: '{maneuver}, {road} की ओर',
+    maneuvers: {
+      'turn-left': 'बाएँ मुड़ें',
+      'turn-right': 'दाएँ मुड़ें',
+      'turn-sharp-left': 'तेज़ी से बाएँ मुड़ें',
+      'turn-sharp-right': 'तेज़ी से दाएँ मुड़ें',
+      'turn-slight-left': 'थोड़ा बाएँ मुड़ें',
+      'turn-slight-right': 'थोड़ा दाएँ मुड़ें',
+      'continue': 'सीधे चलते रहें',
+      'merge': 'मुख्य सड़क में शामिल हों',
+      'ramp-left': 'बाईं ओर का रैंप लें',
+      'ramp-right': 'दाईं ओर का रैंप लें',
+      'fork-left': 'दोराहे पर बाएँ रहें',
+      'fork-right': 'दोराहे पर दाएँ रहें',
+      'roundabout-enter': 'गोलचक्कर में प्रवेश करें',
+      'roundabout-exit': 'गोलचक्कर से बाहर निकलें',
+      'uturn': 'यू-टर्न लें',
+      'depart': 'अपनी यात्रा शुरू करें',
+      'arrive': 'आप अपने गंतव्य पर पहुँच गए हैं'
+    }
+  }
+};
+
+const ROUNDABOUT_TYPES = ['roundabout', 'rotary', 'roundabout turn'];
+
+// The VOICE_TEMPLATES `maneuvers` key for an OSRM manoeuvre type and modifier, e.g.
+// ('turn', 'slight left') -> 'turn-slight-left', ('off ramp', 'right') -> 'ramp-right'.
+// Keys that are already in that form are returned as they are.
+export const getManeuverKey = (type, modifier = '') => {
+  if (!type) return 'continue';
+  if (!modifier && VOICE_TEMPLATES[DEFAULT_LANGUAGE].maneuvers[type]) return type;
+  const side = modifier.includes('left') ? 'left' : modifier.includes('right') ? 'right' : null;
+
+  if (['depart', 'arrive', 'merge'].includes(type)) return type;
+  if (ROUNDABOUT_TYPES.includes(type)) return 'roundabout-enter';
+  if (type === 'exit roundabout' || type === 'exit rotary') return 'roundabout-exit';
+  if (modifier === 'uturn') return 'uturn';
+  if (type === 'fork') return side ? `fork-${side}` : 'continue';
+  if (type === 'on ramp' || type === 'off ramp') return side ? `ramp-${side}` : 'merge';
+  // A bend in the road or a new road name is not a turn
+  if (!side || type === 'continue' || type === 'new name') return 'continue';
+  return `turn-${modifier.replace(' ', '-')}`; // turn-left, turn-slight-left, turn-sharp-left
+};
+
+export const DISTANCE_UNITS = {
+  metric: 'Kilometres',
+  imperial: 'Miles'
+};
+
+// Distances before a manoeuvre (km) at which it is announced, per travel mode.
+// The last one is the "now" prompt.
+const PROMPT_DISTANCES_KM = {
+  driving: [1, 0.2, 0.03],
+  cycling: [0.3, 0.08, 0.02],
+  walking: [0.1, 0.015]
+};
+
+const KM_PER_MILE = 1.609344;
+const FEET_PER_KM = 3280.84;
+
+export const isSpeechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// The region's units (miles in the US and UK) until the user picks some
+const defaultUnits = () => getRegionProfile().units;
+
+// Only what the user chose is stored, so the defaults can still follow the region
+const getStoredVoiceSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Voice guidance stays off until the user turns it on
+export const getVoiceSettings = () => (
+  { muted: true, voiceURI: null, units: defaultUnits(), ...getStoredVoiceSettings() }
+);
+
+export const saveVoiceSettings = (changes) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ ...getStoredVoiceSettings(), ...changes }));
+  window.dispatchEvent(new Event(SETTINGS_CHANGE_EVENT));
+  if (changes.muted && isSpeechSupported()) window.speechSynthesis.cancel();
+};
+
+// Calls `listener(settings)` whenever the voice settings change
+export const subscribeVoiceSettings = (listener) => {
+  const handleChange = () => listener(getVoiceSettings());
+  window.addEventListener(SETTINGS_CHANGE_EVENT, handleChange);
+  return () => window.removeEventListener(SETTINGS_CHANGE_EVENT, handleChange);
+};
+
+// Installed voices; browsers load them asynchronously, so also listen for `voiceschanged`
+export const getVoices = () => (isSpeechSupported() ? window.speechSynthesis.getVoices() : []);
+
+export const subscribeVoices = (listener) => {
+  if (!isSpeechSupported()) return () => {};
+  const handleChange = () => listener(getVoices());
+  window.speechSynthesis.addEventListener('voiceschanged', handleChange);
+  return () => window.speechSynthesis.removeEventListener('voiceschanged', handleChange);
+};
+
+const getSelectedVoice = (settings) => getVoices().find(voice => voice.voiceURI === settings.voiceURI) || null;
+
+// Templates for the selected voice's language, falling back to English
+const getTemplates = (voice) => {
+  const language = (voice?.lang || navigator.language || DEFAULT_LANGUAGE).split('-')[0].toLowerCase();
+  return VOICE_TEMPLATES[language] || VOICE_TEMPLATES[DEFAULT_LANGUAGE];
+};
+
+const fillTemplate = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? '');
+
+// Spoken distance, rounded the way people say it: "300 metres", "1.5 kilometres", "500 feet", "2 miles"
+export const formatSpokenDistance = (km, units, templates = VOICE_TEMPLATES[DEFAULT_LANGUAGE]) => {
+  if (units === 'imperial') {
+    const miles = km / KM_PER_MILE;
+    return miles < 0.2 ?
+      fillTemplate(templates.feet, { value: Math.max(50, Math.round(km * FEET_PER_KM / 50) * 50) }) :
+      fillTemplate(templates.miles, { value: Math.round(miles * 10) / 10 });
+  }
+  return km < 1 ?
+    fillTemplate(templates.metres, { value: Math.max(50, Math.round(km * 1000 / 50) * 50) }) :
+    fillTemplate(templates.kilometres, { value: Math.round(km * 10) / 10 });
+};
+
+export const speak = (text, settings = getVoiceSettings()) => {
+  if (!isSpeechSupported() || settings.muted || !text) return;
+
+  const utterance = new SpeechSynthesisUtterance(text);
+  const voice = getSelectedVoice(settings);
+  if (voice) {
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+  }
+  // A newer prompt replaces whatever is still being said
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+};
+
+export const stopSpeaking = () => {
+  if (isSpeechSupported()) window.speechSynthesis.cancel();
+};
+
+const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1);
+
+// A route step in the templates' language: its manoeuvre, plus the road it leads onto
+export const describeStep = (step, templates = VOICE_TEMPLATES[DEFAULT_LANGUAGE]) => {
+  const key = step.maneuver in templates.maneuvers ? step.maneuver : getManeuverKey(step.maneuver);
+  const maneuver = templates.maneuvers[key];
+  const leadsOnto = step.road && !['depart', 'arrive', 'roundabout-enter'].includes(key);
+  return leadsOnto ? fillTemplate(templates.onto, { maneuver, road: step.road }) : maneuver;
+};
+
+// Speak one route step, e.g. when it is picked from the step list (only with voice on)
+export const speakStep = (step) => {
+  const settings = getVoiceSettings();
+  const templates = getTemplates(getSelectedVoice(settings));
+  speak(fillTemplate(templates.now, { instruction: describeStep(step, templates) }), settings);
+};
+
+// Announces manoeuvres during live navigation. Feed it every navigation progress
+// update; each manoeuvre is announced once per prompt distance, and only the
+// closest prompt distance already reached is spoken.
+export const createVoiceGuide = (mode = 'driving') => {
+  const promptDistances = PROMPT_DISTANCES_KM[mode] || PROMPT_DISTANCES_KM.driving;
+  const spoken = new Set();
+  let arrivedAnnounced = false;
+
+  return {
+    update: (progress, route, destination) => {
+      const settings = getVoiceSettings();
+      const templates = getTemplates(getSelectedVoice(settings));
+
+      if (progress.arrived) {
+        if (!arrivedAnnounced) speak(fillTemplate(templates.arrived, { destination: destination.name }), settings);
+        arrivedAnnounced = true;
+        return;
+      }
+      if (progress.nextStepIndex === null) return;
+
+      const reached = promptDistances.filter(distance => progress.distanceToNextKm <= distance);
+      if (reached.length === 0) return;
+      const promptIndex = promptDistances.indexOf(reached[reached.length - 1]);
+      const key = `${progress.nextStepIndex}:${promptIndex}`;
+      if (spoken.has(key)) return;
+
+      // Mark the farther prompts as done too, so they are not spoken late
+      for (let index = 0; index <= promptIndex; index++) spoken.add(`${progress.nextStepIndex}:${index}`);
+
+      const instruction = describeStep(route.steps[progress.nextStepIndex], templates);
+      const isLastPrompt = promptIndex === promptDistances.length - 1;
+      speak(isLastPrompt ?
+        fillTemplate(templates.now, { instruction }) :
+        fillTemplate(templates.upcoming, {
+          distance: formatSpokenDistance(progress.distanceToNextKm, settings.units, templates),
+          instruction: lowerFirst(instruction)
+        }), settings);
+    },
+    announceRerouting: () => {
+      const settings = getVoiceSettings();
+      speak(getTemplates(getSelectedVoice(settings)).rerouting, settings);
+    },
+    // The route changed: its steps are numbered afresh
+    reset: () => spoken.clear()
+  };
+};